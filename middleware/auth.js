@@ -1,14 +1,35 @@
-const jwt = require('jsonwebtoken');
+const { verifyAccessToken } = require('../services/sessionTokens');
 
-module.exports = function(req, res, next) {
-  const token = req.header('x-auth-token');
+// Accepts either the legacy x-auth-token header or a standard Authorization: Bearer header
+const getToken = (req) => {
+  const legacy = req.header('x-auth-token');
+  if (legacy) return legacy;
+
+  const match = /^Bearer\s+(\S+)$/i.exec(req.header('authorization') || '');
+  return match ? match[1] : null;
+};
+
+module.exports = async function(req, res, next) {
+  const token = getToken(req);
   if (!token) return res.status(401).json({ message: 'No token, authorization denied' });
 
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded;
-    next();
+    req.user = await verifyAccessToken(token);
   } catch (err) {
-    res.status(401).json({ message: 'Token is not valid' });
+    if (err.name === 'TokenExpiredError') {
+      return res.status(401).json({ message: 'Token has expired', code: 'TOKEN_EXPIRED' });
+    }
+    if (err.message === 'Session revoked') {
+      return res.status(401).json({ message: 'Session has been logged out', code: 'SESSION_REVOKED' });
+    }
+    if (err.name === 'JsonWebTokenError' || err.name === 'NotBeforeError') {
+      return res.status(401).json({ message: 'Token is not valid' });
+    }
+    console.error('Auth middleware error:', err.message);
+    return res.status(500).json({ message: 'Server error' });
   }
-};
\ No newline at end of file
+
+  next();
+};
+
+module.exports.getToken = getToken;
\ No newline at end of file
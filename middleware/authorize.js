@@ -0,0 +1,81 @@
+// Permissions granted to each role. Admins hold every permission, including
+// the admin-only 'users:manage', 'patients:delete', 'models:manage',
+// 'alerts:manage' and 'reports:manage'.
+const ROLE_PERMISSIONS = {
+  // The default role, held by every account from before roles were enforced;
+  // it keeps everything those accounts could already do
+  nurse: [
+    'patients:read', 'patients:write',
+    'zika:predict', 'malaria:analyze',
+    'records:read',
+    'pregnancies:read', 'pregnancies:write',
+    'labs:read',
+    'alerts:read',
+    'ai:read'
+  ],
+  doctor: [
+    'patients:read', 'patients:write',
+    'zika:predict', 'malaria:analyze',
+    'records:read',
+    'pregnancies:read', 'pregnancies:write',
+    'smears:read',
+    'labs:read', 'labs:write',
+    'analytics:read',
+    'surveillance:read',
+    'alerts:read', 'alerts:acknowledge',
+    'ai:read'
+  ],
+  lab_scientist: [
+    'patients:read',
+    'malaria:analyze',
+    'records:read',
+    'pregnancies:read',
+    'smears:read', 'smears:upload',
+    'labs:read', 'labs:write',
+    'alerts:read',
+    'ai:read'
+  ],
+  epidemiologist: [
+    'patients:read',
+    'records:read',
+    'pregnancies:read',
+    'labs:read',
+    'analytics:read',
+    'surveillance:read',
+    'alerts:read', 'alerts:acknowledge',
+    'reports:read', 'reports:finalise', 'reports:submit',
+    'ai:read'
+  ],
+  admin: ['*']
+};
+
+const hasPermission = (role, permission) => {
+  const granted = ROLE_PERMISSIONS[role] || [];
+  return granted.includes('*') || granted.includes(permission);
+};
+
+/**
+ * Require every listed permission for the authenticated user's role.
+ * Must run after middleware/auth so req.user is populated.
+ */
+const authorize = (...permissions) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ message: 'No token, authorization denied' });
+  }
+
+  const missing = permissions.filter(p => !hasPermission(req.user.role, p));
+  if (missing.length > 0) {
+    return res.status(403).json({
+      success: false,
+      message: `Role '${req.user.role}' is not allowed to perform this action`,
+      required: missing
+    });
+  }
+
+  next();
+};
+
+module.exports = authorize;
+module.exports.authorize = authorize;
+module.exports.hasPermission = hasPermission;
+module.exports.ROLE_PERMISSIONS = ROLE_PERMISSIONS;
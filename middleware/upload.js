@@ -0,0 +1,39 @@
+const multer = require('multer');
+
+const SMEAR_MIME_TYPES = ['image/jpeg', 'image/png', 'image/tiff'];
+const MAX_UPLOAD_MB = parseInt(process.env.SMEAR_MAX_UPLOAD_MB) || 20;
+
+const smearUploader = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_UPLOAD_MB * 1024 * 1024,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (!SMEAR_MIME_TYPES.includes(file.mimetype)) {
+      const err = new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname);
+      err.message = `Unsupported file type: ${file.mimetype}. Accepted types: JPEG, PNG, TIFF`;
+      return cb(err);
+    }
+    cb(null, true);
+  }
+});
+
+// Accepts a single smear photo in the "image" field and returns multer errors
+// in the same { success, message } shape as the rest of the API
+module.exports.smearUpload = function(req, res, next) {
+  smearUploader.single('image')(req, res, (err) => {
+    if (!err) return next();
+
+    if (err instanceof multer.MulterError) {
+      const tooLarge = err.code === 'LIMIT_FILE_SIZE';
+      return res.status(tooLarge ? 413 : 400).json({
+        success: false,
+        message: tooLarge ? `Image exceeds the ${MAX_UPLOAD_MB}MB upload limit` : err.message
+      });
+    }
+    next(err);
+  });
+};
+
+module.exports.SMEAR_MIME_TYPES = SMEAR_MIME_TYPES;
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+const TYPES = ['outbreak', 'model_drift'];
+const SEVERITIES = ['low', 'medium', 'high'];
+// resolved: a model_drift finding that stopped firing
+const STATUSES = ['open', 'acknowledged', 'resolved'];
+
+// One EARS method's result for the day
+const methodSchema = new mongoose.Schema({
+  method: { type: String, enum: ['C1', 'C2', 'C3'] },
+  statistic: Number,
+  threshold: Number,
+  fired: Boolean
+}, { _id: false });
+
+// The model version whose sensitivity fell below the floor
+const driftSchema = new mongoose.Schema({
+  modelName: String,
+  version: String,
+  engine: String,
+  scoringConfig: String,
+  scope: String,
+  sensitivity: Number,
+  floor: Number,
+  confirmedPositives: Number
+}, { _id: false });
+
+// An unusual number of HIGH/CRITICAL Zika assessments or parasite-positive
+// malaria results in one locality on one day (services/outbreakDetection.js),
+// or a model version missing too many lab-confirmed cases (model_drift,
+// services/modelPerformance.js; disease is the model)
+const alertSchema = new mongoose.Schema({
+  type: { type: String, enum: TYPES, default: 'outbreak' },
+  disease: { type: String, enum: ['zika', 'malaria'], required: true },
+  state: String,
+  lga: String,
+  // Local calendar day of the signal (UTC midnight) and its epidemiological week
+  date: { type: Date, required: true },
+  epiWeek: String,
+  count: Number,
+  baseline: {
+    mean: Number,
+    sd: Number,
+    days: Number
+  },
+  methods: [methodSchema],
+  // model_drift: which version, and a key identifying it
+  drift: driftSchema,
+  driftKey: String,
+  severity: { type: String, enum: SEVERITIES, required: true },
+  message: String,
+  status: { type: String, enum: STATUSES, default: 'open' },
+  acknowledgedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  acknowledgedAt: Date,
+  acknowledgementNote: String,
+  resolvedAt: Date,
+  detectedAt: { type: Date, default: Date.now },
+  lastEvaluatedAt: Date
+});
+
+// One outbreak alert per disease, locality and day, and one drift alert per
+// model version; later runs update it
+alertSchema.index({ disease: 1, state: 1, lga: 1, date: 1 }, { unique: true, partialFilterExpression: { type: 'outbreak' } });
+alertSchema.index({ disease: 1, driftKey: 1 }, { unique: true, partialFilterExpression: { type: 'model_drift' } });
+alertSchema.index({ status: 1, date: -1 });
+
+alertSchema.statics.TYPES = TYPES;
+alertSchema.statics.SEVERITIES = SEVERITIES;
+alertSchema.statics.STATUSES = STATUSES;
+
+module.exports = mongoose.model('Alert', alertSchema);
@@ -1,9 +1,39 @@
 // models/BloodSmear.js
 const mongoose = require('mongoose');
 
+const storedImageSchema = new mongoose.Schema({
+  storageKey: String,
+  contentType: String,
+  width: Number,
+  height: Number,
+  size: Number
+}, { _id: false });
+
 const bloodSmearSchema = new mongoose.Schema({
   patient: { type: mongoose.Schema.Types.ObjectId, ref: 'Patient' },
   imageUrl: String,
+  image: storedImageSchema,
+  thumbnail: storedImageSchema,
+  storageBackend: String,
+  originalName: String,
+  originalFormat: String,
+  checksum: String,   // SHA-256 of the uploaded file
+  uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  notes: String,
+  quality: {
+    score: Number,
+    grade: { type: String, enum: ['high', 'acceptable', 'low', 'unusable'] },
+    reasons: [String],
+    metrics: mongoose.Schema.Types.Mixed,
+    assessedAt: Date
+  },
+  // Latest TF.js image classification (services/smearClassifier.js)
+  inference: {
+    probability: Number,
+    tilesAnalysed: Number,
+    positiveTiles: Number,
+    analysedAt: Date
+  },
   parasiteDetected: Boolean,
   parasiteCount: Number,
   confidence: Number,
@@ -11,4 +41,19 @@ const bloodSmearSchema = new mongoose.Schema({
   createdAt: { type: Date, default: Date.now }
 });
 
+bloodSmearSchema.index({ patient: 1, createdAt: -1 });
+
+// Image inputs for MalariaDetectionModel.analyze. Quality always comes from the
+// server-side assessment stored at upload, never from the client.
+bloodSmearSchema.methods.toImageData = function() {
+  return {
+    url: this.imageUrl,
+    name: this.originalName,
+    size: this.image ? this.image.size : undefined,
+    qualityScore: this.quality ? this.quality.score : undefined,
+    qualityGrade: this.quality ? this.quality.grade : undefined,
+    qualityReasons: this.quality ? this.quality.reasons : undefined
+  };
+};
+
 module.exports = mongoose.model('BloodSmear', bloodSmearSchema);
\ No newline at end of file
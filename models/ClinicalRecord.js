@@ -5,13 +5,52 @@ const recordSchema = new mongoose.Schema({
   age: Number,
   sex: String,
   travelHistory: String,
+  // Vocabulary codes, plus any terms the vocabulary didn't recognise as sent
+  symptoms: [String],
+  symptomDetails: [{
+    _id: false,
+    code: String,
+    term: String,
+    onsetDate: Date,
+    severity: { type: String, enum: ['mild', 'moderate', 'severe'] }
+  }],
+  comorbidities: [String],
+  // Earliest of the encounter and symptom onset dates (illness day 1)
+  onsetDate: Date,
   prediction: {
     riskLevel: String,
     probability: Number,
     recommendation: String
   },
+  // Full risk_assessment payload as returned to the client
+  riskAssessment: mongoose.Schema.Types.Mixed,
+  // Ground-truth label from linked lab results (LabResult.updateConfirmation)
+  labConfirmation: {
+    result: { type: String, enum: ['positive', 'negative', 'inconclusive'] },
+    testType: String,
+    labResult: { type: mongoose.Schema.Types.ObjectId, ref: 'LabResult' },
+    results: Number,
+    confirmedAt: Date
+  },
+  modelName: String,
+  modelVersion: String,
+  engine: { type: String, default: 'rules' },
   predictedAt: { type: Date, default: Date.now },
-  predictedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+  predictedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  // Facility code of predictedBy when the record was made (IDSR reports)
+  facilityCode: String
+});
+
+recordSchema.index({ patient: 1, predictedAt: -1 });
+recordSchema.index({ predictedAt: -1 });
+recordSchema.index({ facilityCode: 1, predictedAt: -1 });
+
+// Stamp the facility of the user making the record, so IDSR keeps counting it
+// there if the user later moves to another facility
+recordSchema.pre('save', async function() {
+  if (!this.isNew || this.facilityCode || !this.predictedBy) return;
+  const user = await mongoose.model('User').findById(this.predictedBy).select('facility.code').lean();
+  if (user && user.facility && user.facility.code) this.facilityCode = user.facility.code;
 });
 
 module.exports = mongoose.model('ClinicalRecord', recordSchema);
\ No newline at end of file
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// SUCCESS, WARNING and ERROR are DHIS2 import statuses (OK from older web
+// messages); FAILED means DHIS2 never returned an import summary
+const STATUSES = ['SUCCESS', 'OK', 'WARNING', 'ERROR', 'FAILED'];
+
+// One dataValueSets push to DHIS2 and the import summary it returned
+// (services/dhis2Client.js)
+const dhis2PushLogSchema = new mongoose.Schema({
+  report: { type: mongoose.Schema.Types.ObjectId, ref: 'IdsrReport' },
+  facility: String,
+  periodType: String,
+  dataSet: String,
+  period: String,
+  orgUnit: String,
+  values: Number,
+  dryRun: { type: Boolean, default: false },
+  status: { type: String, enum: STATUSES, required: true },
+  description: String,
+  importCount: {
+    imported: Number,
+    updated: Number,
+    ignored: Number,
+    deleted: Number
+  },
+  conflicts: [{ _id: false, object: String, value: String }],
+  httpStatus: Number,
+  attempts: Number,
+  error: String,
+  pushedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  at: { type: Date, default: Date.now }
+});
+
+dhis2PushLogSchema.index({ at: -1 });
+dhis2PushLogSchema.index({ report: 1, at: -1 });
+
+dhis2PushLogSchema.statics.STATUSES = STATUSES;
+
+module.exports = mongoose.model('Dhis2PushLog', dhis2PushLogSchema);
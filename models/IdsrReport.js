@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+const PERIOD_TYPES = ['weekly', 'monthly'];
+
+// One count: indicator x age group for one patient LGA
+const rowSchema = new mongoose.Schema({
+  state: String,
+  lga: String,
+  indicator: String,
+  ageGroup: String,
+  value: Number
+}, { _id: false });
+
+const historySchema = new mongoose.Schema({
+  action: { type: String, enum: ['finalised', 'reopened'] },
+  by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  at: { type: Date, default: Date.now },
+  reason: String,
+  hash: String
+}, { _id: false });
+
+// A finalised IDSR weekly or monthly report (services/idsr.js). The rows are a
+// snapshot taken at finalisation; records changed afterwards don't alter it
+// until it is reopened and finalised again.
+const idsrReportSchema = new mongoose.Schema({
+  periodType: { type: String, enum: PERIOD_TYPES, required: true },
+  // DHIS2 period: 2026W42 or 202610
+  period: { type: String, required: true },
+  startDate: Date,
+  endDate: Date,
+  facility: {
+    code: { type: String, required: true },
+    name: String,
+    lga: String,
+    state: String,
+    dhis2OrgUnit: String
+  },
+  status: { type: String, enum: ['final', 'reopened'], default: 'final' },
+  rows: [rowSchema],
+  ageUnknown: { type: Number, default: 0 },
+  // sha256 of the rows, to tell whether stored records still match
+  hash: String,
+  revision: { type: Number, default: 1 },
+  finalisedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  finalisedAt: Date,
+  // Latest push to DHIS2 (models/Dhis2PushLog.js) and the revision it sent
+  dhis2: {
+    status: String,
+    revision: Number,
+    pushedAt: Date,
+    log: { type: mongoose.Schema.Types.ObjectId, ref: 'Dhis2PushLog' }
+  },
+  history: [historySchema]
+});
+
+idsrReportSchema.index({ 'facility.code': 1, periodType: 1, period: 1 }, { unique: true });
+
+idsrReportSchema.statics.PERIOD_TYPES = PERIOD_TYPES;
+
+module.exports = mongoose.model('IdsrReport', idsrReportSchema);
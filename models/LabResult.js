@@ -0,0 +1,173 @@
+const mongoose = require('mongoose');
+const ClinicalRecord = require('./ClinicalRecord');
+const MalariaRecord = require('./MalariaRecord');
+
+// Test types and the disease (and prediction record) each one confirms
+const TEST_TYPES = {
+  microscopy: 'malaria',
+  malaria_rdt: 'malaria',
+  zika_pcr: 'zika',
+  zika_serology: 'zika'
+};
+const RESULTS = ['positive', 'negative', 'inconclusive', 'pending'];
+const SPECIES = ['P. falciparum', 'P. vivax', 'P. ovale', 'P. malariae', 'P. knowlesi'];
+const SPECIMENS = ['thick_smear', 'thin_smear', 'capillary_blood', 'venous_blood', 'whole_blood', 'serum', 'plasma', 'urine'];
+const SEROLOGY_RESULTS = ['reactive', 'non_reactive', 'equivocal'];
+
+// Detail block each test type may carry
+const DETAIL_FIELDS = {
+  microscopy: 'microscopy',
+  malaria_rdt: 'rdt',
+  zika_pcr: 'pcr',
+  zika_serology: 'serology'
+};
+
+// A laboratory result that confirms or refutes a Zika (ClinicalRecord) or
+// malaria (MalariaRecord) prediction
+const labResultSchema = new mongoose.Schema({
+  patient: { type: mongoose.Schema.Types.ObjectId, ref: 'Patient', required: [true, 'patient is required'] },
+  testType: {
+    type: String,
+    required: [true, 'testType is required'],
+    enum: { values: Object.keys(TEST_TYPES), message: `testType must be one of: ${Object.keys(TEST_TYPES).join(', ')}` }
+  },
+  // Derived from testType
+  disease: { type: String, enum: ['malaria', 'zika'] },
+  clinicalRecord: { type: mongoose.Schema.Types.ObjectId, ref: 'ClinicalRecord' },
+  malariaRecord: { type: mongoose.Schema.Types.ObjectId, ref: 'MalariaRecord' },
+  bloodSmear: { type: mongoose.Schema.Types.ObjectId, ref: 'BloodSmear' },
+  specimen: {
+    type: String,
+    enum: { values: SPECIMENS, message: `specimen must be one of: ${SPECIMENS.join(', ')}` }
+  },
+  // Derived from the microscopy or serology findings when not given
+  result: {
+    type: String,
+    enum: { values: RESULTS, message: `result must be one of: ${RESULTS.join(', ')}` }
+  },
+  microscopy: {
+    species: [{
+      type: String,
+      enum: { values: SPECIES, message: `species must be from: ${SPECIES.join(', ')}` }
+    }],
+    parasiteDensity: { type: Number, min: [0, 'parasiteDensity (parasites/μL) cannot be negative'] },
+    gametocytes: Boolean
+  },
+  rdt: {
+    brand: String,
+    antigen: { type: String, enum: ['HRP2', 'pLDH', 'HRP2/pLDH'] },
+    lotNumber: String
+  },
+  pcr: {
+    target: String,
+    ctValue: { type: Number, min: [0, 'ctValue cannot be negative'] }
+  },
+  serology: {
+    igm: { type: String, enum: { values: SEROLOGY_RESULTS, message: `igm must be one of: ${SEROLOGY_RESULTS.join(', ')}` } },
+    igg: { type: String, enum: { values: SEROLOGY_RESULTS, message: `igg must be one of: ${SEROLOGY_RESULTS.join(', ')}` } },
+    prntTitre: Number
+  },
+  collectedAt: Date,
+  reportedAt: { type: Date, default: Date.now },
+  laboratory: String,
+  notes: String,
+  recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdAt: { type: Date, default: Date.now }
+});
+
+labResultSchema.index({ patient: 1, reportedAt: -1 });
+labResultSchema.index({ clinicalRecord: 1 });
+labResultSchema.index({ malariaRecord: 1 });
+labResultSchema.index({ testType: 1, result: 1, reportedAt: -1 });
+
+labResultSchema.pre('validate', function(next) {
+  this.disease = TEST_TYPES[this.testType];
+
+  // Details and links that don't belong to this test type
+  for (const [testType, field] of Object.entries(DETAIL_FIELDS)) {
+    const detail = this[field] && this[field].toObject ? this[field].toObject() : this[field];
+    const given = detail && Object.values(detail).some(v => v != null && !(Array.isArray(v) && v.length === 0));
+    if (given && testType !== this.testType) {
+      this.invalidate(field, `${field} only applies to ${testType} results`);
+    }
+  }
+  if (this.clinicalRecord && this.disease !== 'zika') {
+    this.invalidate('clinicalRecord', 'clinicalRecord links Zika results (zika_pcr, zika_serology) only');
+  }
+  if (this.malariaRecord && this.disease !== 'malaria') {
+    this.invalidate('malariaRecord', 'malariaRecord links malaria results (microscopy, malaria_rdt) only');
+  }
+  if (this.bloodSmear && this.testType !== 'microscopy') {
+    this.invalidate('bloodSmear', 'bloodSmear only applies to microscopy results');
+  }
+
+  if (!this.result) {
+    const { species = [], parasiteDensity } = this.microscopy || {};
+    const igm = this.serology && this.serology.igm;
+    if (this.testType === 'microscopy' && (parasiteDensity > 0 || species.length > 0)) {
+      this.result = 'positive';
+    } else if (this.testType === 'microscopy' && parasiteDensity === 0) {
+      this.result = 'negative';
+    } else if (this.testType === 'zika_serology' && igm) {
+      this.result = { reactive: 'positive', non_reactive: 'negative', equivocal: 'inconclusive' }[igm];
+    } else {
+      this.result = 'pending';
+    }
+  }
+
+  next();
+});
+
+/**
+ * Set the ground-truth label on a prediction record from every lab result
+ * linked to it. Any positive result confirms the prediction's disease (a late
+ * IgM can be positive after a PCR that missed the viraemic window); otherwise
+ * a negative refutes it; otherwise the label is inconclusive. Pending results
+ * don't count.
+ * @param {String} field - 'clinicalRecord' or 'malariaRecord'
+ * @returns {Promise<Object|null>} The label, or null if there is no finished result
+ */
+labResultSchema.statics.updateConfirmation = async function(field, recordId) {
+  if (!recordId) return null;
+  const Record = field === 'clinicalRecord' ? ClinicalRecord : MalariaRecord;
+
+  const results = await this.find({ [field]: recordId, result: { $ne: 'pending' } }).sort({ reportedAt: -1 });
+  const decisive = results.find(r => r.result === 'positive') ||
+    results.find(r => r.result === 'negative') ||
+    results[0];
+
+  const confirmation = decisive
+    ? {
+        result: decisive.result,
+        testType: decisive.testType,
+        labResult: decisive._id,
+        results: results.length,
+        confirmedAt: decisive.reportedAt
+      }
+    : null;
+
+  await Record.updateOne(
+    { _id: recordId },
+    confirmation ? { $set: { labConfirmation: confirmation } } : { $unset: { labConfirmation: 1 } }
+  );
+  return confirmation;
+};
+
+/**
+ * Refresh the label of whichever prediction record this result is linked to
+ */
+labResultSchema.methods.updateConfirmation = function() {
+  return this.disease === 'zika'
+    ? this.constructor.updateConfirmation('clinicalRecord', this.clinicalRecord)
+    : this.constructor.updateConfirmation('malariaRecord', this.malariaRecord);
+};
+
+labResultSchema.statics.TEST_TYPES = TEST_TYPES;
+labResultSchema.statics.RESULTS = RESULTS;
+// Fields clients may set through the API; the patient and record links are set on create only
+labResultSchema.statics.EDITABLE_FIELDS = [
+  'specimen', 'result', 'microscopy', 'rdt', 'pcr', 'serology', 'collectedAt', 'reportedAt', 'laboratory', 'notes'
+];
+
+module.exports = mongoose.model('LabResult', labResultSchema);
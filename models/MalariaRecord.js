@@ -1,7 +1,17 @@
 // models/MalariaRecord.js
 const mongoose = require('mongoose');
+const BloodSmear = require('./BloodSmear');
+const { getModel } = require('./ai');
 
 const MalariaRecordSchema = new mongoose.Schema({
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient'
+  },
+  bloodSmear: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BloodSmear'
+  },
   detectedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -20,16 +30,138 @@ const MalariaRecordSchema = new mongoose.Schema({
     type: Number,
     required: true
   },
+  clinicalPrior: Number,
+  detectionMethod: {
+    type: String,
+    enum: ['image', 'clinical']
+  },
   recommendation: {
     type: String,
     required: true
   },
+  recommendations: [String],
+  species: [{
+    _id: false,
+    name: String,
+    probability: Number
+  }],
+  parasiteDensity: Number,
+  severity: String,
+  age: Number,
+  sex: String,
+  travelHistory: String,
+  // Vocabulary codes, plus any terms the vocabulary didn't recognise as sent
+  symptoms: [String],
+  symptomDetails: [{
+    _id: false,
+    code: String,
+    term: String,
+    onsetDate: Date,
+    severity: { type: String, enum: ['mild', 'moderate', 'severe'] }
+  }],
+  // Ground-truth label from linked lab results (LabResult.updateConfirmation)
+  labConfirmation: {
+    result: { type: String, enum: ['positive', 'negative', 'inconclusive'] },
+    testType: String,
+    labResult: { type: mongoose.Schema.Types.ObjectId, ref: 'LabResult' },
+    results: Number,
+    confirmedAt: Date
+  },
+  modelName: String,
+  modelVersion: String,
+  engine: {
+    type: String,
+    enum: ['local', 'python-sidecar'],
+    default: 'local'
+  },
+  source: {
+    type: String,
+    enum: ['malaria/analyze', 'malaria/smears', 'zika/malaria-analyze']
+  },
   imageSize: Number,
   imageName: String,
   timestamp: {
     type: Date,
     default: Date.now
-  }
+  },
+  // Facility code of detectedBy when the record was made (IDSR reports)
+  facilityCode: String
+});
+
+MalariaRecordSchema.index({ patient: 1, timestamp: -1 });
+MalariaRecordSchema.index({ result: 1, timestamp: -1 });
+MalariaRecordSchema.index({ timestamp: -1 });
+MalariaRecordSchema.index({ facilityCode: 1, timestamp: -1 });
+
+// Stamp the facility of the user making the record, so IDSR keeps counting it
+// there if the user later moves to another facility
+MalariaRecordSchema.pre('save', async function() {
+  if (!this.isNew || this.facilityCode || !this.detectedBy) return;
+  const user = await mongoose.model('User').findById(this.detectedBy).select('facility.code').lean();
+  if (user && user.facility && user.facility.code) this.facilityCode = user.facility.code;
 });
 
+/**
+ * Persist a MalariaDetectionModel analysis together with its BloodSmear
+ * @param {Object} analysis - `analysis` block returned by MalariaDetectionModel.analyze
+ * @param {Object} context - { patient, detectedBy, input, imageData, source, smear, engine }
+ *   Pass `smear` to attach the analysis to an uploaded BloodSmear instead of creating one
+ * @returns {Promise<Object>} The saved MalariaRecord
+ */
+MalariaRecordSchema.statics.fromAnalysis = async function(analysis, context) {
+  const { patient, detectedBy, input = {}, imageData = {}, source, engine } = context;
+  const parasitized = analysis.result === 'PARASITES DETECTED';
+  const model = analysis.model || {};
+  const recommendations = analysis.recommendations || [];
+
+  const smear = context.smear || new BloodSmear({ imageUrl: imageData.url });
+  if (patient && !smear.patient) smear.patient = patient._id;
+  smear.parasiteDetected = parasitized;
+
+  // Prefer the image classifier's own figures when it ran
+  const inference = analysis.image_inference;
+  if (inference) {
+    smear.parasiteCount = inference.positive_tiles;
+    smear.confidence = inference.confidence;
+    smear.modelVersion = `${inference.model.name} ${inference.model.version}`;
+    smear.inference = {
+      probability: inference.probability,
+      tilesAnalysed: inference.tiles_analysed,
+      positiveTiles: inference.positive_tiles,
+      analysedAt: new Date()
+    };
+  } else {
+    smear.parasiteCount = analysis.parasite_density;
+    smear.confidence = analysis.confidence;
+    smear.modelVersion = model.version;
+  }
+  await smear.save();
+
+  return this.create({
+    patient: patient ? patient._id : undefined,
+    bloodSmear: smear._id,
+    detectedBy,
+    result: parasitized ? 'Parasitized' : 'Uninfected',
+    confidence: analysis.confidence,
+    parasiteProbability: analysis.probability,
+    clinicalPrior: analysis.clinical_prior,
+    detectionMethod: analysis.detection_method,
+    recommendation: recommendations[0] || analysis.result,
+    recommendations,
+    species: analysis.species || [],
+    parasiteDensity: analysis.parasite_density,
+    severity: analysis.severity,
+    age: parseInt(input.age),
+    sex: input.sex,
+    travelHistory: input.travelHistory,
+    ...getModel('symptomVocabulary').toRecordFields(input.symptoms || []),
+    modelName: model.name,
+    modelVersion: model.version,
+    engine,
+    source,
+    imageSize: imageData.size,
+    imageName: imageData.name
+  });
+};
+
 module.exports = mongoose.model('MalariaRecord', MalariaRecordSchema);
\ No newline at end of file
@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+
+// WHO Child Growth Standards head circumference at birth (cm). Below -2 SD is
+// microcephaly, below -3 SD severe microcephaly. Only valid for term births;
+// preterm babies need INTERGROWTH-21st charts and are left unassessed here.
+const HEAD_CIRCUMFERENCE_THRESHOLDS = {
+  M: { minus2SD: 31.9, minus3SD: 30.7 },
+  F: { minus2SD: 31.5, minus3SD: 30.3 }
+};
+const TERM_WEEKS = 37;
+
+// Clinical features of congenital Zika syndrome
+const CZS_FINDINGS = [
+  'severe_microcephaly_with_skull_collapse',
+  'intracranial_calcifications',
+  'ventriculomegaly',
+  'eye_abnormalities',
+  'congenital_contractures',
+  'hypertonia',
+  'seizures',
+  'hearing_loss',
+  'feeding_difficulties'
+];
+
+const newbornSchema = new mongoose.Schema({
+  mother: { type: mongoose.Schema.Types.ObjectId, ref: 'Patient', required: true },
+  followUp: { type: mongoose.Schema.Types.ObjectId, ref: 'PregnancyFollowUp' },
+  // The baby's own patient record, once registered
+  patient: { type: mongoose.Schema.Types.ObjectId, ref: 'Patient' },
+  dateOfBirth: { type: Date, required: [true, 'dateOfBirth is required'] },
+  sex: { type: String, enum: { values: ['M', 'F'], message: 'sex must be M or F' } },
+  gestationalAgeAtBirth: {
+    type: Number,
+    min: [22, 'gestationalAgeAtBirth must be between 22 and 44 weeks'],
+    max: [44, 'gestationalAgeAtBirth must be between 22 and 44 weeks']
+  },
+  birthWeightGrams: { type: Number, min: [300, 'birthWeightGrams must be at least 300'] },
+  headCircumferenceCm: {
+    type: Number,
+    required: [true, 'headCircumferenceCm is required'],
+    min: [15, 'headCircumferenceCm must be between 15 and 50'],
+    max: [50, 'headCircumferenceCm must be between 15 and 50']
+  },
+  lengthCm: Number,
+  findings: [{
+    type: String,
+    enum: { values: CZS_FINDINGS, message: `findings must be from: ${CZS_FINDINGS.join(', ')}` }
+  }],
+  zikaTest: {
+    method: { type: String, enum: ['RT-PCR', 'IgM'] },
+    specimen: String,
+    result: { type: String, enum: ['positive', 'negative', 'inconclusive', 'pending'] },
+    collectedAt: Date
+  },
+  eyeExam: { type: String, enum: ['normal', 'abnormal', 'not_done'], default: 'not_done' },
+  hearingScreen: { type: String, enum: ['pass', 'refer', 'not_done'], default: 'not_done' },
+  // Derived on save
+  microcephaly: { type: String, enum: ['none', 'microcephaly', 'severe_microcephaly', 'unassessed'] },
+  classification: {
+    type: String,
+    enum: ['congenital_zika_suspected', 'screening_incomplete', 'no_evidence_of_congenital_zika']
+  },
+  notes: String,
+  recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdAt: { type: Date, default: Date.now }
+});
+
+newbornSchema.index({ mother: 1 });
+newbornSchema.index({ classification: 1, dateOfBirth: -1 });
+
+/**
+ * Microcephaly category from head circumference, sex and gestational age
+ */
+newbornSchema.statics.classifyHeadCircumference = function(headCircumferenceCm, sex, gestationalAgeAtBirth) {
+  const thresholds = HEAD_CIRCUMFERENCE_THRESHOLDS[sex];
+  const preterm = gestationalAgeAtBirth != null && gestationalAgeAtBirth < TERM_WEEKS;
+  if (!thresholds || preterm || headCircumferenceCm == null) return 'unassessed';
+  if (headCircumferenceCm < thresholds.minus3SD) return 'severe_microcephaly';
+  if (headCircumferenceCm < thresholds.minus2SD) return 'microcephaly';
+  return 'none';
+};
+
+newbornSchema.pre('validate', function(next) {
+  this.microcephaly = this.constructor.classifyHeadCircumference(
+    this.headCircumferenceCm, this.sex, this.gestationalAgeAtBirth
+  );
+
+  const suspected = ['microcephaly', 'severe_microcephaly'].includes(this.microcephaly) ||
+    this.findings.length > 0 ||
+    this.zikaTest?.result === 'positive' ||
+    this.eyeExam === 'abnormal' ||
+    this.hearingScreen === 'refer';
+  const complete = this.microcephaly !== 'unassessed' &&
+    ['negative', 'inconclusive'].includes(this.zikaTest?.result) &&
+    this.eyeExam !== 'not_done' &&
+    this.hearingScreen !== 'not_done';
+
+  this.classification = suspected
+    ? 'congenital_zika_suspected'
+    : complete ? 'no_evidence_of_congenital_zika' : 'screening_incomplete';
+
+  next();
+});
+
+newbornSchema.statics.CZS_FINDINGS = CZS_FINDINGS;
+newbornSchema.statics.EDITABLE_FIELDS = [
+  'patient', 'dateOfBirth', 'sex', 'gestationalAgeAtBirth', 'birthWeightGrams', 'headCircumferenceCm',
+  'lengthCm', 'findings', 'zikaTest', 'eyeExam', 'hearingScreen', 'notes'
+];
+
+module.exports = mongoose.model('NewbornRecord', newbornSchema);
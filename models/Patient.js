@@ -1,11 +1,178 @@
 const mongoose = require('mongoose');
 
+// Accept the spellings the clinical forms use (M, F, male, Female) and store M/F
+const normalizeSex = (value) => {
+  if (typeof value !== 'string') return value;
+  const upper = value.trim().toUpperCase();
+  return { MALE: 'M', FEMALE: 'F' }[upper] || upper;
+};
+
+// Completed years between dateOfBirth and `on`
+const ageOn = (dateOfBirth, on = new Date()) => {
+  let years = on.getFullYear() - dateOfBirth.getFullYear();
+  const beforeBirthday = on.getMonth() < dateOfBirth.getMonth() ||
+    (on.getMonth() === dateOfBirth.getMonth() && on.getDate() < dateOfBirth.getDate());
+  return beforeBirthday ? years - 1 : years;
+};
+
+const PHONE_PATTERN = /^\+?[0-9][0-9 -]{6,18}[0-9]$/;
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+const isBlank = (value) => value === undefined || value === null || value === '' ||
+  (Array.isArray(value) && value.length === 0);
+
 const patientSchema = new mongoose.Schema({
-  patientId: String,
-  age: Number,
-  sex: String,
-  residence: String,
-  dateReported: Date
+  // Unique. Databases from before the index need scripts/migrate_patient_ids.js
+  // to resolve duplicate and blank ids first
+  patientId: {
+    type: String,
+    required: [true, 'patientId is required'],
+    unique: true,
+    trim: true
+  },
+  // With a dateOfBirth, age is derived from it on every save
+  dateOfBirth: {
+    type: Date,
+    validate: {
+      validator: (value) => !value || value <= new Date(),
+      message: 'dateOfBirth cannot be in the future'
+    }
+  },
+  age: {
+    type: Number,
+    min: [0, 'age must be between 0 and 120'],
+    max: [120, 'age must be between 0 and 120']
+  },
+  sex: {
+    type: String,
+    enum: { values: ['M', 'F'], message: 'sex must be M or F' },
+    set: normalizeSex
+  },
+  pregnancy: {
+    status: {
+      type: String,
+      enum: { values: ['pregnant', 'not_pregnant', 'unknown'], message: 'pregnancy.status must be pregnant, not_pregnant or unknown' }
+    },
+    gestationalWeek: {
+      type: Number,
+      min: [1, 'pregnancy.gestationalWeek must be between 1 and 42'],
+      max: [42, 'pregnancy.gestationalWeek must be between 1 and 42']
+    },
+    // When gestationalWeek was measured, so the current week can be worked out later
+    recordedAt: Date
+  },
+  comorbidities: [{ type: String, trim: true }],
+  travelHistory: { type: String, trim: true },
+  residence: { type: String, trim: true },
+  lga: { type: String, trim: true },
+  state: { type: String, trim: true },
+  phone: {
+    type: String,
+    trim: true,
+    match: [PHONE_PATTERN, 'phone must be a valid phone number']
+  },
+  nextOfKin: {
+    name: { type: String, trim: true },
+    relationship: { type: String, trim: true },
+    phone: {
+      type: String,
+      trim: true,
+      match: [PHONE_PATTERN, 'nextOfKin.phone must be a valid phone number']
+    }
+  },
+  dateReported: { type: Date, default: Date.now },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true, toJSON: { virtuals: true }, toObject: { virtuals: true } });
+
+patientSchema.index({ dateReported: -1, _id: -1 });
+patientSchema.index({ state: 1, lga: 1 });
+
+patientSchema.pre('validate', function(next) {
+  if (this.dateOfBirth && this.dateOfBirth <= new Date()) {
+    this.age = ageOn(this.dateOfBirth);
+  }
+
+  const pregnancy = this.pregnancy || {};
+  if (pregnancy.status === 'pregnant' && this.sex === 'M') {
+    this.invalidate('pregnancy.status', 'pregnancy.status cannot be pregnant for a male patient');
+  }
+  if (pregnancy.gestationalWeek != null && pregnancy.status !== 'pregnant') {
+    this.invalidate('pregnancy.gestationalWeek', 'pregnancy.gestationalWeek requires pregnancy.status pregnant');
+  }
+  const weekChanged = this.isNew || this.isModified('pregnancy.gestationalWeek');
+  const recordedAtSent = pregnancy.recordedAt && this.isModified('pregnancy.recordedAt');
+  if (weekChanged && pregnancy.gestationalWeek != null && !recordedAtSent) {
+    this.pregnancy.recordedAt = new Date();
+  }
+
+  next();
+});
+
+// Age today; the stored age is only as fresh as the last save
+patientSchema.virtual('currentAge').get(function() {
+  return this.dateOfBirth ? ageOn(this.dateOfBirth) : this.age;
+});
+
+// Gestational week today, counted on from when it was recorded
+patientSchema.virtual('currentGestationalWeek').get(function() {
+  const { status, gestationalWeek, recordedAt } = this.pregnancy || {};
+  if (status !== 'pregnant' || gestationalWeek == null) return null;
+  const weeksSince = recordedAt ? Math.floor((Date.now() - recordedAt.getTime()) / WEEK_MS) : 0;
+  return gestationalWeek + weeksSince;
+});
+
+// Fields clients may set through the API
+patientSchema.statics.EDITABLE_FIELDS = [
+  'patientId', 'dateOfBirth', 'age', 'sex', 'pregnancy', 'comorbidities', 'travelHistory',
+  'residence', 'lga', 'state', 'phone', 'nextOfKin', 'dateReported'
+];
+
+// The Flutter app sends either the Mongo _id or the hospital patientId
+patientSchema.statics.findByAnyId = function(id) {
+  if (!id) return Promise.resolve(null);
+  if (mongoose.isObjectIdOrHexString(id)) {
+    return this.findOne({ $or: [{ _id: id }, { patientId: String(id) }] });
+  }
+  return this.findOne({ patientId: String(id) });
+};
+
+/**
+ * Fill clinical inputs the request left out from the stored profile.
+ * Only the fields present as keys in `inputs` are filled.
+ * @param {Object} inputs - Any of { age, sex, travelHistory, comorbidities, pregnancy } as sent by the client
+ * @returns {Object} { inputs, fromProfile } - merged inputs and the fields taken from the profile
+ */
+patientSchema.methods.fillClinicalInputs = function(inputs) {
+  const profile = {
+    age: this.currentAge,
+    sex: this.sex,
+    travelHistory: this.travelHistory,
+    comorbidities: this.comorbidities ? [...this.comorbidities] : [],
+    pregnancy: this.pregnancy && this.pregnancy.status
+      ? { status: this.pregnancy.status, gestationalWeek: this.currentGestationalWeek }
+      : undefined
+  };
+
+  const merged = { ...inputs };
+  const fromProfile = [];
+  for (const field of Object.keys(inputs)) {
+    if (isBlank(merged[field]) && !isBlank(profile[field])) {
+      merged[field] = profile[field];
+      fromProfile.push(field);
+    }
+  }
+
+  return { inputs: merged, fromProfile };
+};
+
+const Patient = mongoose.model('Patient', patientSchema);
+
+// autoIndex can't build the unique index over duplicate ids; say how to fix it
+Patient.on('index', (error) => {
+  if (error) {
+    console.error('❌ Patient indexes not built:', error.message);
+    console.error('   Run node scripts/migrate_patient_ids.js (then --apply) to resolve duplicate or blank patientIds');
+  }
 });
 
-module.exports = mongoose.model('Patient', patientSchema);
\ No newline at end of file
+module.exports = Patient;
\ No newline at end of file
@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+
+const RISK_ORDER = ['VERY LOW', 'LOW', 'MODERATE', 'HIGH', 'CRITICAL'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+
+// One scheduled ultrasound, serology or newborn screening visit
+const planItemSchema = new mongoose.Schema({
+  type: { type: String, enum: ['ultrasound', 'serology', 'newborn_screening'], required: true },
+  description: String,
+  dueDate: Date,
+  gestationalWeek: Number,
+  status: { type: String, enum: ['scheduled', 'completed', 'missed', 'cancelled'], default: 'scheduled' },
+  completedAt: Date,
+  completedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  result: String,
+  notes: String
+});
+
+// A pregnancy being followed after an at-risk Zika assessment, until the
+// newborn has been screened
+const followUpSchema = new mongoose.Schema({
+  patient: { type: mongoose.Schema.Types.ObjectId, ref: 'Patient', required: true },
+  status: { type: String, enum: ['active', 'delivered', 'closed'], default: 'active' },
+  riskLevel: String,
+  gestationalWeekAtEnrolment: Number,
+  trimesterAtEnrolment: Number,
+  estimatedDueDate: Date,
+  pathwayVersion: String,
+  clinicalRecords: [{ type: mongoose.Schema.Types.ObjectId, ref: 'ClinicalRecord' }],
+  plan: [planItemSchema],
+  newborns: [{ type: mongoose.Schema.Types.ObjectId, ref: 'NewbornRecord' }],
+  enrolledBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  enrolledAt: { type: Date, default: Date.now },
+  closedAt: Date,
+  closedReason: String
+});
+
+followUpSchema.index({ status: 1, estimatedDueDate: 1 });
+// At most one active follow-up per patient
+followUpSchema.index({ patient: 1 }, { unique: true, partialFilterExpression: { status: 'active' } });
+
+followUpSchema.statics.RISK_ORDER = RISK_ORDER;
+
+/**
+ * Enrol a patient from a prediction's pregnancy_pathway, or add the prediction
+ * to the patient's active follow-up (escalating its risk level if higher).
+ * The original plan is kept so completed items aren't lost.
+ * @returns {Object|null} The follow-up, or null if the pathway doesn't recommend follow-up
+ */
+followUpSchema.statics.enrolFromPathway = async function(patient, pathway, riskLevel, { record, enrolledBy } = {}) {
+  if (!pathway || !pathway.follow_up_recommended) return null;
+
+  const existing = await this.findOne({ patient: patient._id, status: 'active' });
+  if (existing) {
+    if (RISK_ORDER.indexOf(riskLevel) > RISK_ORDER.indexOf(existing.riskLevel)) {
+      existing.riskLevel = riskLevel;
+    }
+    if (record) existing.clinicalRecords.push(record._id);
+    return existing.save();
+  }
+
+  return this.create({
+    patient: patient._id,
+    riskLevel,
+    gestationalWeekAtEnrolment: pathway.gestational_week,
+    trimesterAtEnrolment: pathway.trimester,
+    estimatedDueDate: pathway.estimated_due_date || undefined,
+    pathwayVersion: pathway.version,
+    clinicalRecords: record ? [record._id] : [],
+    plan: pathway.follow_up_plan.map(item => ({
+      type: item.type,
+      description: item.description,
+      dueDate: item.due_date || undefined,
+      gestationalWeek: item.gestational_week
+    })),
+    enrolledBy
+  });
+};
+
+/**
+ * Gestational week today, counted on from enrolment
+ */
+followUpSchema.methods.currentGestationalWeek = function(now = new Date()) {
+  if (this.gestationalWeekAtEnrolment == null) return null;
+  return this.gestationalWeekAtEnrolment + Math.floor((now - this.enrolledAt) / WEEK_MS);
+};
+
+/**
+ * Scheduled items whose due day has passed
+ */
+followUpSchema.methods.overdueItems = function(now = new Date()) {
+  return this.plan.filter(item => item.status === 'scheduled' && item.dueDate &&
+    item.dueDate.getTime() + DAY_MS <= now.getTime());
+};
+
+/**
+ * The next scheduled item
+ */
+followUpSchema.methods.nextItem = function() {
+  return this.plan
+    .filter(item => item.status === 'scheduled')
+    .sort((a, b) => (a.dueDate || Infinity) - (b.dueDate || Infinity))[0] || null;
+};
+
+module.exports = mongoose.model('PregnancyFollowUp', followUpSchema);
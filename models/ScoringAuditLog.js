@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+const { SCORING_MODELS } = require('../services/scoringConfig');
+
+// Who uploaded, dry-ran, activated or rolled back a scoring profile, and when.
+// version/hash describe the config the action applied to; previousVersion and
+// previousHash the config that was live before an activation or rollback.
+const scoringAuditLogSchema = new mongoose.Schema({
+  action: { type: String, enum: ['upload', 'dry_run', 'activate', 'rollback'], required: true },
+  model: { type: String, enum: SCORING_MODELS, required: true },
+  profile: { type: mongoose.Schema.Types.ObjectId, ref: 'ScoringProfile' },
+  version: String,
+  hash: String,
+  previousVersion: String,
+  previousHash: String,
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  details: mongoose.Schema.Types.Mixed,
+  at: { type: Date, default: Date.now }
+});
+
+scoringAuditLogSchema.index({ model: 1, at: -1 });
+
+module.exports = mongoose.model('ScoringAuditLog', scoringAuditLogSchema);
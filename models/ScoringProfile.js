@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+const { SCORING_MODELS } = require('../services/scoringConfig');
+
+// An uploaded scoring config for the Zika or malaria model. At most one profile
+// per model is active; with none active the model uses its default config file
+// (models/ai/scoring). previousProfile is what was active before this profile
+// was activated, so a rollback can return to it.
+const scoringProfileSchema = new mongoose.Schema({
+  model: { type: String, enum: SCORING_MODELS, required: true },
+  version: { type: String, required: true },
+  config: { type: mongoose.Schema.Types.Mixed, required: true },
+  hash: { type: String, required: true },
+  notes: String,
+  active: { type: Boolean, default: false },
+  previousProfile: { type: mongoose.Schema.Types.ObjectId, ref: 'ScoringProfile' },
+  activatedAt: Date,
+  activatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  createdAt: { type: Date, default: Date.now }
+});
+
+scoringProfileSchema.index({ model: 1, version: 1 }, { unique: true });
+// At most one active profile per model
+scoringProfileSchema.index(
+  { model: 1 },
+  { unique: true, partialFilterExpression: { active: true } }
+);
+
+module.exports = mongoose.model('ScoringProfile', scoringProfileSchema);
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// One login on one device. The refresh token is stored only as a hash and is
+// rotated on every refresh; access tokens carry the session id (sid) so
+// middleware/auth.js can reject them once the session is revoked.
+const sessionSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  refreshTokenHash: { type: String, required: true },
+  expiresAt: { type: Date, required: true },
+  revokedAt: Date,
+  revokedReason: { type: String, enum: ['logout', 'logout_all', 'refresh_token_reuse', 'role_changed'] },
+  userAgent: String,
+  ip: String,
+  lastRefreshedAt: Date,
+  createdAt: { type: Date, default: Date.now }
+});
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// MongoDB drops sessions once their refresh token can no longer be used
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
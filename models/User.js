@@ -1,10 +1,25 @@
 const mongoose = require('mongoose');
 
+// Clinical and administrative roles; permissions per role live in middleware/authorize.js
+const ROLES = ['nurse', 'doctor', 'lab_scientist', 'epidemiologist', 'admin'];
+const DEFAULT_ROLE = 'nurse';
+
 const userSchema = new mongoose.Schema({
   name: String,
   email: { type: String, unique: true },
   password: String,
-  role: { type: String, default: 'nurse' }
+  role: { type: String, enum: ROLES, default: DEFAULT_ROLE },
+  // Health facility the user reports from (IDSR reports are per facility)
+  facility: {
+    code: { type: String, trim: true },
+    name: { type: String, trim: true },
+    lga: { type: String, trim: true },
+    state: { type: String, trim: true },
+    dhis2OrgUnit: { type: String, trim: true }
+  }
 });
 
+userSchema.statics.ROLES = ROLES;
+userSchema.statics.DEFAULT_ROLE = DEFAULT_ROLE;
+
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
@@ -0,0 +1,275 @@
+// models/ai/ABSUTHClinicalAI.js - Zika/malaria clinical decision support engine
+const AI_CONFIG = require('./config');
+
+// ============================================================================
+// ADVANCED CLINICAL AI ENGINE (Updated to use new models)
+// ============================================================================
+class ABSUTHClinicalAI {
+  /**
+   * @param {Object} models - Shared model instances from the registry (models/ai/index.js)
+   */
+  constructor({ zikaModel, malariaModel, dualScreeningModel, pregnancyPathway, symptomVocabulary, forestModel = null, unavailableEngines = {} }) {
+    this.name = "ABSUTH Clinical Decision Support System v3.0";
+    this.version = "3.0.0";
+    this.lastUpdated = "2024-12-01";
+    
+    this.zikaModel = zikaModel;
+    this.malariaModel = malariaModel;
+    this.dualScreeningModel = dualScreeningModel;
+    this.pregnancyPathway = pregnancyPathway;
+    this.symptomVocabulary = symptomVocabulary;
+    
+    // Selectable Zika engines for /predict
+    this.zikaEngines = { rules: this.zikaModel };
+    if (forestModel) {
+      this.forestModel = forestModel;
+      this.zikaEngines.forest = forestModel;
+    }
+    // Engines that exist but were refused at startup, with the reason
+    this.unavailableEngines = unavailableEngines;
+  }
+
+  /**
+   * Main prediction function with advanced clinical logic
+   * @param {Object} patientData - Request fields (age, sex, travel_history, ...)
+   * @param {String} engine - Key of this.zikaEngines, e.g. 'rules' or 'forest'
+   * @param {Object} options - { explain } for the verbose score explanation
+   */
+  predictZikaRisk(patientData, engine = AI_CONFIG.DEFAULT_ZIKA_ENGINE, { explain = false } = {}) {
+    const { age, sex, travel_history, symptoms = [], comorbidities = [] } = patientData;
+    
+    console.log(`🤖 AI Processing [${engine}]: Age=${age}, Sex=${sex}, Travel=${travel_history?.substring(0, 50)}...`);
+    
+    const zikaModel = this.zikaEngines[engine];
+    if (!zikaModel) {
+      throw new Error(`Invalid engine: ${engine}. Available engines: ${Object.keys(this.zikaEngines).join(', ')}`);
+    }
+    
+    // 1. INPUT VALIDATION
+    const validation = this.validateInput(patientData);
+    if (!validation.valid) {
+      throw new Error(`Validation failed: ${validation.error}`);
+    }
+
+    // 2. PROCESS WITH SELECTED ZIKA MODEL
+    const zikaResult = zikaModel.predict({
+      age: parseInt(age),
+      sex: sex,
+      travelHistory: travel_history || '',
+      symptoms: Array.isArray(symptoms) ? symptoms : [symptoms].filter(Boolean),
+      comorbidities: this.withPregnancyComorbidity(patientData),
+      onsetDate: patientData.onset_date
+    }, { explain });
+
+    // 3. PREGNANCY PATHWAY
+    this.attachPregnancyPathway(patientData, zikaResult.prediction);
+
+    return {
+      success: true,
+      timestamp: new Date().toISOString(),
+      patient_summary: {
+        age: patientData.age,
+        sex: patientData.sex,
+        travel_history: patientData.travel_history || 'Not provided',
+        symptoms: patientData.symptoms || [],
+        comorbidities: patientData.comorbidities || [],
+        onset_date: patientData.onset_date || undefined,
+        ...this.summarizeSymptoms(patientData.symptoms),
+        pregnancy: patientData.pregnancy || undefined
+      },
+      risk_assessment: zikaResult.prediction,
+      ai_metadata: {
+        model_name: zikaModel.name,
+        version: zikaModel.version,
+        engine: engine,
+        disclaimer: "This AI assessment is for clinical decision support only. Final diagnosis must be made by a qualified healthcare professional."
+      }
+    };
+  }
+
+  /**
+   * Symptoms as the models understood them, for patient_summary
+   */
+  summarizeSymptoms(symptoms = []) {
+    const { symptoms: coded, unrecognized } = this.symptomVocabulary.code(symptoms);
+    return { coded_symptoms: coded, unrecognized_symptoms: unrecognized };
+  }
+
+  /**
+   * A pregnancy recorded on the profile is scored like the 'pregnancy' comorbidity
+   */
+  withPregnancyComorbidity(patientData) {
+    const { comorbidities = [] } = patientData;
+    const list = Array.isArray(comorbidities) ? [...comorbidities] : [comorbidities].filter(Boolean);
+    const listed = list.some(c => String(c).toLowerCase().includes('pregnan'));
+    if (!listed && this.pregnancyPathway.isPregnant(patientData)) {
+      list.push('pregnancy');
+    }
+    return list;
+  }
+
+  /**
+   * Add pregnancy_pathway to a risk assessment for pregnant patients. Also used by
+   * the route for sidecar results, which don't include it.
+   * @returns {Object|null} The pathway, or null if the patient isn't pregnant
+   */
+  attachPregnancyPathway(patientData, riskAssessment) {
+    if (!this.pregnancyPathway.isPregnant(patientData)) return null;
+
+    const pathway = this.pregnancyPathway.assess(patientData.pregnancy || {}, riskAssessment);
+    riskAssessment.pregnancy_pathway = pathway;
+    if (Array.isArray(riskAssessment.recommendations)) {
+      riskAssessment.recommendations.unshift("🤰 Pregnant patient: follow the Zika pregnancy pathway (see pregnancy_pathway)");
+    }
+    return pathway;
+  }
+
+  /**
+   * Run every available Zika engine on the same input for side-by-side comparison
+   */
+  compareZikaEngines(patientData) {
+    return Object.keys(this.zikaEngines).map(engine => {
+      const result = this.predictZikaRisk(patientData, engine);
+      return {
+        engine,
+        model_name: result.ai_metadata.model_name,
+        version: result.ai_metadata.version,
+        risk_level: result.risk_assessment.risk_level,
+        risk_score: result.risk_assessment.risk_score
+      };
+    });
+  }
+
+  /**
+   * Analyze malaria from blood smear
+   */
+  analyzeMalaria(patientData, imageData = {}) {
+    console.log(`🦠 Malaria Analysis Request:`, {
+      age: patientData.age,
+      symptoms: patientData.symptoms?.length || 0,
+      travel: patientData.travel_history?.substring(0, 50)
+    });
+
+    // Validate input
+    const validation = this.validateInput(patientData);
+    if (!validation.valid) {
+      throw new Error(`Validation failed: ${validation.error}`);
+    }
+
+    // Process with Malaria model
+    const malariaResult = this.malariaModel.analyze({
+      age: parseInt(patientData.age),
+      sex: patientData.sex,
+      travelHistory: patientData.travel_history || '',
+      symptoms: Array.isArray(patientData.symptoms) ? patientData.symptoms : [patientData.symptoms].filter(Boolean)
+    }, imageData);
+
+    return {
+      success: true,
+      timestamp: new Date().toISOString(),
+      patient_summary: {
+        age: patientData.age,
+        sex: patientData.sex,
+        travel_history: patientData.travel_history || 'Not provided',
+        symptoms: patientData.symptoms || [],
+        ...this.summarizeSymptoms(patientData.symptoms)
+      },
+      malaria_analysis: malariaResult.analysis,
+      ai_metadata: {
+        model_name: this.malariaModel.name,
+        version: this.malariaModel.version,
+        disclaimer: "Requires confirmation by microscopy. This AI assessment is for clinical decision support only."
+      }
+    };
+  }
+
+  /**
+   * Dual screening for Zika and Malaria
+   */
+  dualScreening(patientData, imageData = {}) {
+    console.log(`🔄 Dual Screening Request:`, {
+      age: patientData.age,
+      sex: patientData.sex,
+      hasImage: !!imageData
+    });
+
+    // Validate input
+    const validation = this.validateInput(patientData);
+    if (!validation.valid) {
+      throw new Error(`Validation failed: ${validation.error}`);
+    }
+
+    // Process with Dual Screening model
+    const screeningData = {
+      age: parseInt(patientData.age),
+      sex: patientData.sex,
+      travelHistory: patientData.travel_history || '',
+      symptoms: Array.isArray(patientData.symptoms) ? patientData.symptoms : [patientData.symptoms].filter(Boolean),
+      comorbidities: Array.isArray(patientData.comorbidities) ? patientData.comorbidities : [patientData.comorbidities].filter(Boolean),
+      onsetDate: patientData.onset_date
+    };
+
+    const screeningResult = this.dualScreeningModel.screen(screeningData, imageData);
+
+    return {
+      success: true,
+      timestamp: new Date().toISOString(),
+      patient_summary: {
+        age: patientData.age,
+        sex: patientData.sex,
+        travel_history: patientData.travel_history || 'Not provided',
+        symptoms: patientData.symptoms || [],
+        comorbidities: patientData.comorbidities || [],
+        onset_date: patientData.onset_date || undefined,
+        ...this.summarizeSymptoms(patientData.symptoms)
+      },
+      screening_result: screeningResult.screening,
+      ai_metadata: {
+        model_name: this.dualScreeningModel.name,
+        version: this.dualScreeningModel.version,
+        disclaimer: "This AI assessment is for clinical decision support only. Final diagnosis must be made by a qualified healthcare professional."
+      }
+    };
+  }
+
+  /**
+   * Validate patient input data
+   */
+  validateInput(data) {
+    const errors = [];
+    
+    // Age validation
+    const age = parseInt(data.age);
+    if (isNaN(age) || age < AI_CONFIG.VALIDATION.MIN_AGE || age > AI_CONFIG.VALIDATION.MAX_AGE) {
+      errors.push(`Invalid age: ${data.age}. Must be between ${AI_CONFIG.VALIDATION.MIN_AGE} and ${AI_CONFIG.VALIDATION.MAX_AGE}`);
+    }
+    
+    // Sex validation
+    const validSexes = ['M', 'F', 'MALE', 'FEMALE'];
+    if (!data.sex || !validSexes.includes(data.sex.toUpperCase())) {
+      errors.push(`Invalid sex: ${data.sex}. Must be M or F`);
+    }
+    
+    // Encounter onset date (illness day for test selection)
+    if (data.onset_date) {
+      const onset = new Date(data.onset_date);
+      if (Number.isNaN(onset.getTime()) || onset.getTime() > Date.now()) {
+        errors.push(`Invalid onset_date: ${data.onset_date}. Must be a date that is not in the future`);
+      }
+    }
+    
+    // Structured symptoms: severity and onset date
+    try {
+      this.symptomVocabulary.code(data.symptoms || []);
+    } catch (error) {
+      errors.push(error.message);
+    }
+    
+    return {
+      valid: errors.length === 0,
+      error: errors.join('; ')
+    };
+  }
+}
+
+module.exports = ABSUTHClinicalAI;
@@ -0,0 +1,204 @@
+// models/ai/DualPathogenScreeningModel.js - Combined Zika/malaria screener
+const ZikaRiskAssessmentModel = require('./ZikaRiskAssessmentModel');
+const MalariaDetectionModel = require('./MalariaDetectionModel');
+
+// 3. DUAL PATHOGEN SCREENING MODEL
+class DualPathogenScreeningModel {
+  constructor(zikaModel = new ZikaRiskAssessmentModel(), malariaModel = new MalariaDetectionModel()) {
+      this.zikaModel = zikaModel;
+      this.malariaModel = malariaModel;
+      this.name = "ABSUTH Dual Pathogen Screener";
+      this.version = "3.0.0";
+  }
+  
+  /**
+   * Screen for both Zika and Malaria
+   * @param {Object} patientData - Clinical parameters
+   * @param {Object} imageData - Blood smear data (optional)
+   * @returns {Object} Comprehensive screening results
+   */
+  screen(patientData, imageData = {}) {
+      // Run Zika assessment
+      const zikaResult = this.zikaModel.predict(patientData);
+      
+      // Run Malaria analysis
+      const malariaResult = this.malariaModel.analyze(patientData, imageData);
+      
+      // Determine overall risk
+      const overallRisk = this.calculateOverallRisk(zikaResult, malariaResult);
+      
+      // Generate integrated recommendations
+      const integratedRecommendations = this.generateIntegratedRecommendations(
+          zikaResult, 
+          malariaResult, 
+          patientData
+      );
+      
+      return {
+          success: true,
+          screening: {
+              timestamp: new Date().toISOString(),
+              overall_risk: overallRisk,
+              zika_assessment: zikaResult.prediction,
+              malaria_analysis: malariaResult.analysis,
+              integrated_recommendations: integratedRecommendations,
+              priority_level: this.determinePriority(zikaResult, malariaResult),
+              next_steps: this.generateNextSteps(zikaResult, malariaResult),
+              clinical_summary: this.generateClinicalSummary(zikaResult, malariaResult, patientData),
+              model_info: {
+                  zika_model: this.zikaModel.name,
+                  malaria_model: this.malariaModel.name,
+                  combined_version: this.version
+              }
+          }
+      };
+  }
+  
+  calculateOverallRisk(zikaResult, malariaResult) {
+      const zikaRisk = zikaResult.prediction.risk_score;
+      const malariaProb = malariaResult.analysis.probability;
+      
+      // Weighted combination
+      const combinedScore = (zikaRisk * 0.6) + (malariaProb * 0.4);
+      
+      if (combinedScore >= 0.7) {
+          return "HIGH - Dual infection possible";
+      } else if (combinedScore >= 0.4) {
+          return "MODERATE - Single infection likely";
+      } else {
+          return "LOW - Other causes probable";
+      }
+  }
+  
+  generateIntegratedRecommendations(zikaResult, malariaResult, patientData) {
+      const recommendations = [];
+      
+      // Check for conflicting recommendations
+      const zikaPositive = zikaResult.prediction.risk_level.includes('HIGH') || 
+                          zikaResult.prediction.risk_level.includes('CRITICAL');
+      const malariaPositive = malariaResult.analysis.result === "PARASITES DETECTED";
+      
+      if (zikaPositive && malariaPositive) {
+          recommendations.push(
+              "⚠️ POSSIBLE DUAL INFECTION: Zika + Malaria",
+              "Priority: Treat malaria first (more acute threat)",
+              "After malaria treatment, assess Zika symptoms",
+              "Monitor for complicated disease course",
+              "Consider hospitalization for observation"
+          );
+      } else if (zikaPositive) {
+          recommendations.push(...zikaResult.prediction.recommendations.slice(0, 5));
+      } else if (malariaPositive) {
+          recommendations.push(...malariaResult.analysis.recommendations.slice(0, 5));
+      } else {
+          recommendations.push(
+              "Both Zika and malaria unlikely based on current assessment",
+              "Continue symptomatic treatment",
+              "Consider other differential diagnoses",
+              "Follow up if symptoms persist or worsen"
+          );
+      }
+      
+      // Add general advice
+      recommendations.push(
+          "Use insecticide-treated mosquito nets",
+          "Apply DEET-based repellents",
+          "Eliminate standing water near residence",
+          "Wear protective clothing during peak mosquito hours"
+      );
+      
+      return recommendations;
+  }
+  
+  determinePriority(zikaResult, malariaResult) {
+      const malariaPositive = malariaResult.analysis.result === "PARASITES DETECTED";
+      const zikaCritical = zikaResult.prediction.risk_level === 'CRITICAL';
+      const malariaSevere = malariaResult.analysis.severity?.includes('SEVERE');
+      
+      if (malariaPositive && malariaSevere) {
+          return "P1 - Malaria emergency";
+      } else if (zikaCritical) {
+          return "P1 - Zika critical";
+      } else if (malariaPositive) {
+          return "P2 - Malaria positive";
+      } else if (zikaResult.prediction.risk_level.includes('HIGH')) {
+          return "P2 - High Zika risk";
+      } else {
+          return "P3 - Routine";
+      }
+  }
+  
+  generateNextSteps(zikaResult, malariaResult) {
+      const nextSteps = [];
+      const malariaPositive = malariaResult.analysis.result === "PARASITES DETECTED";
+      
+      if (malariaPositive) {
+          nextSteps.push(
+              "Immediate: Start antimalarial treatment",
+              "Within 24h: Confirm with microscopy",
+              "Within 48h: Check treatment response",
+              "Within 1 week: Complete treatment course"
+          );
+      }
+      
+      if (zikaResult.prediction.risk_level.includes('HIGH') || 
+          zikaResult.prediction.risk_level.includes('CRITICAL')) {
+          nextSteps.push(...this.zikaTestingSteps(zikaResult.prediction.illness_timeline));
+      }
+      
+      if (nextSteps.length === 0) {
+          nextSteps.push(
+              "Monitor symptoms for 48 hours",
+              "Return if symptoms worsen",
+              "Follow up in 1 week if symptoms persist"
+          );
+      }
+      
+      return nextSteps;
+  }
+  
+  /**
+   * Zika test, sample and follow-up for the day of illness; the generic PCR
+   * then serology plan when the onset date is unknown
+   */
+  zikaTestingSteps(timeline) {
+      if (!timeline) {
+          return [
+              "Within 24h: Zika PCR testing",
+              "Within 48h: Clinical reassessment",
+              "Within 1 week: Follow-up serology"
+          ];
+      }
+      
+      const advice = this.zikaModel.testingAdvice(timeline);
+      const steps = [
+          timeline.tests.length > 0 ? `Within 24h: ${advice}` : advice,
+          "Within 48h: Clinical reassessment"
+      ];
+      if (timeline.follow_up) {
+          steps.push(`Follow-up: ${timeline.follow_up}`);
+      }
+      return steps;
+  }
+  
+  generateClinicalSummary(zikaResult, malariaResult, patientData) {
+      const summary = [];
+      const { age, sex } = patientData;
+      
+      summary.push(`Patient: ${age}y ${sex}`);
+      summary.push(`Zika Risk: ${zikaResult.prediction.risk_level} (${Math.round(zikaResult.prediction.risk_score * 100)}%)`);
+      summary.push(`Malaria: ${malariaResult.analysis.result}`);
+      
+      if (malariaResult.analysis.result === "PARASITES DETECTED") {
+          summary.push(`Parasite Density: ~${malariaResult.analysis.parasite_density}/μL`);
+          summary.push(`Severity: ${malariaResult.analysis.severity}`);
+      }
+      
+      summary.push(`Overall: ${this.calculateOverallRisk(zikaResult, malariaResult)}`);
+      summary.push(`Priority: ${this.determinePriority(zikaResult, malariaResult)}`);
+      
+      return summary.join(' | ');
+  }
+}
+
+module.exports = DualPathogenScreeningModel;
@@ -0,0 +1,101 @@
+// models/ai/ForestZikaRiskModel.js - Random forest Zika engine
+const ZikaRiskAssessmentModel = require('./ZikaRiskAssessmentModel');
+
+// 4. RANDOM FOREST EARLY DETECTION MODEL
+// Serves the sklearn RandomForestClassifier from ABSUTH_early_detection_model.pkl
+// through its JSON export. Reuses the rule-based model's risk bands, guidance and
+// recommendations so the two engines can be compared like for like.
+class ForestZikaRiskModel extends ZikaRiskAssessmentModel {
+  constructor(ensemble, scoringConfig, vocabulary) {
+      super(scoringConfig, vocabulary);
+      this.ensemble = ensemble;
+      this.name = "ABSUTH Early Detection Forest";
+      this.version = "1.0.0";
+      this.trainedDate = null;
+      this.positiveClass = 1;
+  }
+
+  /**
+   * Map API inputs onto the forest's training features
+   */
+  toFeatures(patientData) {
+      const { age, sex, travelHistory } = patientData;
+      const sexUpper = (sex || '').toUpperCase();
+      
+      return {
+          Age: age,
+          Is_Female: sexUpper === 'F' || sexUpper === 'FEMALE' ? 1 : 0,
+          Has_Travel_History: travelHistory && travelHistory.trim() !== '' ? 1 : 0
+      };
+  }
+
+  predict(patientData, { explain = false } = {}) {
+      const { symptoms = [] } = patientData;
+      const features = this.toFeatures(patientData);
+      const vector = this.ensemble.toVector(features);
+      const classProbabilities = this.ensemble.predictProba(vector);
+      const positiveIndex = this.ensemble.classes.indexOf(this.positiveClass);
+      const riskScore = positiveIndex === -1 ? 0 : classProbabilities[positiveIndex];
+      
+      const riskCategory = this.categorizeRisk(riskScore);
+      const timeline = this.illnessTimeline(patientData);
+      
+      return {
+          success: true,
+          prediction: {
+              risk_level: riskCategory.level,
+              risk_score: riskScore,
+              confidence: this.calculateConfidence(riskScore),
+              probability_percentage: Math.round(riskScore * 100),
+              recommendations: this.generateRecommendations(riskCategory, patientData, timeline),
+              illness_timeline: timeline,
+              factors_considered: {
+                  features: features,
+                  class_probabilities: Object.fromEntries(
+                      this.ensemble.classes.map((cls, i) => [cls, classProbabilities[i]])
+                  ),
+                  trees: this.ensemble.trees.length
+              },
+              explanation: this.explainForest(features, riskScore, explain),
+              clinical_guidance: this.generateClinicalGuidance(riskCategory),
+              differential_diagnoses: this.generateDifferentialDiagnoses(symptoms),
+              urgency_level: riskCategory.urgency,
+              model_metadata: {
+                  name: this.name,
+                  version: this.version,
+                  engine: 'forest',
+                  source: this.ensemble.source,
+                  sklearn_version: this.ensemble.sklearnVersion,
+                  warnings: this.ensemble.warnings,
+                  scoring_config: this.getScoringConfigInfo(),
+                  timestamp: new Date().toISOString()
+              }
+          }
+      };
+  }
+
+  /**
+   * Trees don't give additive per-factor weights, so the explanation lists the
+   * features the forest saw and where the score sits against the risk bands
+   */
+  explainForest(features, riskScore, verbose = false) {
+      const thresholds = this.explainThresholds(riskScore);
+      const explanation = {
+          summary: `Score ${riskScore.toFixed(2)} (${thresholds.risk_level}) from ${this.ensemble.trees.length} trees` +
+              (thresholds.next_level ? `; ${thresholds.distance_to_next.toFixed(2)} below ${thresholds.next_level}` : ''),
+          contributions: null,
+          features: features,
+          thresholds: thresholds
+      };
+      
+      if (verbose) {
+          explanation.note = 'Per-factor contributions are not available for the tree ensemble; use engine=rules for a weighted breakdown';
+          explanation.warnings = this.ensemble.warnings;
+          explanation.risk_thresholds = this.riskThresholds;
+      }
+      
+      return explanation;
+  }
+}
+
+module.exports = ForestZikaRiskModel;
@@ -0,0 +1,103 @@
+// models/ai/MalariaAIEngine.js - Malaria clinical AI engine
+
+// ============================================================================
+// MALARIA AI ENGINE
+// ============================================================================
+class MalariaAIEngine {
+  /**
+   * @param {MalariaDetectionModel} malariaModel - Shared instance from the registry
+   * @param {SymptomVocabulary} symptomVocabulary - Shared instance from the registry
+   */
+  constructor(malariaModel, symptomVocabulary) {
+    this.name = "ABSUTH Malaria Clinical AI v2.0";
+    this.version = "2.0.0";
+    this.lastUpdated = "2024-12-01";
+    
+    this.malariaModel = malariaModel;
+    this.symptomVocabulary = symptomVocabulary;
+  }
+
+  /**
+   * Analyze malaria risk from clinical parameters
+   * @param {Object} patientData - Patient clinical data
+   * @param {Object} imageData - Server-side smear inputs (see BloodSmear.toImageData)
+   */
+  analyzeMalaria(patientData, imageData = {}) {
+    const { age, sex, travelHistory, symptoms = [] } = patientData;
+    
+    console.log(`🦠 Malaria AI Processing: Age=${age}, Sex=${sex}, Symptoms=${symptoms.length}`);
+    
+    // 1. INPUT VALIDATION
+    const validation = this.validateInput(patientData);
+    if (!validation.valid) {
+      throw new Error(`Validation failed: ${validation.error}`);
+    }
+
+    // 2. PROCESS WITH MALARIA MODEL
+    const analysis = this.malariaModel.analyze({
+      age: parseInt(age),
+      sex: sex,
+      travelHistory: travelHistory || '',
+      symptoms: Array.isArray(symptoms) ? symptoms : [symptoms].filter(Boolean)
+    }, imageData);
+
+    return {
+      success: true,
+      timestamp: new Date().toISOString(),
+      patient_summary: {
+        age: patientData.age,
+        sex: patientData.sex,
+        travel_history: patientData.travelHistory || 'Not provided',
+        symptoms: patientData.symptoms || [],
+        ...this.summarizeSymptoms(patientData.symptoms)
+      },
+      analysis: analysis.analysis,
+      ai_metadata: {
+        model_name: this.malariaModel.name,
+        version: this.malariaModel.version,
+        disclaimer: "This AI analysis is for clinical decision support only. Malaria diagnosis requires confirmation by microscopy."
+      }
+    };
+  }
+
+  /**
+   * Symptoms as the model understood them, for patient_summary
+   */
+  summarizeSymptoms(symptoms = []) {
+    const { symptoms: coded, unrecognized } = this.symptomVocabulary.code(symptoms);
+    return { coded_symptoms: coded, unrecognized_symptoms: unrecognized };
+  }
+
+  /**
+   * Validate patient input data
+   */
+  validateInput(data) {
+    const errors = [];
+    
+    // Age validation
+    const age = parseInt(data.age);
+    if (isNaN(age) || age < 0 || age > 120) {
+      errors.push(`Invalid age: ${data.age}. Must be between 0 and 120`);
+    }
+    
+    // Sex validation
+    const validSexes = ['M', 'F', 'MALE', 'FEMALE'];
+    if (!data.sex || !validSexes.includes(data.sex.toUpperCase())) {
+      errors.push(`Invalid sex: ${data.sex}. Must be M or F`);
+    }
+    
+    // Structured symptoms: severity and onset date
+    try {
+      this.symptomVocabulary.code(data.symptoms || []);
+    } catch (error) {
+      errors.push(error.message);
+    }
+    
+    return {
+      valid: errors.length === 0,
+      error: errors.join('; ')
+    };
+  }
+}
+
+module.exports = MalariaAIEngine;
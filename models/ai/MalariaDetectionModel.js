@@ -0,0 +1,254 @@
+// models/ai/MalariaDetectionModel.js - Clinical prior + smear image malaria model
+const AI_CONFIG = require('./config');
+const { loadScoringConfig } = require('../../services/scoringConfig');
+const SymptomVocabulary = require('./SymptomVocabulary');
+
+// 2. MALARIA DETECTION MODEL
+class MalariaDetectionModel {
+  /**
+   * @param {Object} scoringConfig - Validated config from services/scoringConfig
+   * @param {SymptomVocabulary} vocabulary - Codes free-text and structured symptoms
+   */
+  constructor(scoringConfig = loadScoringConfig(AI_CONFIG.MALARIA_SCORING_CONFIG_PATH, 'malaria'), vocabulary = new SymptomVocabulary()) {
+      this.name = "ABSUTH Malaria Detector v1.2";
+      this.version = "1.2.0";
+      this.vocabulary = vocabulary;
+      this.applyScoringConfig(scoringConfig);
+  }
+
+  /**
+   * Switch to another validated scoring config (startup, or an admin activating a profile)
+   */
+  applyScoringConfig(scoringConfig) {
+      this.scoringConfig = scoringConfig;
+  }
+
+  /**
+   * Version and fingerprint of the scoring config, for model metadata
+   */
+  getScoringConfigInfo() {
+      return {
+          name: this.scoringConfig.name,
+          version: this.scoringConfig.version,
+          hash: this.scoringConfig.hash
+      };
+  }
+  
+  /**
+   * Analyze blood smear for malaria
+   * @param {Object} patientData - Patient clinical data
+   * @param {Object} imageData - Blood smear inputs; qualityScore is the server-side assessment
+   * @returns {Object} Malaria analysis results
+   */
+  analyze(patientData, imageData = {}) {
+      const { age, symptoms = [], travelHistory } = patientData;
+      
+      // Clinical prior from symptoms, travel and age
+      let clinicalPrior = this.calculateMalariaProbability(patientData);
+      
+      // Adjust based on server-assessed image quality (0-1, see services/imageQuality.js)
+      // Maps linearly onto min_multiplier (poor image) .. max_multiplier (excellent image)
+      if (typeof imageData.qualityScore === 'number') {
+          const { min_multiplier: low, max_multiplier: high } = this.scoringConfig.image_quality;
+          clinicalPrior *= low + ((high - low) * Math.min(Math.max(imageData.qualityScore, 0), 1));
+      }
+      
+      clinicalPrior = Math.min(Math.max(clinicalPrior, 0), 1);
+      
+      // When the smear image was classified (services/smearClassifier.js) the
+      // image result decides; otherwise fall back to the clinical prior
+      const imageInference = imageData.inference || null;
+      const probability = imageInference ? imageInference.probability : clinicalPrior;
+      
+      const isPositive = probability >= this.scoringConfig.positive_threshold;
+      const species = isPositive ? this.predictSpecies(patientData) : null;
+      const parasiteDensity = isPositive ? this.estimateParasiteDensity(probability) : 0;
+      
+      return {
+          success: true,
+          analysis: {
+              result: isPositive ? "PARASITES DETECTED" : "NO PARASITES FOUND",
+              probability: probability,
+              detection_method: imageInference ? "image" : "clinical",
+              clinical_prior: clinicalPrior,
+              image_inference: imageInference,
+              confidence: imageInference ? imageInference.confidence : this.calculateConfidence(probability),
+              species: species,
+              parasite_density: parasiteDensity,
+              severity: this.assessSeverity(parasiteDensity, age),
+              recommendations: this.generateMalariaRecommendations(isPositive, parasiteDensity, patientData),
+              clinical_notes: this.generateClinicalNotes(patientData),
+              image_quality: typeof imageData.qualityScore === 'number' ? {
+                  score: imageData.qualityScore,
+                  grade: imageData.qualityGrade,
+                  reasons: imageData.qualityReasons || []
+              } : null,
+              model: {
+                  name: this.name,
+                  version: this.version,
+                  scoring_config: this.getScoringConfigInfo(),
+                  disclaimer: "Requires confirmation by microscopy"
+              }
+          }
+      };
+  }
+  
+  calculateMalariaProbability(patientData) {
+      const { age, symptoms, travelHistory } = patientData;
+      const prior = this.scoringConfig.clinical_prior;
+      let probability = prior.base_probability;  // Base probability in endemic area
+      
+      // Symptom adjustments
+      const symptomCount = this.vocabulary.codesOf(symptoms)
+          .filter(code => prior.symptoms.includes(code))
+          .length;
+      
+      probability += (symptomCount * prior.per_symptom);
+      
+      // Travel history adjustment
+      const travelLower = (travelHistory || '').toLowerCase();
+      for (const rule of prior.travel_keywords) {
+          if (rule.keywords.some(keyword => travelLower.includes(keyword))) {
+              probability += rule.increment;
+          }
+      }
+      
+      // Age adjustment
+      const { below_age: belowAge, above_age: aboveAge, increment } = prior.age_extremes;
+      if (age < belowAge || age > aboveAge) {
+          probability += increment;  // Higher risk in extremes of age
+      }
+      
+      return Math.min(probability, prior.max_probability);
+  }
+  
+  predictSpecies(patientData) {
+      const species = [
+          { name: "Plasmodium falciparum", probability: 0.6 },
+          { name: "Plasmodium vivax", probability: 0.25 },
+          { name: "Plasmodium malariae", probability: 0.1 },
+          { name: "Plasmodium ovale", probability: 0.05 }
+      ];
+      
+      // Adjust based on travel history
+      const travelLower = (patientData.travelHistory || '').toLowerCase();
+      if (travelLower.includes('africa')) {
+          species[0].probability = 0.8;  // P. falciparum more common in Africa
+      } else if (travelLower.includes('asia')) {
+          species[1].probability = 0.5;  // P. vivax more common in Asia
+      }
+      
+      return species;
+  }
+  
+  estimateParasiteDensity(probability) {
+      // Convert probability to estimated parasites/μL
+      const baseDensity = probability * this.scoringConfig.parasite_density_scale;
+      return Math.round(baseDensity);
+  }
+  
+  assessSeverity(parasiteDensity, age) {
+      const thresholds = this.scoringConfig.severity_thresholds;
+      if (parasiteDensity > thresholds.SEVERE) {
+          return "SEVERE - Requires hospitalization";
+      } else if (parasiteDensity > thresholds.MODERATE) {
+          return "MODERATE - Close monitoring needed";
+      } else if (parasiteDensity > thresholds.MILD) {
+          return "MILD - Outpatient treatment";
+      } else {
+          return "ASYMPTOMATIC - Monitor";
+      }
+  }
+  
+  calculateConfidence(probability) {
+      const { outside, certain, base, slope } = this.scoringConfig.confidence;
+      if (probability < outside[0] || probability > outside[1]) {
+          return certain;
+      } else {
+          return base + (Math.abs(probability - 0.5) * slope);
+      }
+  }
+  
+  generateMalariaRecommendations(isPositive, parasiteDensity, patientData) {
+      const recommendations = [];
+      
+      if (isPositive) {
+          const thresholds = this.scoringConfig.severity_thresholds;
+          if (parasiteDensity > thresholds.SEVERE) {
+              recommendations.push(
+                  "🚨 ADMIT to hospital immediately",
+                  "Start IV artesunate therapy",
+                  "Monitor for severe complications",
+                  "Check blood glucose every 4 hours",
+                  "Monitor renal function and urine output"
+              );
+          } else if (parasiteDensity > thresholds.MODERATE) {
+              recommendations.push(
+                  "Start oral ACT therapy immediately",
+                  "Consider admission for observation",
+                  "Monitor for symptom progression",
+                  "Repeat blood film in 24-48 hours",
+                  "Check hemoglobin and renal function"
+              );
+          } else {
+              recommendations.push(
+                  "Start oral ACT therapy",
+                  "Outpatient management",
+                  "Follow-up in 48 hours",
+                  "Complete full treatment course",
+                  "Use mosquito nets to prevent spread"
+              );
+          }
+          
+          // Species-specific recommendations
+          recommendations.push(
+              "For P. vivax or P. ovale: Add primaquine for radical cure",
+              "Test for G6PD deficiency before primaquine",
+              "Notify local health authorities"
+          );
+      } else {
+          recommendations.push(
+              "No malaria parasites detected",
+              "If high clinical suspicion, repeat test in 24 hours",
+              "Consider alternative diagnoses",
+              "Continue mosquito bite prevention"
+          );
+      }
+      
+      // Patient-specific advice
+      const { age, sex } = patientData;
+      if (age < 5) {
+          recommendations.push("Use pediatric dosing calculations");
+      }
+      if ((sex || '').toUpperCase() === 'F') {
+          recommendations.push("Pregnancy test if applicable");
+      }
+      
+      return recommendations;
+  }
+  
+  generateClinicalNotes(patientData) {
+      const notes = [];
+      const { symptoms = [], travelHistory } = patientData;
+      
+      const coded = this.vocabulary.code(symptoms);
+      const presenting = [...coded.symptoms.map(s => s.display), ...coded.unrecognized];
+      if (presenting.length > 0) {
+          notes.push(`Presenting symptoms: ${presenting.join(', ')}`);
+      }
+      
+      if (travelHistory) {
+          notes.push(`Travel history: ${travelHistory}`);
+      }
+      
+      notes.push(
+          "Malaria diagnosis requires microscopy confirmation",
+          "Consider co-infections in endemic areas",
+          "Monitor for treatment response and complications"
+      );
+      
+      return notes;
+  }
+}
+
+module.exports = MalariaDetectionModel;
@@ -0,0 +1,253 @@
+// models/ai/SymptomVocabulary.js - Coded symptom vocabulary shared by the Zika and malaria models
+const path = require('path');
+
+const DEFAULT_VOCABULARY_PATH = path.join(__dirname, 'vocabulary', 'symptoms.json');
+
+// 6. SYMPTOM VOCABULARY
+// Maps free text, synonyms and local-language aliases onto one code per symptom
+// (with its SNOMED CT concept) and carries per-symptom onset date and severity.
+// Matching is on whole terms only, so "red" or a single letter never matches
+// "red eyes". Free text is read clause by clause (split at punctuation and at
+// conjunctions such as "and"/"but") and every symptom named is coded. A term
+// after a negation in its clause ("no fever", "denies rash") is not coded; such
+// clauses come back as unrecognized for the clinician to read.
+class SymptomVocabulary {
+  /**
+   * @param {Object} spec - Parsed models/ai/vocabulary/symptoms.json
+   */
+  constructor(spec = require(DEFAULT_VOCABULARY_PATH)) {
+      this.name = spec.name;
+      this.version = spec.version;
+      this.system = spec.system;
+      this.languages = spec.languages;
+      this.severities = spec.severities;
+      this.entries = spec.symptoms;
+      const normalizedList = (byLanguage) => [...new Set(Object.values(byLanguage || {}).flat()
+          .map(SymptomVocabulary.normalizeTerm)
+          .filter(Boolean))];
+      this.negations = normalizedList(spec.negations);
+      this.conjunctions = normalizedList(spec.conjunctions);
+      this.byCode = new Map();
+      this.byTerm = new Map();
+
+      for (const entry of this.entries) {
+          if (this.byCode.has(entry.code)) {
+              throw new Error(`Invalid symptom vocabulary: duplicate code "${entry.code}"`);
+          }
+          this.byCode.set(entry.code, entry);
+
+          const aliases = Object.values(entry.aliases || {}).flat();
+          for (const term of [entry.code, entry.display, ...(entry.synonyms || []), ...aliases]) {
+              const key = SymptomVocabulary.normalizeTerm(term);
+              const owner = this.byTerm.get(key);
+              if (owner && owner !== entry) {
+                  throw new Error(`Invalid symptom vocabulary: "${term}" is listed under both ${owner.code} and ${entry.code}`);
+              }
+              this.byTerm.set(key, entry);
+          }
+      }
+
+      // Longest terms first so "joint pain" wins over a shorter term inside it
+      this.termsByLength = [...this.byTerm.keys()].sort((a, b) => b.length - a.length);
+  }
+
+  /**
+   * Lower-case, strip tone marks and punctuation, collapse spaces
+   */
+  static normalizeTerm(text) {
+      return String(text)
+          .normalize('NFD')
+          .replace(/[\u0300-\u036f]/g, '')
+          .toLowerCase()
+          .replace(/[_\W]+/g, ' ')
+          .trim();
+  }
+
+  isCode(code) {
+      return this.byCode.has(code);
+  }
+
+  /**
+   * Clauses of a free-text item, normalised: split at punctuation first, then
+   * at conjunctions ("no fever, rash" and "no fever but rash" are two clauses)
+   * @returns {Array} [{ text, key }] - text as sent where a whole piece is one clause
+   */
+  clauses(text) {
+      const clauses = [];
+      for (const piece of String(text).split(/[,;:.!?\n]+/)) {
+          const words = SymptomVocabulary.normalizeTerm(piece).split(' ').filter(Boolean);
+          const parts = [[]];
+          for (const word of words) {
+              if (this.conjunctions.includes(word)) parts.push([]);
+              else parts[parts.length - 1].push(word);
+          }
+          const keys = parts.map(part => part.join(' ')).filter(Boolean);
+          keys.forEach(key => clauses.push({ text: keys.length === 1 ? piece.trim() : key, key }));
+      }
+      return clauses;
+  }
+
+  /**
+   * Every vocabulary entry named in one free-text item: an exact term, or each
+   * known term appearing as whole words in a clause, longest first without
+   * overlaps ("severe headache and vomiting"). A negation covers the rest of
+   * its clause only ("no fever, rash" is a rash).
+   * @returns {Object} { matches: [{ entry, text }], unmatched: [String] } - unmatched
+   *   holds clauses with nothing coded (unknown or negated)
+   */
+  match(text) {
+      const matches = [];
+      const unmatched = [];
+      const whole = SymptomVocabulary.normalizeTerm(text);
+      if (!whole) return { matches, unmatched };
+      if (this.byTerm.has(whole)) {
+          return { matches: [{ entry: this.byTerm.get(whole), text: String(text).trim() }], unmatched };
+      }
+
+      for (const clause of this.clauses(text)) {
+          let padded = ` ${clause.key} `;
+          const found = [];
+          for (const term of this.termsByLength) {
+              const at = padded.indexOf(` ${term} `);
+              if (at === -1) continue;
+              const before = padded.slice(0, at + 1);
+              if (!this.negations.some(cue => before.includes(` ${cue} `))) {
+                  found.push({ at, entry: this.byTerm.get(term) });
+              }
+              // Mask the term so shorter terms inside it don't match again
+              padded = padded.slice(0, at + 1) + '_'.repeat(term.length) + padded.slice(at + 1 + term.length);
+          }
+          if (found.length === 0) {
+              unmatched.push(clause.text);
+              continue;
+          }
+          found.sort((a, b) => a.at - b.at)
+              .forEach(({ entry }) => matches.push({ entry, text: clause.text }));
+      }
+      return { matches, unmatched };
+  }
+
+  /**
+   * First vocabulary entry named in a free-text term ("severe headache"),
+   * skipping negated ones
+   * @returns {Object|null}
+   */
+  lookup(text) {
+      const { matches } = this.match(text);
+      return matches.length > 0 ? matches[0].entry : null;
+  }
+
+  /**
+   * Code a symptom list. Items are free text or { code | term, onsetDate, severity };
+   * one item can name several symptoms, which share its onset date and severity.
+   * Repeated codes are kept once (the first mention).
+   * @returns {Object} { symptoms: [{ code, display, snomed, term, onset_date, severity }], unrecognized: [String] }
+   * @throws {Error} 'Invalid symptom ...' for a bad severity or onset date
+   */
+  code(input = []) {
+      const items = Array.isArray(input) ? input : [input];
+      const symptoms = [];
+      const unrecognized = [];
+      const seen = new Set();
+
+      for (const item of items) {
+          if (item == null || item === '') continue;
+          const structured = typeof item === 'object';
+          const term = structured ? (item.code || item.term || item.name) : item;
+          if (!term) {
+              throw new Error(`Invalid symptom: ${JSON.stringify(item)}. Send a code or term`);
+          }
+
+          const severity = structured && item.severity != null ? String(item.severity).toLowerCase() : null;
+          if (severity && !this.severities.includes(severity)) {
+              throw new Error(`Invalid symptom severity for "${term}": ${item.severity}. Must be one of: ${this.severities.join(', ')}`);
+          }
+          const onsetDate = structured ? this.parseOnsetDate(item.onsetDate ?? item.onset_date, term) : null;
+
+          const { matches, unmatched } = this.match(term);
+          unrecognized.push(...unmatched);
+          for (const { entry, text } of matches) {
+              if (seen.has(entry.code)) continue;
+              seen.add(entry.code);
+
+              symptoms.push({
+                  code: entry.code,
+                  display: entry.display,
+                  snomed: entry.snomed,
+                  term: text,
+                  onset_date: onsetDate,
+                  severity: severity
+              });
+          }
+      }
+
+      return { symptoms, unrecognized };
+  }
+
+  parseOnsetDate(value, term) {
+      if (value == null || value === '') return null;
+      const date = new Date(value);
+      if (Number.isNaN(date.getTime())) {
+          throw new Error(`Invalid symptom onsetDate for "${term}": ${value}`);
+      }
+      if (date.getTime() > Date.now()) {
+          throw new Error(`Invalid symptom onsetDate for "${term}": ${value} is in the future`);
+      }
+      return date.toISOString().slice(0, 10);
+  }
+
+  /**
+   * Codes present in a symptom list (free text or coded items)
+   */
+  codesOf(input = []) {
+      return this.code(input).symptoms.map(s => s.code);
+  }
+
+  /**
+   * Fields stored on ClinicalRecord/MalariaRecord: codes (plus any unrecognized
+   * terms as sent) and the per-symptom details
+   */
+  toRecordFields(input = []) {
+      const { symptoms, unrecognized } = this.code(input);
+      return {
+          symptoms: [...symptoms.map(s => s.code), ...unrecognized],
+          symptomDetails: symptoms.map(s => ({
+              code: s.code,
+              term: s.term,
+              onsetDate: s.onset_date ? new Date(s.onset_date) : undefined,
+              severity: s.severity || undefined
+          }))
+      };
+  }
+
+  /**
+   * Entries for symptom pickers
+   * @param {Object} options - { language, category, q } (q matches the start of any word of any term)
+   */
+  list({ language, category, q } = {}) {
+      const query = q ? SymptomVocabulary.normalizeTerm(q) : null;
+
+      return this.entries
+          .filter(entry => !category || entry.category === category)
+          .filter(entry => {
+              if (!query) return true;
+              const aliases = Object.values(entry.aliases || {}).flat();
+              return [entry.code, entry.display, ...(entry.synonyms || []), ...aliases]
+                  .some(term => ` ${SymptomVocabulary.normalizeTerm(term)}`.includes(` ${query}`));
+          })
+          .map(entry => {
+              const localAliases = language && language !== 'en' ? (entry.aliases || {})[language] || [] : [];
+              return {
+                  code: entry.code,
+                  display: entry.display,
+                  label: localAliases[0] || entry.display,
+                  category: entry.category,
+                  snomed: { system: this.system, code: entry.snomed },
+                  synonyms: entry.synonyms || [],
+                  aliases: entry.aliases || {}
+              };
+          });
+  }
+}
+
+module.exports = SymptomVocabulary;
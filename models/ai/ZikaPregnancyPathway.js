@@ -0,0 +1,175 @@
+// models/ai/ZikaPregnancyPathway.js - Antenatal Zika follow-up pathway
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+
+// 5. ZIKA PREGNANCY PATHWAY
+// Builds trimester-specific advice and a dated ultrasound/serology/newborn
+// screening plan for a pregnant patient after a Zika risk assessment.
+class ZikaPregnancyPathway {
+  constructor() {
+      this.name = "ABSUTH Zika Pregnancy Pathway";
+      this.version = "1.0.0";
+
+      // Risk levels that enrol the pregnancy in active follow-up
+      this.followUpRiskLevels = ['CRITICAL', 'HIGH', 'MODERATE'];
+      this.serialUltrasoundIntervalWeeks = { CRITICAL: 3, HIGH: 3, MODERATE: 4 };
+      this.anatomyScanWeek = 20;
+      this.lastRoutineScanWeek = 36;
+      this.termWeeks = 40;
+  }
+
+  /**
+   * Whether the patient data describes a pregnancy (profile status or legacy 'pregnancy' comorbidity)
+   */
+  isPregnant(patientData) {
+      const { pregnancy, comorbidities = [] } = patientData;
+      if (pregnancy && pregnancy.status) return pregnancy.status === 'pregnant';
+      return comorbidities.some(c => String(c).toLowerCase().includes('pregnan'));
+  }
+
+  /**
+   * @param {Number|null} gestationalWeek - Completed weeks of gestation, if known
+   * @returns {Number|null} 1, 2 or 3
+   */
+  getTrimester(gestationalWeek) {
+      if (gestationalWeek == null) return null;
+      if (gestationalWeek <= 13) return 1;
+      if (gestationalWeek <= 27) return 2;
+      return 3;
+  }
+
+  /**
+   * Build the pathway for one assessment
+   * @param {Object} pregnancy - { gestationalWeek } (may be empty if the week is unknown)
+   * @param {Object} riskAssessment - risk_assessment from a Zika engine
+   * @param {Date} assessedAt - Date the plan is scheduled from
+   * @returns {Object} pregnancy_pathway block for the API response
+   */
+  assess(pregnancy = {}, riskAssessment, assessedAt = new Date()) {
+      const gestationalWeek = pregnancy.gestationalWeek != null ? Number(pregnancy.gestationalWeek) : null;
+      const trimester = this.getTrimester(gestationalWeek);
+      const riskLevel = riskAssessment.risk_level;
+      const followUpRecommended = this.followUpRiskLevels.includes(riskLevel);
+
+      const estimatedDueDate = gestationalWeek != null
+          ? new Date(assessedAt.getTime() + (this.termWeeks - gestationalWeek) * WEEK_MS)
+          : null;
+
+      return {
+          pathway: this.name,
+          version: this.version,
+          gestational_week: gestationalWeek,
+          trimester: trimester,
+          estimated_due_date: estimatedDueDate ? estimatedDueDate.toISOString().slice(0, 10) : null,
+          follow_up_recommended: followUpRecommended,
+          recommendations: this.generateRecommendations(trimester, followUpRecommended),
+          follow_up_plan: followUpRecommended
+              ? this.buildFollowUpPlan(gestationalWeek, riskLevel, assessedAt, estimatedDueDate)
+              : []
+      };
+  }
+
+  /**
+   * Trimester-specific antenatal recommendations
+   */
+  generateRecommendations(trimester, followUpRecommended) {
+      const recommendations = [];
+
+      if (followUpRecommended) {
+          recommendations.push(
+              "Refer to the antenatal clinic for high-risk pregnancy follow-up",
+              "Send Zika RT-PCR on serum and urine together with Zika IgM serology today"
+          );
+      }
+
+      if (trimester === 1) {
+          recommendations.push(
+              "First-trimester infection carries the highest risk of congenital Zika syndrome; counsel the patient on fetal risks",
+              "Confirm gestational age with a dating ultrasound",
+              "Plan a detailed fetal anatomy scan at 18-20 weeks"
+          );
+      } else if (trimester === 2) {
+          recommendations.push(
+              "Detailed fetal anatomy ultrasound focusing on head circumference, ventriculomegaly and intracranial calcifications",
+              "Serial growth ultrasounds every 3-4 weeks until 36 weeks"
+          );
+      } else if (trimester === 3) {
+          recommendations.push(
+              "Serial ultrasounds every 3-4 weeks for fetal head circumference and brain anomalies",
+              "Plan delivery at a facility with neonatal care and paediatric review at birth",
+              "Send placenta and cord blood for Zika testing at delivery"
+          );
+      } else {
+          recommendations.push(
+              "Gestational age unknown: arrange a dating ultrasound before scheduling serial scans"
+          );
+      }
+
+      recommendations.push(
+          "Paracetamol for fever or pain; avoid NSAIDs in pregnancy",
+          "Partner to use condoms or abstain for the rest of the pregnancy",
+          "Continue strict mosquito bite prevention until delivery",
+          "Newborn needs head circumference, Zika testing, eye and hearing screening at birth"
+      );
+
+      return recommendations;
+  }
+
+  /**
+   * Dated ultrasound, serology and newborn screening items
+   * @returns {Array} [{ type, description, due_date, gestational_week }]
+   */
+  buildFollowUpPlan(gestationalWeek, riskLevel, assessedAt, estimatedDueDate) {
+      const plan = [];
+      const dueAt = (days) => new Date(assessedAt.getTime() + days * DAY_MS).toISOString().slice(0, 10);
+      const weekAt = (days) => gestationalWeek != null ? gestationalWeek + Math.floor(days / 7) : null;
+      const item = (type, description, days) => ({
+          type,
+          description,
+          due_date: dueAt(days),
+          gestational_week: weekAt(days)
+      });
+
+      // Serology: acute sample now, convalescent sample two weeks later
+      plan.push(
+          item('serology', 'Zika RT-PCR (serum and urine) and IgM serology', 0),
+          item('serology', 'Convalescent Zika IgM serology', 14)
+      );
+
+      if (gestationalWeek == null) {
+          plan.push(item('ultrasound', 'Dating ultrasound to establish gestational age', 7));
+      } else {
+          // Anatomy scan at 20 weeks (or within a week if already past it), then
+          // serial scans until 36 weeks
+          const interval = this.serialUltrasoundIntervalWeeks[riskLevel] || 4;
+          let days = gestationalWeek < this.anatomyScanWeek ? (this.anatomyScanWeek - gestationalWeek) * 7 : 7;
+
+          if (gestationalWeek < 14) {
+              plan.push(item('ultrasound', 'Dating ultrasound', 7));
+          }
+          if (weekAt(days) <= this.lastRoutineScanWeek) {
+              plan.push(item('ultrasound', 'Detailed fetal anatomy ultrasound (head circumference, intracranial calcifications)', days));
+          }
+          for (days += interval * 7; weekAt(days) <= this.lastRoutineScanWeek; days += interval * 7) {
+              plan.push(item('ultrasound', 'Serial fetal growth and head circumference ultrasound', days));
+          }
+          // Presenting after 35 weeks still warrants one scan before delivery
+          if (!plan.some(p => p.type === 'ultrasound')) {
+              plan.push(item('ultrasound', 'Fetal ultrasound for head circumference and brain anomalies', 3));
+          }
+      }
+
+      plan.push({
+          type: 'newborn_screening',
+          description: 'Newborn head circumference, Zika testing, eye examination and hearing screen',
+          due_date: estimatedDueDate ? estimatedDueDate.toISOString().slice(0, 10) : null,
+          gestational_week: estimatedDueDate ? this.termWeeks : null
+      });
+
+      // Chronological, with the undated newborn item (unknown week) last
+      return plan.sort((a, b) => (a.due_date || '9999').localeCompare(b.due_date || '9999'));
+  }
+}
+
+module.exports = ZikaPregnancyPathway;
@@ -0,0 +1,641 @@
+// models/ai/ZikaRiskAssessmentModel.js - Rule-based Zika risk model
+const AI_CONFIG = require('./config');
+const { loadScoringConfig } = require('../../services/scoringConfig');
+const SymptomVocabulary = require('./SymptomVocabulary');
+
+const round4 = (value) => Math.round(value * 10000) / 10000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const utcDay = (date) => Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+
+// 1. ZIKA RISK ASSESSMENT MODEL
+class ZikaRiskAssessmentModel {
+  /**
+   * @param {Object} scoringConfig - Validated config from services/scoringConfig
+   * @param {SymptomVocabulary} vocabulary - Codes free-text and structured symptoms
+   */
+  constructor(scoringConfig = loadScoringConfig(AI_CONFIG.ZIKA_SCORING_CONFIG_PATH), vocabulary = new SymptomVocabulary()) {
+      this.name = "ABSUTH Zika Risk Predictor v2.1";
+      this.version = "2.1.0";
+      this.trainedDate = "2024-12-01";
+      this.vocabulary = vocabulary;
+      this.applyScoringConfig(scoringConfig);
+  }
+
+  /**
+   * Switch to another validated scoring config (startup, or an admin activating a profile)
+   */
+  applyScoringConfig(scoringConfig) {
+      // Every weight and threshold comes from the scoring config; the
+      // explanation reports against the same numbers
+      const compile = (patterns) => patterns.map(pattern => new RegExp(pattern, 'i'));
+      this.travelTiers = scoringConfig.travel.tiers.map(tier => ({ ...tier, patterns: compile(tier.patterns) }));
+      this.localTravel = { ...scoringConfig.travel.local, patterns: compile(scoringConfig.travel.local.patterns) };
+      this.scoreWeights = scoringConfig.score_weights;
+      this.riskThresholds = scoringConfig.risk_thresholds;
+      this.comorbidityCap = scoringConfig.comorbidities.max_multiplier;
+      this.scoringConfig = scoringConfig;
+  }
+
+  /**
+   * Version and fingerprint of the scoring config, for model_metadata
+   */
+  getScoringConfigInfo() {
+      return {
+          name: this.scoringConfig.name,
+          version: this.scoringConfig.version,
+          hash: this.scoringConfig.hash
+      };
+  }
+
+  /**
+   * Predict Zika risk based on clinical parameters
+   * @param {Object} patientData - Clinical parameters
+   * @param {Object} options - { explain } adds the verbose explanation
+   * @returns {Object} Risk assessment with recommendations
+   */
+  predict(patientData, { explain = false } = {}) {
+      const { age, sex, travelHistory, symptoms = [], comorbidities = [] } = patientData;
+      const trace = { demographic: {}, travel: {}, symptoms: {}, comorbidities: {} };
+      
+      // Step 1: Calculate base risk score
+      const baseScore = this.calculateBaseRisk(age, sex, trace.demographic);
+      
+      // Step 2: Apply travel history modifier
+      const travelModifier = this.assessTravelRisk(travelHistory, trace.travel);
+      
+      // Step 3: Apply symptom severity modifier
+      const symptomModifier = this.assessSymptomSeverity(symptoms, trace.symptoms);
+      
+      // Step 4: Apply comorbidity multiplier
+      const comorbidityMultiplier = this.assessComorbidities(comorbidities, trace.comorbidities);
+      
+      // Step 5: Calculate final risk score
+      const finalRiskScore = this.calculateFinalScore(
+          baseScore, 
+          travelModifier, 
+          symptomModifier, 
+          comorbidityMultiplier
+      );
+      
+      // Step 6: Determine risk category
+      const riskCategory = this.categorizeRisk(finalRiskScore);
+      
+      // Step 7: Generate recommendations (tests depend on the day of illness)
+      const timeline = this.illnessTimeline(patientData);
+      const recommendations = this.generateRecommendations(riskCategory, patientData, timeline);
+      
+      // Step 8: Generate differential diagnoses
+      const differentialDiagnoses = this.generateDifferentialDiagnoses(symptoms);
+      
+      return {
+          success: true,
+          prediction: {
+              risk_level: riskCategory.level,
+              risk_score: finalRiskScore,
+              confidence: this.calculateConfidence(finalRiskScore),
+              probability_percentage: Math.round(finalRiskScore * 100),
+              recommendations: recommendations,
+              illness_timeline: timeline,
+              factors_considered: {
+                  demographic_score: baseScore,
+                  travel_risk: travelModifier,
+                  symptom_severity: symptomModifier,
+                  comorbidity_impact: comorbidityMultiplier
+              },
+              explanation: this.explainScore(
+                  { baseScore, travelModifier, symptomModifier, comorbidityMultiplier, finalRiskScore },
+                  trace,
+                  explain
+              ),
+              clinical_guidance: this.generateClinicalGuidance(riskCategory),
+              differential_diagnoses: differentialDiagnoses,
+              urgency_level: riskCategory.urgency,
+              model_metadata: {
+                  name: this.name,
+                  version: this.version,
+                  scoring_config: this.getScoringConfigInfo(),
+                  timestamp: new Date().toISOString()
+              }
+          }
+      };
+  }
+
+  /**
+   * Calculate base risk from demographic factors
+   */
+  // Update the calculateBaseRisk method in the ZikaRiskAssessmentModel class:
+
+calculateBaseRisk(age, sex, trace = null) {
+  const { age_bands: ageBands, sex_points: sexTable } = this.scoringConfig.demographic;
+  
+  // Age-based risk (U-shaped curve); the last band is open-ended
+  const band = ageBands.find(b =>
+      (b.below_age !== undefined && age < b.below_age) ||
+      (b.max_age !== undefined && age <= b.max_age) ||
+      (b.below_age === undefined && b.max_age === undefined)
+  );
+  const ageBand = [band.label, band.points];
+  
+  // Sex-based risk
+  const sexUpper = (sex || '').toUpperCase();
+  let sexPoints;
+  if (sexUpper === 'F' || sexUpper === 'FEMALE') {
+      sexPoints = sexTable.F;
+  } else if (sexUpper === 'M' || sexUpper === 'MALE') {
+      sexPoints = sexTable.M;
+  } else {
+      sexPoints = sexTable.other;
+  }
+  
+  const score = Math.min(ageBand[1] + sexPoints, 1.0);
+  if (trace) {
+      Object.assign(trace, { age_band: ageBand[0], age_points: ageBand[1], sex_points: sexPoints, capped_at_1: ageBand[1] + sexPoints > 1 });
+  }
+  return score;
+}
+
+// Update the assessSymptomSeverity method:
+
+assessSymptomSeverity(symptoms = [], trace = null) {
+  // Weights are per vocabulary code, scaled by the reported severity
+  const { weights: symptomWeights, severity_multipliers: severityMultipliers, normalization } = this.scoringConfig.symptoms;
+  const coded = this.vocabulary.code(symptoms);
+  
+  let severityScore = 0;
+  const matched = [];
+  const unmatched = coded.unrecognized;
+  
+  // Calculate severity based on symptom weights
+  for (const symptom of coded.symptoms) {
+      const weight = (symptomWeights[symptom.code] || 0) * (symptom.severity ? severityMultipliers[symptom.severity] : 1);
+      severityScore += weight;
+      matched.push({ symptom: symptom.term, matched: symptom.code, severity: symptom.severity, weight });
+      console.log(`✅ Symptom matched: "${symptom.term}" -> ${symptom.code} (weight: ${weight})`);
+  }
+  
+  console.log(`📊 Total severity score: ${severityScore}`);
+  
+  // Normalize to 0-1 scale: few symptoms use a smaller divisor, max at 1.0
+  const symptomCount = coded.symptoms.length + coded.unrecognized.length;
+  const normalizationFactor = symptomCount <= normalization.few_symptoms_max
+      ? normalization.few_symptoms_divisor
+      : normalization.many_symptoms_divisor;
+  const normalizedScore = Math.min(severityScore / normalizationFactor, 1.0);
+  
+  console.log(`📊 Normalized severity: ${normalizedScore} (÷${normalizationFactor})`);
+  if (trace) {
+      Object.assign(trace, { matched, unmatched, raw_score: severityScore, normalization_factor: normalizationFactor });
+  }
+  return normalizedScore;
+}
+
+// Also update the assessTravelRisk to be more sensitive:
+
+assessTravelRisk(travelHistory = '', trace = null) {
+  const travelLower = travelHistory.toLowerCase();
+  const baseModifier = this.scoringConfig.travel.base_modifier;
+  let riskModifier = baseModifier; // Start with base risk
+  const matched = [];
+  
+  // Region tiers, highest risk first; the first matching tier sets the modifier
+  tiers:
+  for (const tier of this.travelTiers) {
+      for (const pattern of tier.patterns) {
+          if (pattern.test(travelLower)) {
+              riskModifier = tier.modifier;
+              matched.push({ matched: travelLower.match(pattern)[0], tier: tier.tier, effect: `set to ${tier.modifier}` });
+              console.log(`✈️ ${tier.tier} travel detected: ${pattern}`);
+              break tiers;
+          }
+      }
+  }
+  
+  // Additional Nigerian cities/states
+  const local = this.localTravel;
+  for (const pattern of local.patterns) {
+      if (pattern.test(travelLower)) {
+          riskModifier = Math.min(riskModifier + local.increment, local.max_modifier);
+          matched.push({ matched: travelLower.match(pattern)[0], tier: local.tier, effect: `+${local.increment} (max ${local.max_modifier})` });
+          console.log(`🇳🇬 ${local.tier} detected: ${pattern}`);
+          break;
+      }
+  }
+  
+  console.log(`✈️ Travel risk modifier: ${riskModifier}`);
+  if (trace) {
+      Object.assign(trace, { matched, base_modifier: baseModifier, provided: travelLower.trim() !== '' });
+  }
+  return riskModifier;
+}
+
+// Also update the assessComorbidities to be more sensitive:
+
+assessComorbidities(comorbidities = [], trace = null) {
+  const comorbidityWeights = this.scoringConfig.comorbidities.multipliers;
+  
+  let multiplier = 1.0;
+  const normalizedComorbidities = comorbidities.map(c => c.toLowerCase().trim());
+  const matched = [];
+  const unmatched = [];
+  
+  console.log(`🏥 Comorbidities to assess: ${normalizedComorbidities.join(', ')}`);
+  
+  for (const condition of normalizedComorbidities) {
+      let found = false;
+      for (const [pattern, weight] of Object.entries(comorbidityWeights)) {
+          const conditionLower = condition.toLowerCase();
+          const patternLower = pattern.toLowerCase();
+          
+          if (conditionLower.includes(patternLower) || patternLower.includes(conditionLower)) {
+              multiplier *= weight;
+              matched.push({ comorbidity: condition, matched: pattern, multiplier: weight });
+              found = true;
+              console.log(`✅ Comorbidity matched: "${condition}" -> "${pattern}" (×${weight})`);
+              console.log(`🏥 Current multiplier: ${multiplier.toFixed(2)}`);
+              break;
+          }
+      }
+      if (!found) unmatched.push(condition);
+  }
+  
+  const finalMultiplier = Math.min(multiplier, this.comorbidityCap);
+  console.log(`🏥 Final comorbidity multiplier: ${finalMultiplier.toFixed(2)}`);
+  if (trace) {
+      Object.assign(trace, { matched, unmatched, uncapped_multiplier: multiplier, cap: this.comorbidityCap });
+  }
+  
+  return finalMultiplier;
+}
+
+  /**
+   * Calculate final risk score
+   */
+  calculateFinalScore(baseScore, travelModifier, symptomModifier, comorbidityMultiplier) {
+      // Weighted formula: score_weights from the scoring config, scaled by the comorbidity multiplier
+      const { demographic, travel, symptoms } = this.scoreWeights;
+      const weightedScore = (
+          baseScore * demographic +
+          travelModifier * travel +
+          symptomModifier * symptoms
+      ) * comorbidityMultiplier;
+      
+      return Math.min(Math.max(weightedScore, 0), 1);
+  }
+
+  /**
+   * Categorize risk level
+   */
+  categorizeRisk(score) {
+      if (score >= this.riskThresholds.CRITICAL) {
+          return {
+              level: 'CRITICAL',
+              urgency: 'IMMEDIATE',
+              color: '#DC2626',
+              icon: '⚠️🚨',
+              action: 'Emergency intervention required'
+          };
+      } else if (score >= this.riskThresholds.HIGH) {
+          return {
+              level: 'HIGH',
+              urgency: 'URGENT',
+              color: '#EA580C',
+              icon: '⚠️',
+              action: 'Same-day assessment needed'
+          };
+      } else if (score >= this.riskThresholds.MODERATE) {
+          return {
+              level: 'MODERATE',
+              urgency: 'PRIORITY',
+              color: '#F59E0B',
+              icon: '🔶',
+              action: 'Schedule within 48 hours'
+          };
+      } else if (score >= this.riskThresholds.LOW) {
+          return {
+              level: 'LOW',
+              urgency: 'ROUTINE',
+              color: '#10B981',
+              icon: '✅',
+              action: 'Routine follow-up'
+          };
+      } else {
+          return {
+              level: 'VERY LOW',
+              urgency: 'MONITOR',
+              color: '#059669',
+              icon: '📊',
+              action: 'Continue monitoring'
+          };
+      }
+  }
+
+  /**
+   * Calculate prediction confidence
+   */
+  calculateConfidence(riskScore) {
+      // Confidence is higher at extremes, lower in middle (where it's ambiguous)
+      const band = this.scoringConfig.confidence.find(b =>
+          !b.outside || riskScore < b.outside[0] || riskScore > b.outside[1]
+      );
+      return band.value;
+  }
+
+  /**
+   * Where a score sits between the risk band floors
+   */
+  explainThresholds(score) {
+      const bands = Object.entries(this.riskThresholds).sort((a, b) => b[1] - a[1]);
+      const index = bands.findIndex(([, floor]) => score >= floor);
+      const current = index === -1 ? ['VERY LOW', 0] : bands[index];
+      const next = index === -1 ? bands[bands.length - 1] : bands[index - 1];
+      
+      return {
+          risk_level: current[0],
+          band_floor: current[1],
+          above_floor_by: round4(score - current[1]),
+          next_level: next ? next[0] : null,
+          next_threshold: next ? next[1] : null,
+          distance_to_next: next ? round4(next[1] - score) : null
+      };
+  }
+
+  /**
+   * Structured reasons for a score: matched inputs with their weights, each
+   * weighted term's contribution and the distance to the next risk band
+   * @param {Object} scores - Outputs of the assess* steps and the final score
+   * @param {Object} trace - Details collected by the assess* steps
+   * @param {Boolean} verbose - Include unmatched inputs and intermediate values
+   */
+  explainScore(scores, trace, verbose = false) {
+      const { baseScore, travelModifier, symptomModifier, comorbidityMultiplier, finalRiskScore } = scores;
+      const { demographic, travel, symptoms } = this.scoreWeights;
+      
+      const terms = [
+          { factor: 'demographic', value: baseScore, weight: demographic },
+          { factor: 'travel', value: travelModifier, weight: travel },
+          { factor: 'symptoms', value: symptomModifier, weight: symptoms }
+      ].map(term => ({ ...term, contribution: term.value * term.weight }));
+      const weightedSum = terms.reduce((sum, term) => sum + term.contribution, 0);
+      
+      // The comorbidity multiplier scales the whole sum; its contribution is the extra it adds
+      const contributions = [
+          ...terms,
+          { factor: 'comorbidities', value: comorbidityMultiplier, weight: null, contribution: weightedSum * (comorbidityMultiplier - 1) }
+      ].map(term => ({ ...term, value: round4(term.value), contribution: round4(term.contribution) }));
+      
+      const unclampedScore = weightedSum * comorbidityMultiplier;
+      const thresholds = this.explainThresholds(finalRiskScore);
+      const drivers = [...contributions]
+          .filter(term => term.contribution > 0)
+          .sort((a, b) => b.contribution - a.contribution)
+          .map(term => `${term.factor} +${term.contribution.toFixed(2)}`);
+      
+      const explanation = {
+          summary: `Score ${finalRiskScore.toFixed(2)} (${thresholds.risk_level}): ${drivers.join(', ')}` +
+              (thresholds.next_level ? `; ${thresholds.distance_to_next.toFixed(2)} below ${thresholds.next_level}` : ''),
+          contributions: contributions,
+          matched_symptoms: trace.symptoms.matched || [],
+          travel_patterns: trace.travel.matched || [],
+          matched_comorbidities: trace.comorbidities.matched || [],
+          thresholds: thresholds
+      };
+      
+      if (verbose) {
+          explanation.formula = `min(max((demographic × ${demographic} + travel × ${travel} + symptoms × ${symptoms}) × comorbidity multiplier, 0), 1)`;
+          explanation.unclamped_score = round4(unclampedScore);
+          explanation.clamped = unclampedScore !== finalRiskScore;
+          explanation.demographic = trace.demographic;
+          explanation.travel = { base_modifier: trace.travel.base_modifier, provided: trace.travel.provided };
+          explanation.symptoms = {
+              raw_score: round4(trace.symptoms.raw_score || 0),
+              normalization_factor: trace.symptoms.normalization_factor,
+              unmatched: trace.symptoms.unmatched || []
+          };
+          explanation.comorbidities = {
+              uncapped_multiplier: round4(trace.comorbidities.uncapped_multiplier || 1),
+              cap: trace.comorbidities.cap,
+              unmatched: trace.comorbidities.unmatched || []
+          };
+          explanation.risk_thresholds = this.riskThresholds;
+      }
+      
+      return explanation;
+  }
+
+  /**
+   * Day of illness and Zika testing window, from the encounter onsetDate or the
+   * earliest symptom onset date (whichever is earlier)
+   * @returns {Object|null} null when no onset date was given
+   */
+  illnessTimeline(patientData, asOf = new Date()) {
+      const { onsetDate, symptoms = [] } = patientData;
+      const candidates = [
+          onsetDate ? { date: new Date(onsetDate), source: 'encounter' } : null,
+          ...this.vocabulary.code(symptoms).symptoms
+              .filter(s => s.onset_date)
+              .map(s => ({ date: new Date(s.onset_date), source: s.code }))
+      ].filter(c => c && !Number.isNaN(c.date.getTime()));
+      if (candidates.length === 0) return null;
+
+      const onset = candidates.reduce((earliest, c) => (c.date < earliest.date ? c : earliest));
+      const illnessDay = Math.max(Math.round((utcDay(asOf) - utcDay(onset.date)) / DAY_MS) + 1, 1);
+      const windows = AI_CONFIG.ZIKA_TESTING_WINDOWS;
+      const window = windows.find(w => w.last_day === null || illnessDay <= w.last_day);
+      const first = windows[windows.indexOf(window) - 1];
+
+      return {
+          onset_date: new Date(utcDay(onset.date)).toISOString().slice(0, 10),
+          onset_source: onset.source,
+          illness_day: illnessDay,
+          phase: window.phase,
+          window_days: { from: first ? first.last_day + 1 : 1, to: window.last_day },
+          tests: window.tests,
+          note: window.note,
+          follow_up: window.follow_up
+      };
+  }
+
+  /**
+   * "Send <test> on <sample> ..." for the patient's day of illness
+   */
+  testingAdvice(timeline) {
+      const day = `illness day ${timeline.illness_day}: ${timeline.note}`;
+      if (timeline.tests.length === 0) {
+          return `No Zika test reliably confirms infection this late (${day}); discuss with virology`;
+      }
+      const tests = timeline.tests.map(t => `${t.test} on ${t.sample}`).join(' and ');
+      return `Send ${tests} (${day})`;
+  }
+
+  /**
+   * Generate clinical recommendations
+   * @param {Object|null} timeline - From illnessTimeline; picks PCR or serology
+   */
+  generateRecommendations(riskCategory, patientData, timeline = this.illnessTimeline(patientData)) {
+      const { age, sex, travelHistory, symptoms } = patientData;
+      const recommendations = [];
+      
+      // Base recommendations by risk level
+      if (riskCategory.level === 'CRITICAL') {
+          recommendations.push(
+              "🚨 EMERGENCY: Refer to Emergency Department immediately",
+              timeline ? this.testingAdvice(timeline) : "Initiate Zika virus PCR testing",
+              "Admit for observation and supportive care",
+              "Notify infectious disease specialist",
+              "Implement strict mosquito bite prevention"
+          );
+      } else if (riskCategory.level === 'HIGH') {
+          recommendations.push(
+              "URGENT: Schedule same-day clinical assessment",
+              timeline ? this.testingAdvice(timeline) : "Perform Zika IgM/IgG serology testing",
+              "Complete full blood count and liver function tests",
+              "Consider hospitalization if symptoms worsen",
+              "Prescribe symptomatic treatment as needed"
+          );
+      } else if (riskCategory.level === 'MODERATE') {
+          recommendations.push(
+              "Schedule assessment within 48 hours",
+              timeline
+                  ? `Consider Zika testing if symptoms persist >3 days. ${this.testingAdvice(timeline)}`
+                  : "Consider Zika testing if symptoms persist >3 days",
+              "Advise rest and hydration",
+              "Prescribe acetaminophen for fever/pain (avoid NSAIDs)",
+              "Monitor for neurological symptoms"
+          );
+      } else {
+          recommendations.push(
+              "Routine follow-up in 1 week",
+              "Continue mosquito bite prevention",
+              "Monitor temperature twice daily",
+              "Return if symptoms worsen or new symptoms develop",
+              "Maintain adequate hydration"
+          );
+      }
+      if (!timeline && ['CRITICAL', 'HIGH', 'MODERATE'].includes(riskCategory.level)) {
+          recommendations.push("Record the symptom onset date to choose between Zika RT-PCR and serology");
+      }
+      
+      // Sex-specific recommendations
+      const sexUpper = (sex || '').toUpperCase();
+      if (sexUpper === 'F') {
+          recommendations.push(
+              "If pregnant or planning pregnancy, consult obstetrician",
+              "Discuss pregnancy risks and monitoring options",
+              "Consider serial ultrasound monitoring if pregnant",
+              "Practice safe sex for 8 weeks post-symptoms"
+          );
+      }
+      
+      // Travel-related recommendations
+      if (travelHistory && travelHistory.trim() !== '') {
+          recommendations.push(
+              "Consider malaria testing due to travel history",
+              "Monitor for other travel-related illnesses",
+              "Complete travel medicine consultation"
+          );
+      }
+      
+      // Symptom-specific recommendations
+      const symptomCodes = this.vocabulary.codesOf(symptoms || []);
+      if (symptomCodes.includes('rash')) {
+          recommendations.push("Monitor rash progression and distribution");
+      }
+      if (symptomCodes.includes('arthralgia')) {
+          recommendations.push("Consider arthritis evaluation if joint pain persists >2 weeks");
+      }
+      
+      return recommendations;
+  }
+
+  /**
+   * Generate differential diagnoses
+   */
+  generateDifferentialDiagnoses(symptoms = []) {
+      const symptomSet = new Set(this.vocabulary.codesOf(symptoms));
+      const differentials = [];
+      
+      // Common differentials for Zika-like symptoms
+      if (symptomSet.has('fever') && symptomSet.has('rash')) {
+          differentials.push(
+              "Dengue fever",
+              "Chikungunya",
+              "Measles",
+              "Rubella",
+              "Enterovirus infection"
+          );
+      }
+      
+      if (symptomSet.has('arthralgia')) {
+          differentials.push(
+              "Chikungunya",
+              "Rheumatoid arthritis",
+              "Osteoarthritis",
+              "Gout",
+              "Reactive arthritis"
+          );
+      }
+      
+      if (symptomSet.has('conjunctivitis') || symptomSet.has('red_eye')) {
+          differentials.push(
+              "Adenovirus infection",
+              "Allergic conjunctivitis",
+              "Bacterial conjunctivitis",
+              "Dry eye syndrome"
+          );
+      }
+      
+      // Always include these
+      differentials.push(
+          "Viral syndrome",
+          "Influenza",
+          "COVID-19",
+          "Malaria (if travel history)",
+          "Typhoid fever"
+      );
+      
+      return [...new Set(differentials)];  // Remove duplicates
+  }
+
+  /**
+   * Generate clinical guidance
+   */
+  generateClinicalGuidance(riskCategory) {
+      const guidance = {
+          monitoring_instructions: "Monitor temperature twice daily. Watch for: severe headache, confusion, bleeding, difficulty breathing.",
+          isolation_precautions: "Use mosquito nets. Apply DEET repellent. Wear long sleeves/pants. Stay in air-conditioned spaces.",
+          follow_up_schedule: this.getFollowUpSchedule(riskCategory),
+          warning_signs: [
+              "High fever (>39°C) for >3 days",
+              "Severe headache with neck stiffness",
+              "Bleeding from gums/nose",
+              "Difficulty breathing",
+              "Confusion or seizures",
+              "Severe abdominal pain",
+              "Persistent vomiting"
+          ],
+          when_to_seek_help: "Return immediately if any warning signs develop or symptoms worsen."
+      };
+      
+      return guidance;
+  }
+
+  /**
+   * Get follow-up schedule
+   */
+  getFollowUpSchedule(riskCategory) {
+      switch (riskCategory.level) {
+          case 'CRITICAL':
+              return "Daily follow-up for 1 week, then twice weekly for 2 weeks";
+          case 'HIGH':
+              return "Every 2-3 days for 1 week, then weekly for 2 weeks";
+          case 'MODERATE':
+              return "Weekly for 2 weeks";
+          case 'LOW':
+              return "Follow-up in 1-2 weeks if symptoms persist";
+          default:
+              return "Routine follow-up as needed";
+      }
+  }
+}
+
+module.exports = ZikaRiskAssessmentModel;
@@ -0,0 +1,60 @@
+// models/ai/config.js - Shared clinical AI configuration
+const path = require('path');
+
+// ============================================================================
+// ADVANCED MEDICAL AI CONFIGURATION
+// ============================================================================
+const AI_CONFIG = {
+  // Default scoring configs: weights, thresholds, symptom dictionaries and travel
+  // regions (validated when the model registry loads; admins can activate
+  // uploaded profiles on top, see routes/admin.js)
+  ZIKA_SCORING_CONFIG_PATH: process.env.ZIKA_SCORING_CONFIG_PATH || path.join(__dirname, 'scoring', 'zika-risk.v2.json'),
+  MALARIA_SCORING_CONFIG_PATH: process.env.MALARIA_SCORING_CONFIG_PATH || path.join(__dirname, 'scoring', 'malaria-detection.v1.json'),
+  
+  // Zika testing windows by day of illness (the day of symptom onset is day 1).
+  // RT-PCR finds virus in serum for about a week and in urine for about two;
+  // IgM is detectable from the end of the first week for about 12 weeks.
+  ZIKA_TESTING_WINDOWS: [
+    {
+      phase: 'viraemic',
+      last_day: 7,
+      tests: [{ test: 'Zika RT-PCR', sample: 'serum and urine' }],
+      note: 'virus is usually detectable in serum',
+      follow_up: 'Zika IgM serology on serum from illness day 8 if RT-PCR is negative'
+    },
+    {
+      phase: 'early_convalescent',
+      last_day: 14,
+      tests: [{ test: 'Zika RT-PCR', sample: 'urine' }, { test: 'Zika IgM serology', sample: 'serum' }],
+      note: 'serum RT-PCR is often negative by now, urine stays positive longer',
+      follow_up: 'PRNT confirmation if IgM is reactive (cross-reacts with dengue)'
+    },
+    {
+      phase: 'convalescent',
+      last_day: 84,
+      tests: [{ test: 'Zika IgM serology', sample: 'serum' }],
+      note: 'RT-PCR is unlikely to detect virus',
+      follow_up: 'PRNT confirmation if IgM is reactive (cross-reacts with dengue)'
+    },
+    {
+      phase: 'late',
+      last_day: null,
+      tests: [],
+      note: 'past the IgM window, a negative result does not rule out infection',
+      follow_up: null
+    }
+  ],
+  
+  // Clinical validation flags
+  VALIDATION: {
+    MIN_AGE: 0,
+    MAX_AGE: 120,
+    REQUIRED_FIELDS: ['age', 'sex']
+  },
+  
+  // JSON export of ABSUTH_early_detection_model.pkl (scripts/export_forest.py)
+  FOREST_MODEL_PATH: process.env.ZIKA_FOREST_MODEL_PATH || path.join(__dirname, '..', '..', 'routes', 'models', 'ABSUTH_early_detection_model.json'),
+  DEFAULT_ZIKA_ENGINE: 'rules'
+};
+
+module.exports = AI_CONFIG;
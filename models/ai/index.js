@@ -0,0 +1,113 @@
+// models/ai/index.js - Shared clinical AI model registry
+// Every router (and any CLI) gets its models from here so there is exactly one
+// instance, and one version number, per model.
+const AI_CONFIG = require('./config');
+const ZikaRiskAssessmentModel = require('./ZikaRiskAssessmentModel');
+const MalariaDetectionModel = require('./MalariaDetectionModel');
+const DualPathogenScreeningModel = require('./DualPathogenScreeningModel');
+const ForestZikaRiskModel = require('./ForestZikaRiskModel');
+const ZikaPregnancyPathway = require('./ZikaPregnancyPathway');
+const SymptomVocabulary = require('./SymptomVocabulary');
+const ABSUTHClinicalAI = require('./ABSUTHClinicalAI');
+const MalariaAIEngine = require('./MalariaAIEngine');
+const { loadTreeEnsemble } = require('../../services/forestModel');
+const { loadScoringConfig } = require('../../services/scoringConfig');
+
+// ============================================================================
+// SCORING CONFIGS
+// ============================================================================
+// Loaded once at startup; an invalid file stops the server rather than
+// silently scoring with different numbers
+const loadDefaultScoring = (model, filePath) => {
+  try {
+    const config = loadScoringConfig(filePath, model);
+    console.log(`✅ ${model} scoring config ${config.version} (sha256 ${config.hash.slice(0, 12)})`);
+    return config;
+  } catch (error) {
+    console.error(`❌ ${model} scoring config rejected (${filePath}):`, error.message);
+    throw error;
+  }
+};
+
+const defaultScoringConfigs = {
+  zika: loadDefaultScoring('zika', AI_CONFIG.ZIKA_SCORING_CONFIG_PATH),
+  malaria: loadDefaultScoring('malaria', AI_CONFIG.MALARIA_SCORING_CONFIG_PATH)
+};
+
+// ============================================================================
+// MODEL INSTANCES
+// ============================================================================
+const symptomVocabulary = new SymptomVocabulary();
+const zikaModel = new ZikaRiskAssessmentModel(defaultScoringConfigs.zika, symptomVocabulary);
+const malariaModel = new MalariaDetectionModel(defaultScoringConfigs.malaria, symptomVocabulary);
+const dualScreeningModel = new DualPathogenScreeningModel(zikaModel, malariaModel);
+const pregnancyPathway = new ZikaPregnancyPathway();
+
+// A forest whose warnings say it can't tell patients apart (single class, or
+// every tree a single leaf) would give everyone the same score, so it isn't
+// registered as an engine at all
+let forestModel = null;
+let forestUnavailableReason = null;
+try {
+  const candidate = new ForestZikaRiskModel(loadTreeEnsemble(AI_CONFIG.FOREST_MODEL_PATH), defaultScoringConfigs.zika, symptomVocabulary);
+  const { warnings } = candidate.ensemble;
+  if (warnings.length > 0) {
+    forestUnavailableReason = `Forest model rejected: ${warnings.join('; ')}`;
+  } else {
+    forestModel = candidate;
+  }
+} catch (error) {
+  forestUnavailableReason = `Forest model could not be loaded: ${error.message}`;
+}
+if (forestUnavailableReason) {
+  console.warn(`⚠️ Forest engine unavailable (${AI_CONFIG.FOREST_MODEL_PATH}): ${forestUnavailableReason}`);
+}
+
+const registry = {
+  zika: zikaModel,
+  malaria: malariaModel,
+  dualScreening: dualScreeningModel,
+  pregnancyPathway: pregnancyPathway,
+  symptomVocabulary: symptomVocabulary,
+  ...(forestModel ? { forest: forestModel } : {})
+};
+
+// ============================================================================
+// ENGINES
+// ============================================================================
+const clinicalAI = new ABSUTHClinicalAI({
+  zikaModel, malariaModel, dualScreeningModel, pregnancyPathway, forestModel, symptomVocabulary,
+  unavailableEngines: forestUnavailableReason ? { forest: forestUnavailableReason } : {}
+});
+const malariaAI = new MalariaAIEngine(malariaModel, symptomVocabulary);
+
+/**
+ * Look up a registered model by key (zika, malaria, dualScreening, pregnancyPathway, symptomVocabulary, forest)
+ */
+const getModel = (key) => registry[key] || null;
+
+/**
+ * Name/version summary of every registered model
+ */
+const listModels = () => Object.entries(registry).map(([key, model]) => ({
+  key,
+  name: model.name,
+  version: model.version
+}));
+
+module.exports = {
+  AI_CONFIG,
+  defaultScoringConfigs,
+  clinicalAI,
+  malariaAI,
+  getModel,
+  listModels,
+  ZikaRiskAssessmentModel,
+  MalariaDetectionModel,
+  DualPathogenScreeningModel,
+  ForestZikaRiskModel,
+  ZikaPregnancyPathway,
+  SymptomVocabulary,
+  ABSUTHClinicalAI,
+  MalariaAIEngine
+};
@@ -0,0 +1,303 @@
+// routes/admin.js - Scoring profile management for the Zika and malaria models
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const ScoringProfile = require('../models/ScoringProfile');
+const ScoringAuditLog = require('../models/ScoringAuditLog');
+const { SCORING_MODELS, validateScoringConfig, hashScoringConfig } = require('../services/scoringConfig');
+const { defaultScoringConfigs } = require('../models/ai');
+const {
+  activeScoring,
+  activateProfile,
+  rollbackTo,
+  dryRun
+} = require('../services/scoringProfiles');
+
+const checkModel = (req, res) => {
+  if (!SCORING_MODELS.includes(req.params.model)) {
+    res.status(404).json({
+      success: false,
+      message: `Unknown model: ${req.params.model}. Must be one of: ${SCORING_MODELS.join(', ')}`
+    });
+    return false;
+  }
+  return true;
+};
+
+const findProfile = async (req, res) => {
+  const profile = await ScoringProfile.findOne({ model: req.params.model, version: req.params.version });
+  if (!profile) {
+    res.status(404).json({ success: false, message: `No ${req.params.model} scoring profile with version ${req.params.version}` });
+  }
+  return profile;
+};
+
+const parseDate = (value, name) => {
+  if (value === undefined || value === '') return undefined;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw new Error(`Invalid ${name}: ${value}`);
+  return date;
+};
+
+// GET /api/admin/models - Live scoring config and stored profiles per model
+router.get('/models', auth, authorize('models:manage'), async (req, res) => {
+  try {
+    const profiles = await ScoringProfile.find({})
+      .select('-config')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      models: SCORING_MODELS.map(model => ({
+        model,
+        active: activeScoring(model),
+        default: {
+          version: defaultScoringConfigs[model].version,
+          hash: defaultScoringConfigs[model].hash
+        },
+        profiles: profiles.filter(p => p.model === model)
+      }))
+    });
+
+  } catch (error) {
+    console.error('❌ Scoring profiles list error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list scoring profiles',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// GET /api/admin/models/audit - Change log, newest first
+// ?model=zika&action=activate&limit=50
+router.get('/models/audit', auth, authorize('models:manage'), async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.model) filter.model = req.query.model;
+    if (req.query.action) filter.action = req.query.action;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
+
+    const entries = await ScoringAuditLog.find(filter)
+      .sort({ at: -1 })
+      .limit(limit)
+      .populate('user', 'name email role');
+
+    res.json({ success: true, count: entries.length, entries });
+
+  } catch (error) {
+    console.error('❌ Scoring audit log error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch scoring audit log',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// GET /api/admin/models/:model/profiles/:version - One profile with its config
+router.get('/models/:model/profiles/:version', auth, authorize('models:manage'), async (req, res) => {
+  try {
+    if (!checkModel(req, res)) return;
+    const profile = await findProfile(req, res);
+    if (!profile) return;
+
+    res.json({ success: true, profile });
+
+  } catch (error) {
+    console.error('❌ Scoring profile error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch scoring profile',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// POST /api/admin/models/:model/profiles - Upload a scoring profile (not activated)
+// Body: { config: { version, ... }, notes }
+router.post('/models/:model/profiles', auth, authorize('models:manage'), async (req, res) => {
+  try {
+    if (!checkModel(req, res)) return;
+    const { model } = req.params;
+    const { config, notes } = req.body;
+
+    const errors = validateScoringConfig(config, model);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid scoring config: ${errors.join('; ')}`,
+        errors
+      });
+    }
+
+    const hash = hashScoringConfig(config);
+    if (config.version === defaultScoringConfigs[model].version) {
+      return res.status(409).json({
+        success: false,
+        message: `Version ${config.version} is the default ${model} config; bump the version`
+      });
+    }
+    const existing = await ScoringProfile.findOne({ model, $or: [{ version: config.version }, { hash }] });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: existing.version === config.version
+          ? `A ${model} scoring profile with version ${config.version} already exists`
+          : `This config is already stored as version ${existing.version}`
+      });
+    }
+
+    const profile = await ScoringProfile.create({
+      model,
+      version: config.version,
+      config,
+      hash,
+      notes,
+      createdBy: req.user.id
+    });
+    await ScoringAuditLog.create({
+      action: 'upload',
+      model,
+      profile: profile._id,
+      version: profile.version,
+      hash,
+      user: req.user.id,
+      details: notes ? { notes } : undefined
+    });
+    console.log(`📥 ${model} scoring profile ${profile.version} uploaded`);
+
+    res.status(201).json({ success: true, message: 'Scoring profile uploaded', profile });
+
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ success: false, message: 'A scoring profile with this version already exists' });
+    }
+    console.error('❌ Scoring profile upload error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to upload scoring profile',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// POST /api/admin/models/:model/profiles/:version/dry-run - How risk levels of
+// stored records would shift under this profile
+// Body: { since, until, limit }
+router.post('/models/:model/profiles/:version/dry-run', auth, authorize('models:manage'), async (req, res) => {
+  try {
+    if (!checkModel(req, res)) return;
+    const profile = await findProfile(req, res);
+    if (!profile) return;
+
+    const report = await dryRun(profile, {
+      since: parseDate(req.body.since, 'since'),
+      until: parseDate(req.body.until, 'until'),
+      limit: req.body.limit
+    });
+
+    await ScoringAuditLog.create({
+      action: 'dry_run',
+      model: profile.model,
+      profile: profile._id,
+      version: profile.version,
+      hash: profile.hash,
+      previousVersion: report.current.version,
+      previousHash: report.current.hash,
+      user: req.user.id,
+      details: { window: report.window, scored: report.scored, changed: report.changed }
+    });
+
+    res.json({ success: true, dry_run: report });
+
+  } catch (error) {
+    if (error.message.startsWith('Invalid ')) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error('❌ Scoring dry run error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to dry-run scoring profile',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// POST /api/admin/models/:model/profiles/:version/activate - Score with this profile from now on
+router.post('/models/:model/profiles/:version/activate', auth, authorize('models:manage'), async (req, res) => {
+  try {
+    if (!checkModel(req, res)) return;
+    const profile = await findProfile(req, res);
+    if (!profile) return;
+
+    if (profile.active) {
+      return res.status(409).json({ success: false, message: `Version ${profile.version} is already active` });
+    }
+
+    const active = await activateProfile(profile, req.user.id);
+    res.json({ success: true, message: `${profile.model} scoring profile ${profile.version} activated`, active });
+
+  } catch (error) {
+    if (error.message.startsWith('Invalid ')) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    if (error.message.startsWith('Scoring profile conflict')) {
+      return res.status(409).json({ success: false, message: error.message });
+    }
+    console.error('❌ Scoring profile activation error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to activate scoring profile',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// POST /api/admin/models/:model/rollback - Go back to the previously active
+// profile, or to { version } (the default config's version restores the default)
+router.post('/models/:model/rollback', auth, authorize('models:manage'), async (req, res) => {
+  try {
+    if (!checkModel(req, res)) return;
+    const { model } = req.params;
+    const { version } = req.body;
+    const current = await ScoringProfile.findOne({ model, active: true });
+
+    let target = null;
+    if (version && version !== defaultScoringConfigs[model].version) {
+      target = await ScoringProfile.findOne({ model, version });
+      if (!target) {
+        return res.status(404).json({ success: false, message: `No ${model} scoring profile with version ${version}` });
+      }
+    } else if (!version && current && current.previousProfile) {
+      target = await ScoringProfile.findById(current.previousProfile);
+    }
+
+    if (!current && !target) {
+      return res.status(409).json({ success: false, message: `The ${model} model is already using its default config` });
+    }
+    if (target && target.active) {
+      return res.status(409).json({ success: false, message: `Version ${target.version} is already active` });
+    }
+
+    const active = await rollbackTo(model, target, req.user.id);
+    res.json({ success: true, message: `${model} scoring rolled back to ${active.version}`, active });
+
+  } catch (error) {
+    if (error.message.startsWith('Invalid ')) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    if (error.message.startsWith('Scoring profile conflict')) {
+      return res.status(409).json({ success: false, message: error.message });
+    }
+    console.error('❌ Scoring rollback error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to roll back scoring profile',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
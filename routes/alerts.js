@@ -0,0 +1,178 @@
+// routes/alerts.js - Outbreak alerts (services/outbreakDetection.js) and model drift
+// alerts (services/modelPerformance.js)
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const Alert = require('../models/Alert');
+const { OUTBREAK_CONFIG, runDetection } = require('../services/outbreakDetection');
+
+const parseDate = (value, name) => {
+  if (value === undefined || value === '') return undefined;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw new Error(`Invalid ${name}: ${value}`);
+  return date;
+};
+
+const findAlert = async (req, res) => {
+  const alert = mongoose.isObjectIdOrHexString(req.params.id)
+    ? await Alert.findById(req.params.id)
+    : null;
+  if (!alert) {
+    res.status(404).json({ success: false, message: 'Alert not found' });
+  }
+  return alert;
+};
+
+// GET /api/alerts - Outbreak and model drift alerts, newest day first
+// ?type=outbreak&status=open&disease=malaria&severity=high&state=Abia&lga=Aba%20North&from=&to=
+router.get('/', auth, authorize('alerts:read'), async (req, res) => {
+  try {
+    const { type, status, disease, severity, state, lga, from, to } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+
+    if (status && !Alert.STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `status must be one of: ${Alert.STATUSES.join(', ')}`
+      });
+    }
+    if (type && !Alert.TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: `type must be one of: ${Alert.TYPES.join(', ')}`
+      });
+    }
+    if (severity && !Alert.SEVERITIES.includes(severity)) {
+      return res.status(400).json({
+        success: false,
+        message: `severity must be one of: ${Alert.SEVERITIES.join(', ')}`
+      });
+    }
+
+    const filter = {};
+    if (type) filter.type = type;
+    if (status) filter.status = status;
+    if (disease) filter.disease = disease;
+    if (severity) filter.severity = severity;
+    if (state) filter.state = state;
+    if (lga) filter.lga = lga;
+    const fromDate = parseDate(from, 'from');
+    const toDate = parseDate(to, 'to');
+    if (fromDate || toDate) {
+      filter.date = {};
+      if (fromDate) filter.date.$gte = fromDate;
+      if (toDate) filter.date.$lte = toDate;
+    }
+
+    const [total, alerts] = await Promise.all([
+      Alert.countDocuments(filter),
+      Alert.find(filter)
+        .sort({ date: -1, detectedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('acknowledgedBy', 'name email role')
+    ]);
+
+    res.json({
+      success: true,
+      total,
+      page,
+      limit,
+      alerts
+    });
+
+  } catch (error) {
+    if (error.message.startsWith('Invalid ')) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error('❌ Alerts list error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch alerts',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// POST /api/alerts/detect - Run outbreak detection now instead of waiting for the job
+router.post('/detect', auth, authorize('alerts:manage'), async (req, res) => {
+  try {
+    const result = await runDetection();
+    if (!result) {
+      return res.status(409).json({
+        success: false,
+        message: 'Outbreak detection is already running; try again when it finishes'
+      });
+    }
+    const { evaluated, alerts } = result;
+
+    res.json({
+      success: true,
+      message: `${alerts.length} signal(s) in ${evaluated} locality-days`,
+      config: OUTBREAK_CONFIG,
+      alerts
+    });
+
+  } catch (error) {
+    console.error('❌ Outbreak detection error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to run outbreak detection',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// GET /api/alerts/:id - One alert with its EARS statistics or drift metrics
+router.get('/:id', auth, authorize('alerts:read'), async (req, res) => {
+  try {
+    const alert = await findAlert(req, res);
+    if (!alert) return;
+
+    await alert.populate('acknowledgedBy', 'name email role');
+    res.json({ success: true, alert });
+
+  } catch (error) {
+    console.error('❌ Alert fetch error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch alert',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// POST /api/alerts/:id/acknowledge - Someone is following the alert up
+// Body: { note }
+router.post('/:id/acknowledge', auth, authorize('alerts:acknowledge'), async (req, res) => {
+  try {
+    const alert = await findAlert(req, res);
+    if (!alert) return;
+
+    if (alert.status !== 'open') {
+      return res.status(409).json({ success: false, message: `Alert is already ${alert.status}` });
+    }
+
+    alert.status = 'acknowledged';
+    alert.acknowledgedBy = req.user.id;
+    alert.acknowledgedAt = new Date();
+    alert.acknowledgementNote = req.body.note;
+    await alert.save();
+    console.log(`✅ Alert ${alert._id} acknowledged by ${req.user.email}`);
+
+    res.json({ success: true, message: 'Alert acknowledged', alert });
+
+  } catch (error) {
+    console.error('❌ Alert acknowledge error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to acknowledge alert',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
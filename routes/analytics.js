@@ -0,0 +1,63 @@
+// routes/analytics.js - Model performance against lab-confirmed outcomes
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const { PERFORMANCE_CONFIG, MODELS, performanceReport } = require('../services/modelPerformance');
+
+const parseDate = (value, name) => {
+  if (value === undefined || value === '') return undefined;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw new Error(`Invalid ${name}: ${value}`);
+  return date;
+};
+
+// GET /api/analytics/model-performance - Sensitivity, specificity, PPV/NPV, AUC,
+// calibration and confusion matrices per model version, with drift alerts
+// ?model=zika&from=2025-01-01&to=2025-06-30&interval=month
+router.get('/model-performance', auth, authorize('analytics:read'), async (req, res) => {
+  try {
+    const { model, interval } = req.query;
+    if (model && !MODELS.includes(model)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid model: ${model}. Must be one of: ${MODELS.join(', ')}`
+      });
+    }
+    if (interval && !PERFORMANCE_CONFIG.INTERVALS.includes(interval)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid interval: ${interval}. Must be one of: ${PERFORMANCE_CONFIG.INTERVALS.join(', ')}`
+      });
+    }
+
+    const report = await performanceReport({
+      model,
+      from: parseDate(req.query.from, 'from'),
+      to: parseDate(req.query.to, 'to'),
+      interval
+    });
+
+    res.json({
+      success: true,
+      ...report,
+      drift_policy: {
+        sensitivity_floor: PERFORMANCE_CONFIG.SENSITIVITY_FLOOR,
+        min_confirmed_positives: PERFORMANCE_CONFIG.MIN_CONFIRMED_POSITIVES
+      }
+    });
+
+  } catch (error) {
+    if (error.message.startsWith('Invalid ')) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error('❌ Model performance error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build model performance report',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
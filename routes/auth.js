@@ -1,8 +1,11 @@
 const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const User = require('../models/User');
+const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const { createSession, rotateSession, revokeSession, revokeAllSessions, verifyAccessToken } = require('../services/sessionTokens');
 
 // Input validation middleware
 const validateRegisterInput = (req, res, next) => {
@@ -58,6 +61,36 @@ router.post('/register', validateRegisterInput, async (req, res) => {
   try {
     const { name, email, password, role } = req.body;
     
+    // Self-registration always gets the default role; any other role must be
+    // assigned by an admin calling this endpoint with their own token
+    const requestedRole = role || User.DEFAULT_ROLE;
+    if (!User.ROLES.includes(requestedRole)) {
+      return res.status(400).json({ 
+        success: false,
+        message: `Invalid role: ${requestedRole}. Must be one of: ${User.ROLES.join(', ')}` 
+      });
+    }
+    
+    let creator = null;
+    const creatorToken = auth.getToken(req);
+    if (creatorToken) {
+      try {
+        creator = await verifyAccessToken(creatorToken);
+      } catch (err) {
+        return res.status(401).json({ 
+          success: false,
+          message: 'Invalid authentication token' 
+        });
+      }
+    }
+    
+    if (requestedRole !== User.DEFAULT_ROLE && !(creator && authorize.hasPermission(creator.role, 'users:manage'))) {
+      return res.status(403).json({ 
+        success: false,
+        message: `Only an admin can create ${requestedRole} accounts` 
+      });
+    }
+    
     // Check if user already exists
     let user = await User.findOne({ email });
     if (user) {
@@ -72,7 +105,7 @@ router.post('/register', validateRegisterInput, async (req, res) => {
       name: name.trim(),
       email: email.toLowerCase().trim(),
       password,
-      role: role || 'nurse' // Use provided role or default to 'nurse'
+      role: requestedRole
     });
     
     // Hash password
@@ -82,22 +115,15 @@ router.post('/register', validateRegisterInput, async (req, res) => {
     // Save user
     await user.save();
     
-    // Create JWT token
-    const token = jwt.sign(
-      { 
-        id: user._id,
-        email: user.email,
-        role: user.role 
-      }, 
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' } // Token expires in 7 days
-    );
+    // Self-registration logs the new user in; an admin creating an account
+    // doesn't get a session for it
+    const tokens = creator ? {} : await createSession(user, req);
     
     // Return response
     res.status(201).json({
       success: true,
       message: 'Registration successful',
-      token,
+      ...tokens,
       user: {
         id: user._id,
         name: user.name,
@@ -138,22 +164,14 @@ router.post('/login', validateLoginInput, async (req, res) => {
       });
     }
     
-    // Create JWT token
-    const token = jwt.sign(
-      { 
-        id: user._id,
-        email: user.email,
-        role: user.role 
-      }, 
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    // Start a session: short-lived access token plus rotating refresh token
+    const tokens = await createSession(user, req);
     
     // Return response
     res.json({
       success: true,
       message: 'Login successful',
-      token,
+      ...tokens,
       user: {
         id: user._id,
         name: user.name,
@@ -174,7 +192,7 @@ router.post('/login', validateLoginInput, async (req, res) => {
 // Get current user profile (protected route)
 router.get('/me', async (req, res) => {
   try {
-    const token = req.header('x-auth-token');
+    const token = auth.getToken(req);
     
     if (!token) {
       return res.status(401).json({ 
@@ -183,8 +201,8 @@ router.get('/me', async (req, res) => {
       });
     }
     
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    // Verify token and session
+    const decoded = await verifyAccessToken(token);
     
     // Find user
     const user = await User.findById(decoded.id).select('-password');
@@ -217,6 +235,182 @@ router.get('/me', async (req, res) => {
       });
     }
     
+    if (error.message === 'Session revoked') {
+      return res.status(401).json({ 
+        success: false,
+        message: 'Session has been logged out' 
+      });
+    }
+    
+    res.status(500).json({ 
+      success: false,
+      message: 'Server error' 
+    });
+  }
+});
+
+// Exchange a refresh token for a new access token and refresh token
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    
+    if (!refreshToken) {
+      return res.status(400).json({ 
+        success: false,
+        message: 'Please provide a refresh token' 
+      });
+    }
+    
+    const { user, tokens } = await rotateSession(
+      refreshToken,
+      (id) => User.findById(id).select('-password')
+    );
+    
+    res.json({
+      success: true,
+      message: 'Token refreshed',
+      ...tokens,
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role
+      }
+    });
+    
+  } catch (error) {
+    if (error.message.startsWith('Invalid refresh token')) {
+      return res.status(401).json({ 
+        success: false,
+        message: error.message 
+      });
+    }
+    
+    console.error('Refresh token error:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Server error during token refresh' 
+    });
+  }
+});
+
+// Log out this device
+router.post('/logout', auth, async (req, res) => {
+  try {
+    await revokeSession(req.user.sid);
+    
+    res.json({
+      success: true,
+      message: 'Logged out'
+    });
+    
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Server error during logout' 
+    });
+  }
+});
+
+// Log out every device signed in to this account
+router.post('/logout-all', auth, async (req, res) => {
+  try {
+    const sessionsRevoked = await revokeAllSessions(req.user.id);
+    console.log(`🔒 Logged out all devices for ${req.user.email} (${sessionsRevoked} sessions)`);
+    
+    res.json({
+      success: true,
+      message: 'Logged out of all devices',
+      sessionsRevoked
+    });
+    
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Server error during logout' 
+    });
+  }
+});
+
+// List user accounts (admin only)
+router.get('/users', auth, authorize('users:manage'), async (req, res) => {
+  try {
+    const filter = req.query.role ? { role: req.query.role } : {};
+    const users = await User.find(filter).select('-password').sort({ name: 1 });
+    
+    res.json({
+      success: true,
+      count: users.length,
+      users
+    });
+    
+  } catch (error) {
+    console.error('List users error:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Server error' 
+    });
+  }
+});
+
+// Change a user's role (admin only)
+router.patch('/users/:id/role', auth, authorize('users:manage'), async (req, res) => {
+  try {
+    const { role } = req.body;
+    
+    if (!User.ROLES.includes(role)) {
+      return res.status(400).json({ 
+        success: false,
+        message: `Invalid role: ${role}. Must be one of: ${User.ROLES.join(', ')}` 
+      });
+    }
+    
+    if (req.params.id === String(req.user.id)) {
+      return res.status(400).json({ 
+        success: false,
+        message: 'You cannot change your own role' 
+      });
+    }
+    
+    if (!mongoose.isObjectIdOrHexString(req.params.id)) {
+      return res.status(404).json({ 
+        success: false,
+        message: 'User not found' 
+      });
+    }
+    
+    const user = await User.findById(req.params.id).select('-password');
+    
+    if (!user) {
+      return res.status(404).json({ 
+        success: false,
+        message: 'User not found' 
+      });
+    }
+    
+    const previousRole = user.role;
+    user.role = role;
+    await user.save();
+    
+    // Access tokens carry the role, so sign the user out everywhere; the new
+    // role applies from their next login
+    const revokedSessions = previousRole !== role ? await revokeAllSessions(user._id, 'role_changed') : 0;
+    
+    console.log(`🔑 Role change: ${user.email} ${previousRole} -> ${role} (by ${req.user.email}, ${revokedSessions} session(s) revoked)`);
+    
+    res.json({
+      success: true,
+      message: revokedSessions > 0
+        ? 'Role updated. The user has been signed out and gets the new role at their next login.'
+        : 'Role updated.',
+      revokedSessions,
+      user
+    });
+    
+  } catch (error) {
+    console.error('Update role error:', error);
     res.status(500).json({ 
       success: false,
       message: 'Server error' 
@@ -224,4 +418,84 @@ router.get('/me', async (req, res) => {
   }
 });
 
+// Assign the health facility a user reports from (admin only). Records the user
+// already made stay with the facility stamped on them; run
+// scripts/backfill_record_facilities.js first if older, unstamped ones exist.
+// Body: { code, name, lga, state, dhis2OrgUnit }
+router.patch('/users/:id/facility', auth, authorize('users:manage'), async (req, res) => {
+  try {
+    const { code, name, lga, state, dhis2OrgUnit } = req.body;
+
+    if (!code || !name || !lga || !state) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the facility code, name, lga and state'
+      });
+    }
+
+    if (!mongoose.isObjectIdOrHexString(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { facility: { code, name, lga, state, dhis2OrgUnit } },
+      { new: true, runValidators: true }
+    ).select('-password');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    console.log(`🏥 Facility: ${user.email} -> ${code} ${name} (by ${req.user.email})`);
+
+    res.json({
+      success: true,
+      message: 'Facility updated',
+      user
+    });
+
+  } catch (error) {
+    console.error('Update facility error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Log a user out of every device, e.g. after a lost or stolen tablet (admin only)
+router.post('/users/:id/logout-all', auth, authorize('users:manage'), async (req, res) => {
+  try {
+    if (!mongoose.isObjectIdOrHexString(req.params.id)) {
+      return res.status(404).json({ 
+        success: false,
+        message: 'User not found' 
+      });
+    }
+    
+    const sessionsRevoked = await revokeAllSessions(req.params.id);
+    console.log(`🔒 ${req.user.email} logged out all devices for user ${req.params.id} (${sessionsRevoked} sessions)`);
+    
+    res.json({
+      success: true,
+      message: 'User logged out of all devices',
+      sessionsRevoked
+    });
+    
+  } catch (error) {
+    console.error('Admin logout all error:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Server error during logout' 
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
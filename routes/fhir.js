@@ -0,0 +1,330 @@
+// routes/fhir.js - HL7 FHIR R4 read and search API for the hospital EMR
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const Patient = require('../models/Patient');
+const ClinicalRecord = require('../models/ClinicalRecord');
+const MalariaRecord = require('../models/MalariaRecord');
+const LabResult = require('../models/LabResult');
+const {
+  FHIR_CONFIG, SYSTEMS, CODES, OBSERVATION_PREFIXES,
+  toPatient, toRiskAssessment, toMalariaObservation, toLabObservation, toDiagnosticReport,
+  outcome, searchBundle, dateCondition, identifierValue, referenceId, unsupportedParams, capabilityStatement
+} = require('../services/fhir');
+
+// Filter that matches nothing, for search values that can't match a stored document
+const NO_MATCH = { _id: { $in: [] } };
+
+const origin = (req) => `${req.protocol}://${req.get('host')}`;
+const baseUrl = (req) => `${origin(req)}${req.baseUrl}`;
+
+const send = (res, status, body) => res.status(status).type('application/fhir+json').send(JSON.stringify(body));
+const sendOutcome = (res, status, code, diagnostics) => send(res, status, outcome(status >= 500 ? 'fatal' : 'error', code, diagnostics));
+
+const sendError = (res, error, message) => {
+  if (error.message.startsWith('Invalid')) return sendOutcome(res, 400, 'invalid', error.message);
+  console.error(`❌ ${message}:`, error.message);
+  sendOutcome(res, 500, 'exception', process.env.NODE_ENV === 'development' ? `${message}: ${error.message}` : message);
+};
+
+// Comma-separated token values, with any system prefix kept
+const tokens = (value) => [].concat(value).flatMap(v => String(v).split(',')).filter(Boolean);
+
+// Object ids from comma-separated _id values; ids of the wrong shape can't match
+const objectIds = (value, prefix = '') => tokens(value)
+  .filter(v => v.startsWith(prefix))
+  .map(v => v.slice(prefix.length))
+  .filter(v => mongoose.isObjectIdOrHexString(v));
+
+/**
+ * Rejects unsupported parameters and reads _count/_offset. Sends a 400 and
+ * returns null if the query isn't valid.
+ */
+const parseSearch = (type, req, res) => {
+  const unsupported = unsupportedParams(type, req.query);
+  if (unsupported.length > 0) {
+    sendOutcome(res, 400, 'not-supported', `Unsupported search parameter(s) for ${type}: ${unsupported.join(', ')}`);
+    return null;
+  }
+  if (req.query._format && !/json/.test(req.query._format)) {
+    sendOutcome(res, 406, 'not-supported', 'Only JSON is supported (_format=json)');
+    return null;
+  }
+  return {
+    count: Math.min(Math.max(parseInt(req.query._count) || FHIR_CONFIG.DEFAULT_COUNT, 1), FHIR_CONFIG.MAX_COUNT),
+    offset: Math.max(parseInt(req.query._offset) || 0, 0)
+  };
+};
+
+/**
+ * Patient filter from patient/subject/patient.identifier. All given values
+ * must name the same patient.
+ */
+const subjectFilter = async (query) => {
+  const ids = new Set();
+  for (const value of [].concat(query.patient || [], query.subject || [])) {
+    const id = referenceId(value);
+    if (!id) return NO_MATCH;
+    ids.add(id);
+  }
+  if (query['patient.identifier']) {
+    const patientId = identifierValue(query['patient.identifier']);
+    const patient = patientId ? await Patient.findOne({ patientId }).select('_id') : null;
+    if (!patient) return NO_MATCH;
+    ids.add(String(patient._id));
+  }
+  if (ids.size > 1) return NO_MATCH;
+  return ids.size ? { patient: [...ids][0] } : {};
+};
+
+const bundleFor = (req, { matches, includes, total, count, offset }) => {
+  const self = new URL(req.originalUrl, origin(req));
+  let next = null;
+  if (count !== undefined && offset + count < total) {
+    next = new URL(self);
+    next.searchParams.set('_offset', offset + count);
+  }
+  return searchBundle(baseUrl(req), { matches, includes, total, selfUrl: self.toString(), nextUrl: next && next.toString() });
+};
+
+// Linked LabResult ids per MalariaRecord, for DiagnosticReport.result
+const labResultsByRecord = async (records) => {
+  const labs = await LabResult.find({ malariaRecord: { $in: records.map(r => r._id) } }).select('_id malariaRecord');
+  const byRecord = new Map(records.map(r => [String(r._id), []]));
+  labs.forEach(lab => {
+    const linked = byRecord.get(String(lab.malariaRecord));
+    if (linked) linked.push(lab);
+  });
+  return byRecord;
+};
+
+// GET /fhir/metadata - CapabilityStatement (no authentication)
+router.get('/metadata', (req, res) => {
+  send(res, 200, capabilityStatement(baseUrl(req)));
+});
+
+// GET /fhir/Patient - ?identifier=ABS-001 | ?identifier=<system>|ABS-001 | ?birthdate=ge1990 | ?_lastUpdated=2026-10
+router.get('/Patient', auth, authorize('patients:read'), async (req, res) => {
+  try {
+    const paging = parseSearch('Patient', req, res);
+    if (!paging) return;
+
+    const filter = {};
+    if (req.query._id) filter._id = { $in: objectIds(req.query._id) };
+    if (req.query.identifier) {
+      filter.patientId = { $in: tokens(req.query.identifier).map(identifierValue).filter(v => v !== null) };
+    }
+    if (req.query.birthdate) filter.dateOfBirth = dateCondition(req.query.birthdate);
+    if (req.query._lastUpdated) filter.updatedAt = dateCondition(req.query._lastUpdated);
+
+    const [total, patients] = await Promise.all([
+      Patient.countDocuments(filter),
+      Patient.find(filter).sort({ dateReported: -1, _id: -1 }).skip(paging.offset).limit(paging.count)
+    ]);
+
+    send(res, 200, bundleFor(req, { matches: patients.map(toPatient), total, ...paging }));
+
+  } catch (error) {
+    sendError(res, error, 'Patient search failed');
+  }
+});
+
+// GET /fhir/Patient/:id
+router.get('/Patient/:id', auth, authorize('patients:read'), async (req, res) => {
+  try {
+    const patient = mongoose.isObjectIdOrHexString(req.params.id) ? await Patient.findById(req.params.id) : null;
+    if (!patient) return sendOutcome(res, 404, 'not-found', `Patient/${req.params.id} not found`);
+    send(res, 200, toPatient(patient));
+
+  } catch (error) {
+    sendError(res, error, 'Patient read failed');
+  }
+});
+
+// GET /fhir/Patient/:id/$everything - The patient with every assessment, analysis and lab result
+router.get('/Patient/:id/:operation', auth, authorize('patients:read', 'records:read', 'labs:read'), async (req, res) => {
+  try {
+    if (req.params.operation !== '$everything') {
+      return sendOutcome(res, 404, 'not-supported', `Unknown operation: ${req.params.operation}`);
+    }
+    const patient = mongoose.isObjectIdOrHexString(req.params.id) ? await Patient.findById(req.params.id) : null;
+    if (!patient) return sendOutcome(res, 404, 'not-found', `Patient/${req.params.id} not found`);
+
+    const [assessments, analyses, labResults] = await Promise.all([
+      ClinicalRecord.find({ patient: patient._id }).sort({ predictedAt: -1 }),
+      MalariaRecord.find({ patient: patient._id }).sort({ timestamp: -1 }).populate('bloodSmear'),
+      LabResult.find({ patient: patient._id }).sort({ reportedAt: -1 })
+    ]);
+    const linkedLabs = (record) => labResults.filter(lab => lab.malariaRecord && lab.malariaRecord.equals(record._id));
+
+    send(res, 200, bundleFor(req, {
+      matches: [toPatient(patient)],
+      includes: [
+        ...assessments.map(toRiskAssessment),
+        ...analyses.map(toMalariaObservation),
+        ...analyses.map(record => toDiagnosticReport(record, linkedLabs(record), origin(req))),
+        ...labResults.map(toLabObservation)
+      ],
+      total: 1
+    }));
+
+  } catch (error) {
+    sendError(res, error, 'Patient $everything failed');
+  }
+});
+
+// GET /fhir/RiskAssessment - Zika predictions
+// ?patient=<id> | ?patient.identifier=ABS-001 &date=ge2026-10-01&date=lt2026-11-01
+router.get('/RiskAssessment', auth, authorize('records:read'), async (req, res) => {
+  try {
+    const paging = parseSearch('RiskAssessment', req, res);
+    if (!paging) return;
+
+    const filter = await subjectFilter(req.query);
+    if (req.query._id) filter._id = { $in: objectIds(req.query._id) };
+    if (req.query.date) filter.predictedAt = dateCondition(req.query.date);
+
+    const [total, records] = await Promise.all([
+      ClinicalRecord.countDocuments(filter),
+      ClinicalRecord.find(filter).sort({ predictedAt: -1 }).skip(paging.offset).limit(paging.count)
+    ]);
+
+    send(res, 200, bundleFor(req, { matches: records.map(toRiskAssessment), total, ...paging }));
+
+  } catch (error) {
+    sendError(res, error, 'RiskAssessment search failed');
+  }
+});
+
+// GET /fhir/RiskAssessment/:id
+router.get('/RiskAssessment/:id', auth, authorize('records:read'), async (req, res) => {
+  try {
+    const record = mongoose.isObjectIdOrHexString(req.params.id) ? await ClinicalRecord.findById(req.params.id) : null;
+    if (!record) return sendOutcome(res, 404, 'not-found', `RiskAssessment/${req.params.id} not found`);
+    send(res, 200, toRiskAssessment(record));
+
+  } catch (error) {
+    sendError(res, error, 'RiskAssessment read failed');
+  }
+});
+
+// GET /fhir/Observation - Malaria AI analyses and lab results, newest first
+// ?patient.identifier=ABS-001&code=microscopy,zika_pcr&date=2026-10
+router.get('/Observation', auth, authorize('records:read', 'labs:read'), async (req, res) => {
+  try {
+    const paging = parseSearch('Observation', req, res);
+    if (!paging) return;
+
+    const subject = await subjectFilter(req.query);
+    const malariaFilter = { ...subject };
+    const labFilter = { ...subject };
+    let includeMalaria = true;
+    let includeLabs = true;
+
+    if (req.query._id) {
+      malariaFilter._id = { $in: objectIds(req.query._id, OBSERVATION_PREFIXES.malaria) };
+      labFilter._id = { $in: objectIds(req.query._id, OBSERVATION_PREFIXES.lab) };
+    }
+    if (req.query.code) {
+      const codes = tokens(req.query.code)
+        .map(token => (token.includes('|') ? token.split('|') : [SYSTEMS.CODES, token]))
+        .filter(([system, code]) => (!system || system === SYSTEMS.CODES) && CODES[code])
+        .map(([, code]) => code);
+      includeMalaria = codes.includes('malaria-ai-analysis');
+      labFilter.testType = { $in: codes.filter(code => LabResult.TEST_TYPES[code]) };
+      includeLabs = labFilter.testType.$in.length > 0;
+    }
+    if (req.query.date) {
+      malariaFilter.timestamp = dateCondition(req.query.date);
+      labFilter.reportedAt = dateCondition(req.query.date);
+    }
+
+    // Newest `offset + count` of each source, merged and sliced
+    const window = paging.offset + paging.count;
+    const [malariaTotal, analyses, labTotal, labResults] = await Promise.all([
+      includeMalaria ? MalariaRecord.countDocuments(malariaFilter) : 0,
+      includeMalaria ? MalariaRecord.find(malariaFilter).sort({ timestamp: -1 }).limit(window) : [],
+      includeLabs ? LabResult.countDocuments(labFilter) : 0,
+      includeLabs ? LabResult.find(labFilter).sort({ reportedAt: -1 }).limit(window) : []
+    ]);
+    const matches = [
+      ...analyses.map(record => ({ at: record.timestamp, resource: toMalariaObservation(record) })),
+      ...labResults.map(lab => ({ at: lab.reportedAt, resource: toLabObservation(lab) }))
+    ]
+      .sort((a, b) => b.at - a.at)
+      .slice(paging.offset, window)
+      .map(match => match.resource);
+
+    send(res, 200, bundleFor(req, { matches, total: malariaTotal + labTotal, ...paging }));
+
+  } catch (error) {
+    sendError(res, error, 'Observation search failed');
+  }
+});
+
+// GET /fhir/Observation/:id - malaria-<id> (AI analysis) or lab-<id> (lab result)
+router.get('/Observation/:id', auth, authorize('records:read', 'labs:read'), async (req, res) => {
+  try {
+    const [malariaId] = objectIds(req.params.id, OBSERVATION_PREFIXES.malaria);
+    const [labId] = objectIds(req.params.id, OBSERVATION_PREFIXES.lab);
+    const record = malariaId ? await MalariaRecord.findById(malariaId) : null;
+    const labResult = labId ? await LabResult.findById(labId) : null;
+    if (!record && !labResult) return sendOutcome(res, 404, 'not-found', `Observation/${req.params.id} not found`);
+    send(res, 200, record ? toMalariaObservation(record) : toLabObservation(labResult));
+
+  } catch (error) {
+    sendError(res, error, 'Observation read failed');
+  }
+});
+
+// GET /fhir/DiagnosticReport - Malaria smear analyses
+// ?patient=<id>&date=ge2026-10-01
+router.get('/DiagnosticReport', auth, authorize('records:read', 'labs:read'), async (req, res) => {
+  try {
+    const paging = parseSearch('DiagnosticReport', req, res);
+    if (!paging) return;
+
+    const filter = await subjectFilter(req.query);
+    if (req.query._id) filter._id = { $in: objectIds(req.query._id) };
+    if (req.query.date) filter.timestamp = dateCondition(req.query.date);
+
+    const [total, records] = await Promise.all([
+      MalariaRecord.countDocuments(filter),
+      MalariaRecord.find(filter).sort({ timestamp: -1 }).skip(paging.offset).limit(paging.count).populate('bloodSmear')
+    ]);
+    const labs = await labResultsByRecord(records);
+
+    send(res, 200, bundleFor(req, {
+      matches: records.map(record => toDiagnosticReport(record, labs.get(String(record._id)), origin(req))),
+      total,
+      ...paging
+    }));
+
+  } catch (error) {
+    sendError(res, error, 'DiagnosticReport search failed');
+  }
+});
+
+// GET /fhir/DiagnosticReport/:id
+router.get('/DiagnosticReport/:id', auth, authorize('records:read', 'labs:read'), async (req, res) => {
+  try {
+    const record = mongoose.isObjectIdOrHexString(req.params.id)
+      ? await MalariaRecord.findById(req.params.id).populate('bloodSmear')
+      : null;
+    if (!record) return sendOutcome(res, 404, 'not-found', `DiagnosticReport/${req.params.id} not found`);
+    const labs = await labResultsByRecord([record]);
+    send(res, 200, toDiagnosticReport(record, labs.get(String(record._id)), origin(req)));
+
+  } catch (error) {
+    sendError(res, error, 'DiagnosticReport read failed');
+  }
+});
+
+// Any other resource type or path
+router.use((req, res) => {
+  sendOutcome(res, 404, 'not-supported', `Unsupported FHIR path: ${req.method} ${req.path}`);
+});
+
+module.exports = router;
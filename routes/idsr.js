@@ -0,0 +1,336 @@
+// routes/idsr.js - IDSR weekly and monthly notifiable disease reports (Zika, malaria)
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const User = require('../models/User');
+const IdsrReport = require('../models/IdsrReport');
+const {
+  parsePeriod, periodEnded, collectCounts, shapeReport, diffCounts, toCsv, toDataValueSet
+} = require('../services/idsr');
+const { dhis2, submitDataValueSet } = require('../services/dhis2Client');
+
+const FORMATS = ['json', 'csv', 'dhis2'];
+
+/**
+ * Facility the report is for: the officer's own, or ?facility=<code> for
+ * users who manage reports. Sends the error response itself and returns null.
+ */
+const resolveFacility = async (req, res) => {
+  const requested = req.query.facility;
+  if (requested && authorize.hasPermission(req.user.role, 'reports:manage')) {
+    const member = await User.findOne({ 'facility.code': requested }).select('facility').lean();
+    if (!member) {
+      res.status(404).json({ success: false, message: `No users report from facility ${requested}` });
+      return null;
+    }
+    return member.facility;
+  }
+
+  const user = await User.findById(req.user.id).select('facility').lean();
+  if (!user || !user.facility || !user.facility.code) {
+    res.status(400).json({
+      success: false,
+      message: 'Your account has no facility. Ask an admin to assign one before generating IDSR reports.'
+    });
+    return null;
+  }
+  if (requested && requested !== user.facility.code) {
+    res.status(403).json({ success: false, message: 'You can only report for your own facility' });
+    return null;
+  }
+  return user.facility;
+};
+
+// Period from the URL and format from the query; sends a 400 and returns null if invalid
+const parseRequest = (req, res) => {
+  const format = req.query.format || 'json';
+  if (!FORMATS.includes(format)) {
+    res.status(400).json({ success: false, message: `format must be one of: ${FORMATS.join(', ')}` });
+    return null;
+  }
+  try {
+    return { period: parsePeriod(req.params.periodType, req.params.period), format };
+  } catch (error) {
+    res.status(400).json({ success: false, message: error.message });
+    return null;
+  }
+};
+
+const findStored = (facility, period) => IdsrReport.findOne({
+  'facility.code': facility.code,
+  periodType: period.periodType,
+  period: period.period
+});
+
+// Stored snapshot as collectCounts output
+const storedCounts = (stored) => ({
+  rows: stored.rows.map(({ state, lga, indicator, ageGroup, value }) => ({ state, lga, indicator, ageGroup, value })),
+  ageUnknown: stored.ageUnknown,
+  hash: stored.hash
+});
+
+const sendReport = (res, report, format, extra = {}) => {
+  if (format === 'csv') {
+    res.type('text/csv');
+    res.attachment(`idsr-${report.facility.code}-${report.period}.csv`);
+    return res.send(toCsv(report));
+  }
+  if (format === 'dhis2') return res.json(toDataValueSet(report));
+  res.json({ success: true, report, ...extra });
+};
+
+const sendServerError = (res, message, error) => {
+  console.error(`❌ ${message}:`, error.message);
+  res.status(500).json({
+    success: false,
+    message,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+// GET /api/idsr - Finalised reports for the facility, latest period first
+// ?periodType=weekly&status=final&facility=<code, report managers only>
+router.get('/', auth, authorize('reports:read'), async (req, res) => {
+  try {
+    const { periodType, status } = req.query;
+    const filter = {};
+    if (periodType) filter.periodType = periodType;
+    if (status) filter.status = status;
+
+    // Report managers see every facility unless they pick one
+    if (req.query.facility || !authorize.hasPermission(req.user.role, 'reports:manage')) {
+      const facility = await resolveFacility(req, res);
+      if (!facility) return;
+      filter['facility.code'] = facility.code;
+    }
+
+    const reports = await IdsrReport.find(filter)
+      .sort({ startDate: -1, 'facility.code': 1 })
+      .select('-rows')
+      .populate('finalisedBy', 'name email role')
+      .limit(200);
+
+    res.json({ success: true, total: reports.length, reports });
+
+  } catch (error) {
+    sendServerError(res, 'Failed to fetch IDSR reports', error);
+  }
+});
+
+// GET /api/idsr/:periodType/:period/preview - Live counts from stored records, never saved
+// e.g. /api/idsr/weekly/2026-W42/preview?format=csv (json, csv or dhis2)
+router.get('/:periodType/:period/preview', auth, authorize('reports:read'), async (req, res) => {
+  try {
+    const parsed = parseRequest(req, res);
+    if (!parsed) return;
+    const facility = await resolveFacility(req, res);
+    if (!facility) return;
+
+    const [counts, stored] = await Promise.all([
+      collectCounts(facility, parsed.period),
+      findStored(facility, parsed.period)
+    ]);
+
+    sendReport(res, shapeReport(parsed.period, facility, counts), parsed.format, {
+      finalised_report: stored && stored.status === 'final'
+        ? { revision: stored.revision, finalised_at: stored.finalisedAt, hash: stored.hash, matches_live: stored.hash === counts.hash }
+        : null
+    });
+
+  } catch (error) {
+    sendServerError(res, 'Failed to preview IDSR report', error);
+  }
+});
+
+// GET /api/idsr/:periodType/:period - The finalised report, or a live draft if
+// the period isn't finalised. A finalised report lists records changed since.
+// e.g. /api/idsr/monthly/2026-10?format=dhis2
+router.get('/:periodType/:period', auth, authorize('reports:read'), async (req, res) => {
+  try {
+    const parsed = parseRequest(req, res);
+    if (!parsed) return;
+    const facility = await resolveFacility(req, res);
+    if (!facility) return;
+
+    const stored = await findStored(facility, parsed.period);
+    if (!stored || stored.status !== 'final') {
+      const counts = await collectCounts(facility, parsed.period);
+      return sendReport(res, shapeReport(parsed.period, facility, counts, stored), parsed.format);
+    }
+
+    await stored.populate('finalisedBy', 'name email role');
+    const report = shapeReport(parsed.period, stored.facility, storedCounts(stored), stored);
+    if (parsed.format !== 'json') return sendReport(res, report, parsed.format);
+
+    const live = await collectCounts(facility, parsed.period);
+    const differences = live.hash === stored.hash ? [] : diffCounts(stored.rows, live.rows);
+    sendReport(res, report, parsed.format, {
+      changes_since_finalised: {
+        changed: live.hash !== stored.hash,
+        live_hash: live.hash,
+        age_unknown: { final: stored.ageUnknown, live: live.ageUnknown },
+        differences
+      }
+    });
+
+  } catch (error) {
+    sendServerError(res, 'Failed to fetch IDSR report', error);
+  }
+});
+
+// POST /api/idsr/:periodType/:period/finalise - Lock the period's counts as submitted
+router.post('/:periodType/:period/finalise', auth, authorize('reports:finalise'), async (req, res) => {
+  try {
+    const parsed = parseRequest(req, res);
+    if (!parsed) return;
+    const facility = await resolveFacility(req, res);
+    if (!facility) return;
+    const { period } = parsed;
+
+    if (!periodEnded(period)) {
+      return res.status(400).json({
+        success: false,
+        message: `${period.label} has not ended yet; it can be finalised from ${period.endDay.toISOString().slice(0, 10)}`
+      });
+    }
+
+    const stored = await findStored(facility, period);
+    if (stored && stored.status === 'final') {
+      return res.status(409).json({
+        success: false,
+        message: `${period.label} is already finalised (revision ${stored.revision}). An admin must reopen it first.`
+      });
+    }
+
+    const counts = await collectCounts(facility, period);
+    const report = stored || new IdsrReport({
+      periodType: period.periodType,
+      period: period.period,
+      startDate: period.startDay,
+      endDate: period.endDay,
+      revision: 0
+    });
+    report.set({
+      facility,
+      status: 'final',
+      rows: counts.rows,
+      ageUnknown: counts.ageUnknown,
+      hash: counts.hash,
+      revision: report.revision + 1,
+      finalisedBy: req.user.id,
+      finalisedAt: new Date()
+    });
+    report.history.push({ action: 'finalised', by: req.user.id, hash: counts.hash });
+    await report.save();
+
+    console.log(`📑 IDSR ${period.periodType} ${period.label} finalised for ${facility.code} ` +
+      `(revision ${report.revision}, by ${req.user.email})`);
+
+    res.status(stored ? 200 : 201).json({
+      success: true,
+      message: `${period.label} finalised`,
+      report: shapeReport(period, report.facility, counts, report)
+    });
+
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ success: false, message: 'This period was finalised by another request' });
+    }
+    sendServerError(res, 'Failed to finalise IDSR report', error);
+  }
+});
+
+// POST /api/idsr/:periodType/:period/reopen - Unlock a finalised period for correction
+// Body: { reason }
+router.post('/:periodType/:period/reopen', auth, authorize('reports:manage'), async (req, res) => {
+  try {
+    const parsed = parseRequest(req, res);
+    if (!parsed) return;
+    const facility = await resolveFacility(req, res);
+    if (!facility) return;
+
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+    if (!reason) {
+      return res.status(400).json({ success: false, message: 'A reason is required to reopen a finalised report' });
+    }
+
+    const stored = await findStored(facility, parsed.period);
+    if (!stored || stored.status !== 'final') {
+      return res.status(404).json({ success: false, message: `${parsed.period.label} has no finalised report` });
+    }
+
+    stored.status = 'reopened';
+    stored.history.push({ action: 'reopened', by: req.user.id, reason, hash: stored.hash });
+    await stored.save();
+
+    console.log(`🔓 IDSR ${parsed.period.label} reopened for ${facility.code} by ${req.user.email}: ${reason}`);
+
+    res.json({
+      success: true,
+      message: `${parsed.period.label} reopened; finalise it again to resubmit`,
+      report: stored
+    });
+
+  } catch (error) {
+    sendServerError(res, 'Failed to reopen IDSR report', error);
+  }
+});
+
+// POST /api/idsr/:periodType/:period/push - Send the finalised report to DHIS2
+// ?dryRun=true has DHIS2 validate the values without importing them
+router.post('/:periodType/:period/push', auth, authorize('reports:submit'), async (req, res) => {
+  try {
+    const parsed = parseRequest(req, res);
+    if (!parsed) return;
+    const facility = await resolveFacility(req, res);
+    if (!facility) return;
+    const { period } = parsed;
+    const dryRun = req.query.dryRun === 'true';
+
+    if (!dhis2.configured) {
+      return res.status(503).json({ success: false, message: 'DHIS2 is not configured (DHIS2_URL)' });
+    }
+
+    const stored = await findStored(facility, period);
+    if (!stored || stored.status !== 'final') {
+      return res.status(409).json({ success: false, message: `Finalise ${period.label} before pushing it to DHIS2` });
+    }
+
+    const dataValueSet = toDataValueSet(shapeReport(period, stored.facility, storedCounts(stored), stored));
+    const unmapped = dhis2.unmappedIds(dataValueSet);
+    if (unmapped.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Some codes have no DHIS2 UID; add them to the DHIS2 mapping',
+        unmapped
+      });
+    }
+
+    const log = await submitDataValueSet(dhis2, dataValueSet, {
+      report: stored._id,
+      facility: facility.code,
+      periodType: period.periodType,
+      user: req.user.id,
+      dryRun
+    });
+    if (!dryRun) {
+      stored.dhis2 = { status: log.status, revision: stored.revision, pushedAt: log.at, log: log._id };
+      await stored.save();
+    }
+
+    const imported = ['SUCCESS', 'OK', 'WARNING'].includes(log.status);
+    res.status(imported ? 200 : 502).json({
+      success: imported,
+      message: imported
+        ? `${period.label} ${dryRun ? 'validated by' : 'pushed to'} DHIS2 (${log.status})`
+        : `DHIS2 did not import ${period.label} (${log.status})`,
+      import_summary: log
+    });
+
+  } catch (error) {
+    sendServerError(res, 'Failed to push IDSR report to DHIS2', error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,95 @@
+// routes/integrations.js - Status of external integrations (DHIS2)
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const Dhis2PushLog = require('../models/Dhis2PushLog');
+const { dhis2 } = require('../services/dhis2Client');
+const { IDSR_CONFIG, INDICATORS } = require('../services/idsr');
+
+// GET /api/integrations/dhis2/status - Configuration, mapping coverage, connectivity and recent pushes
+// ?check=false skips the call to DHIS2
+router.get('/dhis2/status', auth, authorize('reports:read'), async (req, res) => {
+  try {
+    const since = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+    const [connection, lastPush, lastSuccess, recentFailures] = await Promise.all([
+      req.query.check === 'false' ? null : dhis2.checkConnection(),
+      Dhis2PushLog.findOne().sort({ at: -1 }),
+      Dhis2PushLog.findOne({ status: { $in: ['SUCCESS', 'OK', 'WARNING'] }, dryRun: false }).sort({ at: -1 }),
+      Dhis2PushLog.countDocuments({ status: { $in: ['ERROR', 'FAILED'] }, at: { $gte: since } })
+    ]);
+
+    res.json({
+      success: true,
+      dhis2: {
+        ...dhis2.getStatus(),
+        connection,
+        mapping: dhis2.mappingStatus({
+          dataSets: IDSR_CONFIG.PERIOD_TYPES,
+          dataElements: INDICATORS.map(i => i.code),
+          categoryOptionCombos: IDSR_CONFIG.AGE_GROUPS.map(g => g.code)
+        }),
+        last_push: lastPush,
+        last_successful_push: lastSuccess,
+        failures_last_7_days: recentFailures
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ DHIS2 status error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch DHIS2 status',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// GET /api/integrations/dhis2/pushes - Push log with DHIS2 import summaries, newest first
+// ?status=ERROR&period=2026W42&facility=ABSUTH
+router.get('/dhis2/pushes', auth, authorize('reports:read'), async (req, res) => {
+  try {
+    const { status, period, facility } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+
+    if (status && !Dhis2PushLog.STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `status must be one of: ${Dhis2PushLog.STATUSES.join(', ')}`
+      });
+    }
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (period) filter.period = period;
+    if (facility) filter.facility = facility;
+
+    const [total, pushes] = await Promise.all([
+      Dhis2PushLog.countDocuments(filter),
+      Dhis2PushLog.find(filter)
+        .sort({ at: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('pushedBy', 'name email role')
+    ]);
+
+    res.json({
+      success: true,
+      total,
+      page,
+      limit,
+      pushes
+    });
+
+  } catch (error) {
+    console.error('❌ DHIS2 push log error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch DHIS2 push log',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
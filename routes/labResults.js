@@ -0,0 +1,256 @@
+// routes/labResults.js - Laboratory results confirming or refuting AI predictions
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const Patient = require('../models/Patient');
+const LabResult = require('../models/LabResult');
+const ClinicalRecord = require('../models/ClinicalRecord');
+const MalariaRecord = require('../models/MalariaRecord');
+const BloodSmear = require('../models/BloodSmear');
+
+const parseDate = (value, name) => {
+  if (value === undefined || value === '') return undefined;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw new Error(`Invalid ${name}: ${value}`);
+  return date;
+};
+
+// Linkable documents: request field -> model and label for messages
+const LINKS = {
+  clinicalRecord: { Model: ClinicalRecord, label: 'Clinical record' },
+  malariaRecord: { Model: MalariaRecord, label: 'Malaria record' },
+  bloodSmear: { Model: BloodSmear, label: 'Blood smear' }
+};
+
+const findLabResult = async (req, res) => {
+  const labResult = mongoose.isObjectIdOrHexString(req.params.id)
+    ? await LabResult.findById(req.params.id)
+    : null;
+  if (!labResult) {
+    res.status(404).json({ success: false, message: 'Lab result not found' });
+  }
+  return labResult;
+};
+
+const sendValidationError = (res, err) => {
+  const errors = Object.values(err.errors).map(e => ({
+    field: e.path,
+    message: e.name === 'CastError' ? `${e.path} has an invalid value: ${JSON.stringify(e.value)}` : e.message
+  }));
+  res.status(400).json({
+    success: false,
+    message: `Validation failed: ${errors.map(e => e.message).join('; ')}`,
+    errors
+  });
+};
+
+const pickEditable = (body) => LabResult.EDITABLE_FIELDS.reduce((picked, key) => {
+  if (body[key] !== undefined) picked[key] = body[key];
+  return picked;
+}, {});
+
+// POST /api/lab-results - Record a microscopy, RDT, Zika PCR or serology result
+// Body: { patientId, testType, clinicalRecord | malariaRecord, bloodSmear, result, microscopy, rdt, pcr, serology, ... }
+router.post('/', auth, authorize('labs:write'), async (req, res) => {
+  try {
+    const { patientId, testType } = req.body;
+    if (!patientId || !testType) {
+      return res.status(400).json({
+        success: false,
+        message: 'patientId and testType are required fields',
+        required_fields: ['patientId', 'testType'],
+        test_types: Object.keys(LabResult.TEST_TYPES)
+      });
+    }
+
+    const patient = await Patient.findByAnyId(patientId);
+    if (!patient) {
+      return res.status(404).json({ success: false, message: `Patient not found: ${patientId}` });
+    }
+
+    // Linked prediction records and smears must exist and belong to this patient
+    const links = {};
+    for (const [field, { Model, label }] of Object.entries(LINKS)) {
+      const id = req.body[field];
+      if (!id) continue;
+      const doc = mongoose.isObjectIdOrHexString(id) ? await Model.findById(id).select('patient') : null;
+      if (!doc) {
+        return res.status(404).json({ success: false, message: `${label} not found: ${id}` });
+      }
+      if (doc.patient && !doc.patient.equals(patient._id)) {
+        return res.status(400).json({ success: false, message: `${label} ${id} belongs to another patient` });
+      }
+      links[field] = doc._id;
+    }
+
+    const labResult = await LabResult.create({
+      ...pickEditable(req.body),
+      ...links,
+      patient: patient._id,
+      testType,
+      recordedBy: req.user.id
+    });
+    const confirmation = await labResult.updateConfirmation();
+    console.log(`🧪 Lab result ${labResult._id}: ${labResult.testType} ${labResult.result}` +
+      (confirmation ? ` (prediction labelled ${confirmation.result})` : ''));
+
+    res.status(201).json({
+      success: true,
+      message: 'Lab result recorded',
+      lab_result: labResult,
+      confirmation
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') return sendValidationError(res, error);
+    console.error('❌ Lab result create error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record lab result',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// GET /api/lab-results - List lab results, newest first
+// ?patientId=ABS-001&testType=zika_pcr&result=positive&record=<ClinicalRecord or MalariaRecord id>&from=&to=
+router.get('/', auth, authorize('labs:read'), async (req, res) => {
+  try {
+    const { patientId, testType, result, disease, record, from, to } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+
+    const filter = {};
+    if (patientId) {
+      const patient = await Patient.findByAnyId(patientId);
+      if (!patient) {
+        return res.status(404).json({ success: false, message: 'Patient not found' });
+      }
+      filter.patient = patient._id;
+    }
+    if (testType) {
+      if (!LabResult.TEST_TYPES[testType]) {
+        return res.status(400).json({
+          success: false,
+          message: `testType must be one of: ${Object.keys(LabResult.TEST_TYPES).join(', ')}`
+        });
+      }
+      filter.testType = testType;
+    }
+    if (result) {
+      if (!LabResult.RESULTS.includes(result)) {
+        return res.status(400).json({
+          success: false,
+          message: `result must be one of: ${LabResult.RESULTS.join(', ')}`
+        });
+      }
+      filter.result = result;
+    }
+    if (disease) filter.disease = disease;
+    if (record) {
+      if (!mongoose.isObjectIdOrHexString(record)) {
+        return res.status(400).json({ success: false, message: 'Invalid record id' });
+      }
+      filter.$or = [{ clinicalRecord: record }, { malariaRecord: record }];
+    }
+    const fromDate = parseDate(from, 'from');
+    const toDate = parseDate(to, 'to');
+    if (fromDate || toDate) {
+      filter.reportedAt = {};
+      if (fromDate) filter.reportedAt.$gte = fromDate;
+      if (toDate) filter.reportedAt.$lte = toDate;
+    }
+
+    const [total, labResults] = await Promise.all([
+      LabResult.countDocuments(filter),
+      LabResult.find(filter)
+        .sort({ reportedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('patient', 'patientId age sex lga state')
+        .populate('recordedBy', 'name email role')
+    ]);
+
+    res.json({
+      success: true,
+      total,
+      page,
+      limit,
+      lab_results: labResults
+    });
+
+  } catch (error) {
+    if (error.message.startsWith('Invalid ')) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error('❌ Lab results list error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch lab results',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// GET /api/lab-results/:id - One lab result with the prediction it confirms
+router.get('/:id', auth, authorize('labs:read'), async (req, res) => {
+  try {
+    const labResult = await findLabResult(req, res);
+    if (!labResult) return;
+
+    await labResult.populate([
+      { path: 'patient' },
+      { path: 'clinicalRecord', select: 'prediction engine modelVersion predictedAt labConfirmation' },
+      { path: 'malariaRecord', select: 'result parasiteProbability species severity modelVersion timestamp labConfirmation' },
+      { path: 'recordedBy', select: 'name email role' }
+    ]);
+
+    res.json({ success: true, lab_result: labResult });
+
+  } catch (error) {
+    console.error('❌ Lab result fetch error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch lab result',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// PATCH /api/lab-results/:id - Report a pending result or correct one
+router.patch('/:id', auth, authorize('labs:write'), async (req, res) => {
+  try {
+    const labResult = await findLabResult(req, res);
+    if (!labResult) return;
+
+    const updates = pickEditable(req.body);
+    labResult.set(updates);
+    // New microscopy or serology findings re-derive the result unless one is sent
+    if (updates.result === undefined && (updates.microscopy || updates.serology)) {
+      labResult.result = undefined;
+    }
+    labResult.updatedBy = req.user.id;
+    await labResult.save();
+    const confirmation = await labResult.updateConfirmation();
+
+    res.json({
+      success: true,
+      message: 'Lab result updated',
+      lab_result: labResult,
+      confirmation
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') return sendValidationError(res, error);
+    console.error('❌ Lab result update error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update lab result',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
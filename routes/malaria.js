@@ -1,329 +1,96 @@
 // routes/malaria.js - Malaria Clinical AI Engine
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
+const crypto = require('crypto');
 const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const { smearUpload } = require('../middleware/upload');
+const BloodSmear = require('../models/BloodSmear');
+const MalariaRecord = require('../models/MalariaRecord');
+const Patient = require('../models/Patient');
+const { malariaAI } = require('../models/ai');
+const { normalizeSmear } = require('../services/imageProcessing');
+const { assessSmearQuality } = require('../services/imageQuality');
+const { prepareSmearImageData, getClassifierStatus } = require('../services/smearClassifier');
+const { getStorage } = require('../services/storage');
+const { runInference } = require('../services/pythonAIClient');
 
-// Since your models are in zika.js, we need to extract them
-// First, let's check what's available in zika.js
-const zikaRoute = require('./zika');
-
-// If models aren't exported from zika.js, let's recreate them here
-class MalariaDetectionModel {
-  constructor() {
-      this.name = "ABSUTH Malaria Detector v1.2";
-      this.version = "1.2.0";
-  }
-  
-  /**
-   * Analyze blood smear for malaria
-   * @param {Object} patientData - Patient clinical data
-   * @param {Object} imageData - Blood smear image metadata
-   * @returns {Object} Malaria analysis results
-   */
-  analyze(patientData, imageData = {}) {
-      const { age, symptoms = [], travelHistory } = patientData;
-      
-      // Calculate malaria probability
-      let probability = this.calculateMalariaProbability(patientData);
-      
-      // Adjust based on image quality (simulated)
-      if (imageData.quality === 'high') {
-          probability *= 1.1;  // Better image = slightly higher confidence
-      } else if (imageData.quality === 'low') {
-          probability *= 0.9;  // Poor image = slightly lower confidence
-      }
-      
-      probability = Math.min(Math.max(probability, 0), 1);
-      
-      const isPositive = probability >= 0.5;
-      const species = isPositive ? this.predictSpecies(patientData) : null;
-      const parasiteDensity = isPositive ? this.estimateParasiteDensity(probability) : 0;
-      
-      return {
-          success: true,
-          analysis: {
-              result: isPositive ? "PARASITES DETECTED" : "NO PARASITES FOUND",
-              probability: probability,
-              confidence: this.calculateConfidence(probability),
-              species: species,
-              parasite_density: parasiteDensity,
-              severity: this.assessSeverity(parasiteDensity, age),
-              recommendations: this.generateMalariaRecommendations(isPositive, parasiteDensity, patientData),
-              clinical_notes: this.generateClinicalNotes(patientData),
-              model: {
-                  name: this.name,
-                  version: this.version,
-                  disclaimer: "Requires confirmation by microscopy"
-              }
-          }
-      };
-  }
-  
-  calculateMalariaProbability(patientData) {
-      const { age, symptoms, travelHistory } = patientData;
-      let probability = 0.3;  // Base probability in endemic area
-      
-      // Symptom adjustments
-      const malariaSymptoms = ['fever', 'chills', 'sweating', 'headache', 'nausea', 'fatigue'];
-      const symptomCount = symptoms.filter(s => 
-          malariaSymptoms.includes(s.toLowerCase())
-      ).length;
-      
-      probability += (symptomCount * 0.15);
-      
-      // Travel history adjustment
-      const travelLower = (travelHistory || '').toLowerCase();
-      if (travelLower.includes('rural') || travelLower.includes('village')) {
-          probability += 0.2;
-      }
-      if (travelLower.includes('malaria') || travelLower.includes('endemic')) {
-          probability += 0.15;
-      }
-      
-      // Age adjustment
-      if (age < 5 || age > 60) {
-          probability += 0.1;  // Higher risk in extremes of age
-      }
-      
-      return Math.min(probability, 0.95);
-  }
-  
-  predictSpecies(patientData) {
-      const species = [
-          { name: "Plasmodium falciparum", probability: 0.6 },
-          { name: "Plasmodium vivax", probability: 0.25 },
-          { name: "Plasmodium malariae", probability: 0.1 },
-          { name: "Plasmodium ovale", probability: 0.05 }
-      ];
-      
-      // Adjust based on travel history
-      const travelLower = (patientData.travelHistory || '').toLowerCase();
-      if (travelLower.includes('africa')) {
-          species[0].probability = 0.8;  // P. falciparum more common in Africa
-      } else if (travelLower.includes('asia')) {
-          species[1].probability = 0.5;  // P. vivax more common in Asia
-      }
-      
-      return species;
-  }
-  
-  estimateParasiteDensity(probability) {
-      // Convert probability to estimated parasites/μL
-      const baseDensity = probability * 10000;
-      return Math.round(baseDensity);
-  }
-  
-  assessSeverity(parasiteDensity, age) {
-      if (parasiteDensity > 100000) {
-          return "SEVERE - Requires hospitalization";
-      } else if (parasiteDensity > 10000) {
-          return "MODERATE - Close monitoring needed";
-      } else if (parasiteDensity > 1000) {
-          return "MILD - Outpatient treatment";
-      } else {
-          return "ASYMPTOMATIC - Monitor";
-      }
-  }
-  
-  calculateConfidence(probability) {
-      if (probability < 0.3 || probability > 0.7) {
-          return 0.9;
-      } else {
-          return 0.75 + (Math.abs(probability - 0.5) * 0.3);
-      }
-  }
-  
-  generateMalariaRecommendations(isPositive, parasiteDensity, patientData) {
-      const recommendations = [];
-      
-      if (isPositive) {
-          if (parasiteDensity > 100000) {
-              recommendations.push(
-                  "🚨 ADMIT to hospital immediately",
-                  "Start IV artesunate therapy",
-                  "Monitor for severe complications",
-                  "Check blood glucose every 4 hours",
-                  "Monitor renal function and urine output"
-              );
-          } else if (parasiteDensity > 10000) {
-              recommendations.push(
-                  "Start oral ACT therapy immediately",
-                  "Consider admission for observation",
-                  "Monitor for symptom progression",
-                  "Repeat blood film in 24-48 hours",
-                  "Check hemoglobin and renal function"
-              );
-          } else {
-              recommendations.push(
-                  "Start oral ACT therapy",
-                  "Outpatient management",
-                  "Follow-up in 48 hours",
-                  "Complete full treatment course",
-                  "Use mosquito nets to prevent spread"
-              );
-          }
-          
-          // Species-specific recommendations
-          recommendations.push(
-              "For P. vivax or P. ovale: Add primaquine for radical cure",
-              "Test for G6PD deficiency before primaquine",
-              "Notify local health authorities"
-          );
-      } else {
-          recommendations.push(
-              "No malaria parasites detected",
-              "If high clinical suspicion, repeat test in 24 hours",
-              "Consider alternative diagnoses",
-              "Continue mosquito bite prevention"
-          );
-      }
-      
-      // Patient-specific advice
-      const { age, sex } = patientData;
-      if (age < 5) {
-          recommendations.push("Use pediatric dosing calculations");
-      }
-      if ((sex || '').toUpperCase() === 'F') {
-          recommendations.push("Pregnancy test if applicable");
-      }
-      
-      return recommendations;
-  }
-  
-  generateClinicalNotes(patientData) {
-      const notes = [];
-      const { symptoms = [], travelHistory } = patientData;
-      
-      if (symptoms.length > 0) {
-          notes.push(`Presenting symptoms: ${symptoms.join(', ')}`);
-      }
-      
-      if (travelHistory) {
-          notes.push(`Travel history: ${travelHistory}`);
-      }
-      
-      notes.push(
-          "Malaria diagnosis requires microscopy confirmation",
-          "Consider co-infections in endemic areas",
-          "Monitor for treatment response and complications"
-      );
-      
-      return notes;
-  }
-}
-
-// ============================================================================
-// MALARIA AI ENGINE
-// ============================================================================
-class MalariaAIEngine {
-  constructor() {
-    this.name = "ABSUTH Malaria Clinical AI v2.0";
-    this.version = "2.0.0";
-    this.lastUpdated = "2024-12-01";
-    
-    // Initialize the malaria model
-    this.malariaModel = new MalariaDetectionModel();
-  }
-
-  /**
-   * Analyze malaria risk from clinical parameters
-   */
-  analyzeMalaria(patientData) {
-    const { age, sex, travelHistory, symptoms = [] } = patientData;
-    
-    console.log(`🦠 Malaria AI Processing: Age=${age}, Sex=${sex}, Symptoms=${symptoms.length}`);
-    
-    // 1. INPUT VALIDATION
-    const validation = this.validateInput(patientData);
-    if (!validation.valid) {
-      throw new Error(`Validation failed: ${validation.error}`);
-    }
-
-    // 2. PROCESS WITH MALARIA MODEL
-    const analysis = this.malariaModel.analyze({
-      age: parseInt(age),
-      sex: sex,
-      travelHistory: travelHistory || '',
-      symptoms: Array.isArray(symptoms) ? symptoms : [symptoms].filter(Boolean)
-    });
-
-    return {
-      success: true,
-      timestamp: new Date().toISOString(),
-      patient_summary: {
-        age: patientData.age,
-        sex: patientData.sex,
-        travel_history: patientData.travelHistory || 'Not provided',
-        symptoms: patientData.symptoms || []
-      },
-      analysis: analysis.analysis,
-      ai_metadata: {
-        model_name: this.malariaModel.name,
-        version: this.malariaModel.version,
-        disclaimer: "This AI analysis is for clinical decision support only. Malaria diagnosis requires confirmation by microscopy."
-      }
-    };
-  }
-
-  /**
-   * Validate patient input data
-   */
-  validateInput(data) {
-    const errors = [];
-    
-    // Age validation
-    const age = parseInt(data.age);
-    if (isNaN(age) || age < 0 || age > 120) {
-      errors.push(`Invalid age: ${data.age}. Must be between 0 and 120`);
-    }
-    
-    // Sex validation
-    const validSexes = ['M', 'F', 'MALE', 'FEMALE'];
-    if (!data.sex || !validSexes.includes(data.sex.toUpperCase())) {
-      errors.push(`Invalid sex: ${data.sex}. Must be M or F`);
-    }
-    
-    return {
-      valid: errors.length === 0,
-      error: errors.join('; ')
-    };
-  }
-}
+const parseDate = (value, name) => {
+  if (value === undefined || value === '') return undefined;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw new Error(`Invalid ${name}: ${value}`);
+  return date;
+};
 
 // ============================================================================
 // EXPRESS ROUTE HANDLER
 // ============================================================================
 
-// Initialize AI Engine
-const malariaAI = new MalariaAIEngine();
-
 // POST /api/malaria/analyze - Malaria clinical analysis
-router.post('/analyze', auth, async (req, res) => {
+router.post('/analyze', auth, authorize('malaria:analyze'), async (req, res) => {
   try {
     console.log('🔬 Malaria Clinical Analysis Request:', {
       user: req.user.email,
       data: { ...req.body }
     });
     
-    const { patientId, age, sex, travelHistory, symptoms = [] } = req.body;
+    const { patientId, smearId, symptoms = [] } = req.body;
+    
+    // A stored patient profile fills in whatever the request leaves out
+    const patient = await Patient.findByAnyId(patientId);
+    const requestInputs = {
+      age: req.body.age,
+      sex: req.body.sex,
+      travelHistory: req.body.travelHistory
+    };
+    const { inputs, fromProfile } = patient
+      ? patient.fillClinicalInputs(requestInputs)
+      : { inputs: requestInputs, fromProfile: [] };
+    const { age, sex, travelHistory } = inputs;
     
     // Validate required fields
-    if (!age || !sex) {
+    if (age == null || age === '' || !sex) {
+      if (patientId && !patient) {
+        return res.status(404).json({
+          success: false,
+          message: `Patient not found: ${patientId}`
+        });
+      }
       return res.status(400).json({
         success: false,
         message: 'Age and biological sex are required fields',
         required_fields: ['age', 'sex'],
-        note: 'Travel history and symptoms are optional but recommended'
+        note: 'Send them in the request or record them on the patient profile. Travel history and symptoms are optional but recommended'
       });
     }
+
+    // Optional uploaded smear (POST /api/malaria/smears) supplies the image quality
+    let smear = null;
+    if (smearId) {
+      smear = mongoose.isObjectIdOrHexString(smearId) ? await BloodSmear.findById(smearId) : null;
+      if (!smear) {
+        return res.status(404).json({
+          success: false,
+          message: `Blood smear not found: ${smearId}`
+        });
+      }
+    }
     
-    // Process with AI Engine
-    const analysis = malariaAI.analyzeMalaria({
+    // Process with AI Engine (Python sidecar first when configured)
+    const patientData = {
       age,
       sex,
       travelHistory,
       symptoms: Array.isArray(symptoms) ? symptoms : [symptoms].filter(Boolean)
-    });
+    };
+    const imageData = smear ? await prepareSmearImageData(smear) : {};
+    const analysis = await runInference(
+      'malariaClinical',
+      { patientId, ...patientData, imageData },
+      () => malariaAI.analyzeMalaria(patientData, imageData),
+      { validate: () => malariaAI.validateInput(patientData) }
+    );
 
     console.log('✅ Malaria Analysis Complete:', {
       result: analysis.analysis.result,
@@ -331,11 +98,27 @@ router.post('/analyze', auth, async (req, res) => {
       severity: analysis.analysis.severity
     });
 
-    // Save to database if needed
+    // Save to database
+    let record = null;
     try {
-      if (patientId) {
-        console.log(`📝 Malaria analysis recorded for patient: ${patientId}`);
+      if (patientId && !patient) {
+        console.warn(`⚠️ Patient not found, saving unlinked record: ${patientId}`);
       }
+
+      record = await MalariaRecord.fromAnalysis(analysis.analysis, {
+        patient,
+        detectedBy: req.user.id,
+        input: {
+          age,
+          sex,
+          travelHistory,
+          symptoms: analysis.patient_summary.symptoms
+        },
+        smear,
+        engine: analysis.ai_metadata.served_by,
+        source: 'malaria/analyze'
+      });
+      console.log(`📝 Malaria analysis recorded: ${record._id}`);
     } catch (dbError) {
       console.warn('⚠️ Database save failed (analysis still successful):', dbError.message);
     }
@@ -345,6 +128,8 @@ router.post('/analyze', auth, async (req, res) => {
       success: true,
       message: 'Malaria clinical analysis completed successfully',
       ...analysis,
+      inputs_from_profile: fromProfile,
+      record: record ? { id: record._id, patient: record.patient || null, blood_smear: record.bloodSmear } : null,
       system_note: 'Powered by ABSUTH Malaria Clinical AI v2.0 - For clinical decision support only'
     });
     
@@ -372,25 +157,421 @@ router.post('/analyze', auth, async (req, res) => {
   }
 });
 
-// GET /api/malaria/ai-info - Get AI model information
-router.get('/ai-info', auth, (req, res) => {
-  res.json({
-    success: true,
-    ai_model: {
-      name: malariaAI.name,
-      version: malariaAI.version,
-      last_updated: malariaAI.lastUpdated,
-      capabilities: [
-        'Malaria risk assessment',
-        'Parasite probability estimation',
-        'Species prediction',
-        'Parasite density estimation',
-        'Severity assessment',
-        'Clinical recommendations'
-      ],
-      disclaimer: 'For clinical decision support only. Not a replacement for microscopy confirmation.'
+// GET /api/malaria/records - List stored malaria analyses
+router.get('/records', auth, authorize('records:read'), async (req, res) => {
+  try {
+    const { result, from, to } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+
+    const filter = {};
+    if (result) {
+      if (!['Parasitized', 'Uninfected'].includes(result)) {
+        return res.status(400).json({
+          success: false,
+          message: 'result must be Parasitized or Uninfected'
+        });
+      }
+      filter.result = result;
+    }
+    const fromDate = parseDate(from, 'from');
+    const toDate = parseDate(to, 'to');
+    if (fromDate || toDate) {
+      filter.timestamp = {};
+      if (fromDate) filter.timestamp.$gte = fromDate;
+      if (toDate) filter.timestamp.$lte = toDate;
+    }
+
+    const [total, records] = await Promise.all([
+      MalariaRecord.countDocuments(filter),
+      MalariaRecord.find(filter)
+        .sort({ timestamp: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('patient', 'patientId age sex residence')
+        .populate('detectedBy', 'name email role')
+    ]);
+
+    res.json({
+      success: true,
+      total,
+      page,
+      limit,
+      records
+    });
+  } catch (error) {
+    if (error.message.startsWith('Invalid ')) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error('❌ Malaria records list error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch malaria records',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// GET /api/malaria/records/patient/:patientId - Malaria history for one patient
+router.get('/records/patient/:patientId', auth, authorize('records:read'), async (req, res) => {
+  try {
+    const patient = await Patient.findByAnyId(req.params.patientId);
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patient not found'
+      });
+    }
+
+    const records = await MalariaRecord.find({ patient: patient._id })
+      .sort({ timestamp: -1 })
+      .populate('bloodSmear')
+      .populate('detectedBy', 'name email role');
+
+    res.json({
+      success: true,
+      patient,
+      count: records.length,
+      records
+    });
+  } catch (error) {
+    console.error('❌ Patient malaria records error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch patient malaria records',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// GET /api/malaria/records/:id - Single malaria analysis
+router.get('/records/:id', auth, authorize('records:read'), async (req, res) => {
+  try {
+    if (!mongoose.isObjectIdOrHexString(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid record id'
+      });
     }
-  });
+
+    const record = await MalariaRecord.findById(req.params.id)
+      .populate('patient')
+      .populate('bloodSmear')
+      .populate('detectedBy', 'name email role');
+
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        message: 'Malaria record not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      record
+    });
+  } catch (error) {
+    console.error('❌ Malaria record fetch error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch malaria record',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// POST /api/malaria/smears - Upload a blood smear photo (multipart, field "image")
+router.post('/smears', auth, authorize('smears:upload'), smearUpload, async (req, res) => {
+  let storage = null;
+  const savedKeys = [];
+
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No image uploaded. Send the smear photo as multipart/form-data in the "image" field'
+      });
+    }
+
+    const { patientId, notes } = req.body;
+    let patient = null;
+    if (patientId) {
+      patient = await Patient.findByAnyId(patientId);
+      if (!patient) {
+        return res.status(404).json({
+          success: false,
+          message: `Patient not found: ${patientId}`
+        });
+      }
+    }
+
+    const processed = await normalizeSmear(req.file.buffer);
+
+    // Reject photos the analysis can't use before anything is stored
+    const quality = await assessSmearQuality(processed.image.buffer, processed.original);
+    if (!quality.usable) {
+      return res.status(422).json({
+        success: false,
+        message: `Image quality too low for analysis: ${quality.reasons[0]}`,
+        quality
+      });
+    }
+
+    const smear = new BloodSmear({
+      patient: patient ? patient._id : undefined,
+      originalName: req.file.originalname,
+      originalFormat: processed.original.format,
+      checksum: crypto.createHash('sha256').update(req.file.buffer).digest('hex'),
+      uploadedBy: req.user.id,
+      notes,
+      quality: {
+        score: quality.score,
+        grade: quality.grade,
+        reasons: quality.reasons,
+        metrics: quality.metrics,
+        assessedAt: new Date()
+      }
+    });
+
+    // Store under smears/YYYY/MM/<smearId>.jpg
+    storage = getStorage();
+    const now = new Date();
+    const prefix = `smears/${now.getFullYear()}/${String(now.getMonth() + 1).padStart(2, '0')}/${smear._id}`;
+
+    for (const [field, suffix] of [['image', ''], ['thumbnail', '_thumb']]) {
+      const { buffer, ...info } = processed[field];
+      const key = `${prefix}${suffix}.jpg`;
+      await storage.save(key, buffer, { contentType: info.contentType });
+      savedKeys.push(key);
+      smear[field] = { storageKey: key, ...info };
+    }
+
+    smear.storageBackend = storage.name;
+    smear.imageUrl = `/api/malaria/smears/${smear._id}/image`;
+    await smear.save();
+
+    console.log(`🖼️ Blood smear stored: ${smear._id} (${processed.image.width}x${processed.image.height}, quality ${quality.score})`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Blood smear uploaded successfully',
+      smear
+    });
+
+  } catch (error) {
+    console.error('❌ Smear upload error:', error.message);
+
+    // Don't leave orphaned files behind
+    if (storage) {
+      await Promise.all(savedKeys.map(key => storage.remove(key).catch(() => {})));
+    }
+
+    let statusCode = 500;
+    let errorMessage = 'Failed to store blood smear';
+
+    if (error.message.includes('Invalid image')) {
+      statusCode = 400;
+      errorMessage = error.message;
+    }
+
+    res.status(statusCode).json({
+      success: false,
+      message: errorMessage,
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Shared lookup for the smear detail/image routes
+const findSmear = async (req, res) => {
+  if (!mongoose.isObjectIdOrHexString(req.params.id)) {
+    res.status(400).json({ success: false, message: 'Invalid smear id' });
+    return null;
+  }
+
+  const smear = await BloodSmear.findById(req.params.id);
+  if (!smear) {
+    res.status(404).json({ success: false, message: 'Blood smear not found' });
+    return null;
+  }
+  return smear;
+};
+
+const sendStoredImage = async (res, smear, field) => {
+  const stored = smear[field];
+  const storage = getStorage(smear.storageBackend);
+
+  if (!stored || !stored.storageKey || !(await storage.exists(stored.storageKey))) {
+    return res.status(404).json({ success: false, message: 'Image file not found for this smear' });
+  }
+
+  res.set('Content-Type', stored.contentType);
+  res.set('Cache-Control', 'private, max-age=86400');
+  storage.createReadStream(stored.storageKey)
+    .on('error', (error) => {
+      // pipe() doesn't forward read errors; without this the request hangs
+      console.error(`❌ Smear ${field} stream error:`, error.message);
+      if (res.headersSent) return res.destroy(error);
+      res.status(500).json({ success: false, message: `Failed to read smear ${field}` });
+    })
+    .pipe(res);
+};
+
+// GET /api/malaria/smears/:id - Smear metadata
+router.get('/smears/:id', auth, authorize('smears:read'), async (req, res) => {
+  try {
+    const smear = await findSmear(req, res);
+    if (!smear) return;
+
+    await smear.populate('patient', 'patientId age sex residence');
+    res.json({ success: true, smear });
+  } catch (error) {
+    console.error('❌ Smear fetch error:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to fetch blood smear' });
+  }
+});
+
+// GET /api/malaria/smears/:id/image - Normalised smear image
+router.get('/smears/:id/image', auth, authorize('smears:read'), async (req, res) => {
+  try {
+    const smear = await findSmear(req, res);
+    if (!smear) return;
+    await sendStoredImage(res, smear, 'image');
+  } catch (error) {
+    console.error('❌ Smear image error:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to read smear image' });
+  }
+});
+
+// GET /api/malaria/smears/:id/thumbnail - Smear thumbnail
+router.get('/smears/:id/thumbnail', auth, authorize('smears:read'), async (req, res) => {
+  try {
+    const smear = await findSmear(req, res);
+    if (!smear) return;
+    await sendStoredImage(res, smear, 'thumbnail');
+  } catch (error) {
+    console.error('❌ Smear thumbnail error:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to read smear thumbnail' });
+  }
+});
+
+// POST /api/malaria/smears/:id/analyze - (Re-)analyse a stored smear
+router.post('/smears/:id/analyze', auth, authorize('malaria:analyze'), async (req, res) => {
+  try {
+    const smear = await findSmear(req, res);
+    if (!smear) return;
+
+    await smear.populate('patient');
+    const patient = smear.patient;
+
+    // Fall back to the linked patient's profile
+    const { symptoms = [] } = req.body;
+    const requestInputs = {
+      age: req.body.age,
+      sex: req.body.sex,
+      travelHistory: req.body.travelHistory
+    };
+    const { inputs, fromProfile } = patient
+      ? patient.fillClinicalInputs(requestInputs)
+      : { inputs: requestInputs, fromProfile: [] };
+    const { age, sex, travelHistory } = inputs;
+
+    if (age == null || age === '' || !sex) {
+      return res.status(400).json({
+        success: false,
+        message: 'Age and biological sex are required fields',
+        required_fields: ['age', 'sex'],
+        note: 'Link the smear to a patient or send age and sex in the request body'
+      });
+    }
+
+    const patientData = {
+      age,
+      sex,
+      travelHistory,
+      symptoms: Array.isArray(symptoms) ? symptoms : [symptoms].filter(Boolean)
+    };
+    const imageData = await prepareSmearImageData(smear);
+    const analysis = await runInference(
+      'malariaClinical',
+      { patientId: patient ? String(patient._id) : undefined, ...patientData, imageData },
+      () => malariaAI.analyzeMalaria(patientData, imageData),
+      { validate: () => malariaAI.validateInput(patientData) }
+    );
+
+    const record = await MalariaRecord.fromAnalysis(analysis.analysis, {
+      patient,
+      detectedBy: req.user.id,
+      input: {
+        age,
+        sex,
+        travelHistory,
+        symptoms: analysis.patient_summary.symptoms
+      },
+      smear,
+      engine: analysis.ai_metadata.served_by,
+      source: 'malaria/smears'
+    });
+
+    console.log(`📝 Smear ${smear._id} analysed: ${analysis.analysis.result} (record ${record._id})`);
+
+    res.json({
+      success: true,
+      message: 'Blood smear analysis completed successfully',
+      ...analysis,
+      inputs_from_profile: fromProfile,
+      record: { id: record._id, patient: record.patient || null, blood_smear: smear._id }
+    });
+
+  } catch (error) {
+    console.error('❌ Smear analysis error:', error.message);
+
+    let statusCode = 500;
+    let errorMessage = 'Failed to analyse blood smear';
+
+    if (error.message.includes('Validation failed')) {
+      statusCode = 400;
+      errorMessage = error.message;
+    }
+
+    res.status(statusCode).json({
+      success: false,
+      message: errorMessage,
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// GET /api/malaria/ai-info - Get AI model information
+router.get('/ai-info', auth, authorize('ai:read'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      ai_model: {
+        name: malariaAI.name,
+        version: malariaAI.version,
+        last_updated: malariaAI.lastUpdated,
+        capabilities: [
+          'Malaria risk assessment',
+          'Parasite probability estimation',
+          'Blood smear image classification',
+          'Species prediction',
+          'Parasite density estimation',
+          'Severity assessment',
+          'Clinical recommendations'
+        ],
+        image_classifier: await getClassifierStatus(),
+        disclaimer: 'For clinical decision support only. Not a replacement for microscopy confirmation.'
+      }
+    });
+  } catch (error) {
+    console.error('❌ Malaria AI info error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch AI model information',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
 });
 
 module.exports = router;
\ No newline at end of file
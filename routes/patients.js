@@ -1,26 +1,298 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const Patient = require('../models/Patient');
+const ClinicalRecord = require('../models/ClinicalRecord');
+const MalariaRecord = require('../models/MalariaRecord');
+const LabResult = require('../models/LabResult');
+const BloodSmear = require('../models/BloodSmear');
+const PregnancyFollowUp = require('../models/PregnancyFollowUp');
+const NewbornRecord = require('../models/NewbornRecord');
 const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+
+const MAX_PAGE_SIZE = 200;
+
+// Only copy fields clients are allowed to set; everything else in the body is ignored
+const pickEditable = (body = {}) => Patient.EDITABLE_FIELDS.reduce((fields, key) => {
+  if (body[key] !== undefined) fields[key] = body[key];
+  return fields;
+}, {});
+
+/**
+ * Turn Mongoose validation, cast and duplicate-key errors into the
+ * { success, message } 400/409 responses the auth routes use
+ * @returns {boolean} true if a response was sent
+ */
+const sendPatientError = (res, err) => {
+  if (err.name === 'ValidationError') {
+    const errors = Object.values(err.errors).map(e => ({
+      field: e.path,
+      message: e.name === 'CastError' ? `${e.path} has an invalid value: ${JSON.stringify(e.value)}` : e.message
+    }));
+    res.status(400).json({
+      success: false,
+      message: `Validation failed: ${errors.map(e => e.message).join('; ')}`,
+      errors
+    });
+    return true;
+  }
+
+  if (err.code === 11000) {
+    res.status(409).json({
+      success: false,
+      message: `A patient with patientId '${err.keyValue?.patientId}' already exists`
+    });
+    return true;
+  }
+
+  return false;
+};
+
+// Cursors encode the last patient's (dateReported, _id) so pages stay stable
+// while new patients are being registered
+const encodeCursor = (patient) => Buffer.from(JSON.stringify({
+  d: patient.dateReported ? patient.dateReported.toISOString() : null,
+  id: String(patient._id)
+})).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const { d, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    if (!mongoose.isObjectIdOrHexString(id)) return null;
+    return { d: d ? new Date(d) : null, id };
+  } catch (err) {
+    return null;
+  }
+};
+
+// Newest first; patients without a dateReported sort last
+const afterCursor = ({ d, id }) => {
+  const _id = new mongoose.Types.ObjectId(id);
+  if (!d) return { dateReported: null, _id: { $lt: _id } };
+  return {
+    $or: [
+      { dateReported: { $lt: d } },
+      { dateReported: d, _id: { $lt: _id } },
+      { dateReported: null }
+    ]
+  };
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Build the Mongo filter for GET / from the query string
+ * @throws {Error} 'Invalid query: ...'
+ */
+const buildSearchFilter = (query) => {
+  const filter = {};
+
+  if (query.patientId) {
+    filter.patientId = { $regex: `^${escapeRegex(String(query.patientId).trim())}`, $options: 'i' };
+  }
+  if (query.residence) {
+    filter.residence = { $regex: escapeRegex(String(query.residence).trim()), $options: 'i' };
+  }
+  for (const field of ['lga', 'state']) {
+    if (query[field]) {
+      filter[field] = { $regex: `^${escapeRegex(String(query[field]).trim())}$`, $options: 'i' };
+    }
+  }
+  if (query.sex) {
+    const sex = { MALE: 'M', FEMALE: 'F' }[String(query.sex).toUpperCase()] || String(query.sex).toUpperCase();
+    if (!['M', 'F'].includes(sex)) throw new Error('Invalid query: sex must be M or F');
+    filter.sex = sex;
+  }
+
+  for (const [param, op] of [['minAge', '$gte'], ['maxAge', '$lte']]) {
+    if (query[param] === undefined) continue;
+    const value = Number(query[param]);
+    if (!Number.isFinite(value)) throw new Error(`Invalid query: ${param} must be a number`);
+    filter.age = { ...filter.age, [op]: value };
+  }
+  if (filter.age && filter.age.$gte > filter.age.$lte) {
+    throw new Error('Invalid query: minAge cannot be greater than maxAge');
+  }
+
+  return filter;
+};
 
 // Create patient (after prediction)
-router.post('/', auth, async (req, res) => {
+router.post('/', auth, authorize('patients:write'), async (req, res) => {
   try {
-    const patient = new Patient(req.body);
+    const patient = new Patient({ ...pickEditable(req.body), createdBy: req.user.id });
     await patient.save();
+    // Bare patient, as clients have always received
     res.json(patient);
   } catch (err) {
-    res.status(400).json({ message: err.message });
+    if (sendPatientError(res, err)) return;
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// Search patients, newest first. The body is always a bare array, as clients
+// have always received. Sending limit or cursor pages the results; the next
+// page's cursor comes back in X-Next-Cursor (absent on the last page).
+// ?patientId=ABS-00&residence=umuahia&state=Abia&lga=Umuahia%20North&sex=F&minAge=18&maxAge=45&limit=50&cursor=<X-Next-Cursor>
+router.get('/', auth, authorize('patients:read'), async (req, res) => {
+  try {
+    const filter = buildSearchFilter(req.query);
+    const paged = req.query.limit !== undefined || req.query.cursor !== undefined;
+
+    if (!paged) {
+      const patients = await Patient.find(filter).sort({ dateReported: -1, _id: -1 });
+      return res.json(patients);
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), MAX_PAGE_SIZE);
+    if (req.query.cursor) {
+      const cursor = decodeCursor(req.query.cursor);
+      if (!cursor) {
+        return res.status(400).json({ success: false, message: 'Invalid query: cursor is malformed' });
+      }
+      Object.assign(filter, afterCursor(cursor));
+    }
+
+    const patients = await Patient.find(filter)
+      .sort({ dateReported: -1, _id: -1 })
+      .limit(limit + 1);
+
+    const hasMore = patients.length > limit;
+    const page = hasMore ? patients.slice(0, limit) : patients;
+
+    res.set('X-Has-More', String(hasMore));
+    if (hasMore) res.set('X-Next-Cursor', encodeCursor(page[page.length - 1]));
+    res.json(page);
+  } catch (err) {
+    if (err.message.startsWith('Invalid query')) {
+      return res.status(400).json({ success: false, message: err.message });
+    }
+    res.status(500).json({ success: false, message: err.message });
   }
 });
 
-// Get all patients
-router.get('/', auth, async (req, res) => {
+// Get one patient by Mongo _id or hospital patientId
+router.get('/:id', auth, authorize('patients:read'), async (req, res) => {
   try {
-    const patients = await Patient.find().sort({ dateReported: -1 });
-    res.json(patients);
+    const patient = await Patient.findByAnyId(req.params.id);
+    if (!patient) {
+      return res.status(404).json({ success: false, message: 'Patient not found' });
+    }
+    res.json({ success: true, patient });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// Replace a patient's details; fields left out are cleared
+router.put('/:id', auth, authorize('patients:write'), async (req, res) => {
+  try {
+    const patient = await Patient.findByAnyId(req.params.id);
+    if (!patient) {
+      return res.status(404).json({ success: false, message: 'Patient not found' });
+    }
+
+    for (const field of Patient.EDITABLE_FIELDS) {
+      patient.set(field, req.body[field]);
+    }
+    await patient.save();
+
+    res.json({ success: true, message: 'Patient updated', patient });
+  } catch (err) {
+    if (sendPatientError(res, err)) return;
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// Update only the fields sent
+router.patch('/:id', auth, authorize('patients:write'), async (req, res) => {
+  try {
+    const patient = await Patient.findByAnyId(req.params.id);
+    if (!patient) {
+      return res.status(404).json({ success: false, message: 'Patient not found' });
+    }
+
+    const updates = pickEditable(req.body);
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: `No updatable fields provided. Allowed fields: ${Patient.EDITABLE_FIELDS.join(', ')}`
+      });
+    }
+
+    patient.set(updates);
+    await patient.save();
+
+    res.json({ success: true, message: 'Patient updated', patient });
+  } catch (err) {
+    if (sendPatientError(res, err)) return;
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// Delete a patient that has no clinical or malaria records
+router.delete('/:id', auth, authorize('patients:delete'), async (req, res) => {
+  try {
+    const patient = await Patient.findByAnyId(req.params.id);
+    if (!patient) {
+      return res.status(404).json({ success: false, message: 'Patient not found' });
+    }
+
+    // Anything that points at the patient would be left dangling
+    const linked = [
+      ['clinical records', ClinicalRecord, { patient: patient._id }],
+      ['malaria records', MalariaRecord, { patient: patient._id }],
+      ['lab results', LabResult, { patient: patient._id }],
+      ['blood smears', BloodSmear, { patient: patient._id }],
+      ['pregnancy follow-ups', PregnancyFollowUp, { patient: patient._id }],
+      ['newborn records', NewbornRecord, { $or: [{ mother: patient._id }, { patient: patient._id }] }]
+    ];
+    const counts = await Promise.all(linked.map(([, Model, filter]) => Model.countDocuments(filter)));
+    const blocking = linked
+      .map(([label], i) => (counts[i] > 0 ? `${counts[i]} ${label}` : null))
+      .filter(Boolean);
+    if (blocking.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Patient has ${blocking.join(', ')} and cannot be deleted`
+      });
+    }
+
+    await patient.deleteOne();
+    console.log(`🗑️ Patient deleted: ${patient.patientId} (by ${req.user.email})`);
+
+    res.json({ success: true, message: 'Patient deleted' });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// Get a patient's clinical record timeline (newest first)
+router.get('/:id/records', auth, authorize('patients:read', 'records:read'), async (req, res) => {
+  try {
+    const patient = await Patient.findByAnyId(req.params.id);
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patient not found'
+      });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const records = await ClinicalRecord.find({ patient: patient._id })
+      .sort({ predictedAt: -1 })
+      .limit(limit)
+      .populate('predictedBy', 'name email role');
+
+    res.json({
+      success: true,
+      patient,
+      count: records.length,
+      records
+    });
   } catch (err) {
-    res.status(500).json({ message: err.message });
+    res.status(500).json({ success: false, message: err.message });
   }
 });
 
@@ -0,0 +1,314 @@
+// routes/pregnancies.js - Antenatal Zika follow-up and newborn screening
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const Patient = require('../models/Patient');
+const PregnancyFollowUp = require('../models/PregnancyFollowUp');
+const NewbornRecord = require('../models/NewbornRecord');
+const { getModel } = require('../models/ai');
+
+const PLAN_ITEM_STATUSES = ['scheduled', 'completed', 'missed', 'cancelled'];
+
+const findFollowUp = async (req, res) => {
+  const followUp = mongoose.isObjectIdOrHexString(req.params.id)
+    ? await PregnancyFollowUp.findById(req.params.id)
+    : null;
+  if (!followUp) {
+    res.status(404).json({ success: false, message: 'Pregnancy follow-up not found' });
+  }
+  return followUp;
+};
+
+const sendValidationError = (res, err) => {
+  const errors = Object.values(err.errors).map(e => ({
+    field: e.path,
+    message: e.name === 'CastError' ? `${e.path} has an invalid value: ${JSON.stringify(e.value)}` : e.message
+  }));
+  res.status(400).json({
+    success: false,
+    message: `Validation failed: ${errors.map(e => e.message).join('; ')}`,
+    errors
+  });
+};
+
+// Row of the at-risk report
+const summarise = (followUp, now) => {
+  const week = followUp.currentGestationalWeek(now);
+  const next = followUp.nextItem();
+  const patient = followUp.patient || {};
+  return {
+    id: followUp._id,
+    patient: {
+      id: patient._id,
+      patientId: patient.patientId,
+      age: patient.currentAge,
+      phone: patient.phone,
+      lga: patient.lga,
+      state: patient.state
+    },
+    risk_level: followUp.riskLevel,
+    gestational_week: week,
+    trimester: getModel('pregnancyPathway').getTrimester(week),
+    estimated_due_date: followUp.estimatedDueDate,
+    enrolled_at: followUp.enrolledAt,
+    next_item: next ? { id: next._id, type: next.type, description: next.description, due_date: next.dueDate } : null,
+    overdue_items: followUp.overdueItems(now).length
+  };
+};
+
+// GET /api/pregnancies/at-risk - Every pregnancy currently being followed
+// ?riskLevel=HIGH&overdue=true&state=Abia&lga=Umuahia%20North
+router.get('/at-risk', auth, authorize('pregnancies:read'), async (req, res) => {
+  try {
+    const filter = { status: 'active' };
+    if (req.query.riskLevel) {
+      filter.riskLevel = String(req.query.riskLevel).toUpperCase();
+    }
+
+    const now = new Date();
+    let followUps = await PregnancyFollowUp.find(filter)
+      .populate('patient', 'patientId age dateOfBirth phone lga state')
+      .sort({ estimatedDueDate: 1 });
+
+    if (req.query.state || req.query.lga) {
+      const matches = (value, wanted) => !wanted || (value || '').toLowerCase() === String(wanted).toLowerCase();
+      followUps = followUps.filter(f => f.patient &&
+        matches(f.patient.state, req.query.state) && matches(f.patient.lga, req.query.lga));
+    }
+
+    let pregnancies = followUps.map(f => summarise(f, now));
+    if (req.query.overdue === 'true') {
+      pregnancies = pregnancies.filter(p => p.overdue_items > 0);
+    }
+
+    const countBy = (key) => pregnancies.reduce((counts, p) => {
+      const value = p[key] == null ? 'unknown' : p[key];
+      counts[value] = (counts[value] || 0) + 1;
+      return counts;
+    }, {});
+
+    res.json({
+      success: true,
+      generated_at: now.toISOString(),
+      count: pregnancies.length,
+      summary: {
+        by_risk_level: countBy('risk_level'),
+        by_trimester: countBy('trimester'),
+        with_overdue_items: pregnancies.filter(p => p.overdue_items > 0).length
+      },
+      pregnancies
+    });
+
+  } catch (error) {
+    console.error('❌ At-risk pregnancies report error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build at-risk pregnancies report',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// GET /api/pregnancies/patient/:patientId - Follow-ups for one patient, newest first
+router.get('/patient/:patientId', auth, authorize('pregnancies:read'), async (req, res) => {
+  try {
+    const patient = await Patient.findByAnyId(req.params.patientId);
+    if (!patient) {
+      return res.status(404).json({ success: false, message: 'Patient not found' });
+    }
+
+    const followUps = await PregnancyFollowUp.find({ patient: patient._id })
+      .sort({ enrolledAt: -1 })
+      .populate('newborns');
+
+    res.json({
+      success: true,
+      patient,
+      count: followUps.length,
+      follow_ups: followUps
+    });
+
+  } catch (error) {
+    console.error('❌ Patient pregnancy follow-ups error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch pregnancy follow-ups',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// GET /api/pregnancies/:id - One follow-up with its plan and newborn records
+router.get('/:id', auth, authorize('pregnancies:read'), async (req, res) => {
+  try {
+    const followUp = await findFollowUp(req, res);
+    if (!followUp) return;
+
+    await followUp.populate([
+      { path: 'patient' },
+      { path: 'newborns' },
+      { path: 'clinicalRecords', select: 'prediction engine predictedAt' }
+    ]);
+
+    res.json({
+      success: true,
+      follow_up: followUp,
+      gestational_week: followUp.currentGestationalWeek(),
+      overdue_items: followUp.overdueItems()
+    });
+
+  } catch (error) {
+    console.error('❌ Pregnancy follow-up error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch pregnancy follow-up',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// PATCH /api/pregnancies/:id/plan/:itemId - Record an ultrasound/serology visit
+router.patch('/:id/plan/:itemId', auth, authorize('pregnancies:write'), async (req, res) => {
+  try {
+    const followUp = await findFollowUp(req, res);
+    if (!followUp) return;
+
+    const item = followUp.plan.id(req.params.itemId);
+    if (!item) {
+      return res.status(404).json({ success: false, message: 'Plan item not found' });
+    }
+
+    const { status, result, notes, dueDate } = req.body;
+    if (status !== undefined && !PLAN_ITEM_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid status: ${status}. Must be one of: ${PLAN_ITEM_STATUSES.join(', ')}`
+      });
+    }
+
+    if (status) item.status = status;
+    if (result !== undefined) item.result = result;
+    if (notes !== undefined) item.notes = notes;
+    if (dueDate !== undefined) item.dueDate = dueDate;
+    if (status === 'completed') {
+      item.completedAt = new Date();
+      item.completedBy = req.user.id;
+    }
+
+    await followUp.save();
+    console.log(`🤰 Follow-up ${followUp._id}: ${item.type} ${item.status}`);
+
+    res.json({ success: true, message: 'Plan item updated', item });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') return sendValidationError(res, error);
+    console.error('❌ Plan item update error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update plan item',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// POST /api/pregnancies/:id/newborns - Record a birth and its congenital Zika screening
+router.post('/:id/newborns', auth, authorize('pregnancies:write'), async (req, res) => {
+  try {
+    const followUp = await findFollowUp(req, res);
+    if (!followUp) return;
+
+    const fields = NewbornRecord.EDITABLE_FIELDS.reduce((picked, key) => {
+      if (req.body[key] !== undefined) picked[key] = req.body[key];
+      return picked;
+    }, {});
+
+    const newborn = await NewbornRecord.create({
+      ...fields,
+      mother: followUp.patient,
+      followUp: followUp._id,
+      recordedBy: req.user.id
+    });
+
+    // Delivery ends antenatal follow-up: remaining scans and tests are cancelled
+    // and the newborn screening visit is completed with the screening outcome
+    followUp.newborns.push(newborn._id);
+    if (followUp.status === 'active') {
+      followUp.status = 'delivered';
+      followUp.closedAt = new Date();
+      for (const item of followUp.plan) {
+        if (item.status !== 'scheduled') continue;
+        if (item.type === 'newborn_screening') {
+          item.status = 'completed';
+          item.completedAt = new Date();
+          item.completedBy = req.user.id;
+          item.result = newborn.classification;
+        } else {
+          item.status = 'cancelled';
+        }
+      }
+    }
+    await followUp.save();
+
+    await Patient.updateOne(
+      { _id: followUp.patient, 'pregnancy.status': 'pregnant' },
+      { $set: { 'pregnancy.status': 'not_pregnant' }, $unset: { 'pregnancy.gestationalWeek': 1, 'pregnancy.recordedAt': 1 } }
+    );
+
+    if (newborn.classification === 'congenital_zika_suspected') {
+      console.warn(`⚠️ Congenital Zika suspected: newborn ${newborn._id} (follow-up ${followUp._id})`);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Newborn record created',
+      newborn,
+      follow_up: { id: followUp._id, status: followUp.status }
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') return sendValidationError(res, error);
+    console.error('❌ Newborn record error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create newborn record',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// POST /api/pregnancies/:id/close - Stop following a pregnancy (loss, transfer, lost to follow-up)
+router.post('/:id/close', auth, authorize('pregnancies:write'), async (req, res) => {
+  try {
+    const followUp = await findFollowUp(req, res);
+    if (!followUp) return;
+
+    if (!req.body.reason) {
+      return res.status(400).json({ success: false, message: 'Please provide a reason for closing the follow-up' });
+    }
+    if (followUp.status !== 'active') {
+      return res.status(409).json({ success: false, message: `Follow-up is already ${followUp.status}` });
+    }
+
+    followUp.status = 'closed';
+    followUp.closedAt = new Date();
+    followUp.closedReason = req.body.reason;
+    followUp.plan.forEach(item => {
+      if (item.status === 'scheduled') item.status = 'cancelled';
+    });
+    await followUp.save();
+
+    res.json({ success: true, message: 'Follow-up closed', follow_up: followUp });
+
+  } catch (error) {
+    console.error('❌ Close follow-up error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to close follow-up',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
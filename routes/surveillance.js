@@ -0,0 +1,60 @@
+// routes/surveillance.js - Aggregate Zika and malaria case counts for public-health surveillance
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const { DATASETS, SURVEILLANCE_CONFIG, surveillanceSummary } = require('../services/surveillance');
+
+const parseDate = (value, name) => {
+  if (value === undefined || value === '') return undefined;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw new Error(`Invalid ${name}: ${value}`);
+  return date;
+};
+
+// GET /api/surveillance/summary - Cases by risk level/result, LGA, residence, age
+// band, sex and epidemiological week, with weekly trends and week-over-week change
+// ?weeks=12 | ?from=2025-01-01&to=2025-03-31, &disease=zika&state=Abia&lga=Aba%20North
+router.get('/summary', auth, authorize('surveillance:read'), async (req, res) => {
+  try {
+    const { disease, state, lga } = req.query;
+    if (disease && !DATASETS[disease]) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid disease: ${disease}. Must be one of: ${Object.keys(DATASETS).join(', ')}`
+      });
+    }
+
+    const weeks = req.query.weeks;
+    if (weeks !== undefined && !(parseInt(weeks) >= 1 && parseInt(weeks) <= SURVEILLANCE_CONFIG.MAX_WEEKS)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid weeks: ${weeks}. Must be between 1 and ${SURVEILLANCE_CONFIG.MAX_WEEKS}`
+      });
+    }
+
+    const summary = await surveillanceSummary({
+      from: parseDate(req.query.from, 'from'),
+      to: parseDate(req.query.to, 'to'),
+      weeks,
+      state,
+      lga,
+      disease
+    });
+
+    res.json({ success: true, ...summary });
+
+  } catch (error) {
+    if (error.message.startsWith('Invalid ')) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error('❌ Surveillance summary error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build surveillance summary',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,52 @@
+// routes/symptoms.js - Coded symptom vocabulary for the app's symptom pickers
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const { getModel } = require('../models/ai');
+
+// GET /api/symptoms - Every coded symptom with synonyms and local-language aliases
+// ?lang=ig&category=general&q=fev
+router.get('/', auth, authorize('ai:read'), (req, res) => {
+  try {
+    const vocabulary = getModel('symptomVocabulary');
+    const { lang, category, q } = req.query;
+
+    if (lang && !vocabulary.languages[lang]) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid lang: ${lang}. Must be one of: ${Object.keys(vocabulary.languages).join(', ')}`
+      });
+    }
+
+    const symptoms = vocabulary.list({ language: lang, category, q });
+
+    res.json({
+      success: true,
+      vocabulary: {
+        name: vocabulary.name,
+        version: vocabulary.version,
+        system: vocabulary.system
+      },
+      languages: vocabulary.languages,
+      severities: vocabulary.severities,
+      categories: [...new Set(vocabulary.entries.map(e => e.category))],
+      count: symptoms.length,
+      symptoms,
+      input_format: {
+        description: 'Send symptoms as codes or free text, or as objects with onset date and severity',
+        example: ['fever', { code: 'rash', onsetDate: '2024-12-01', severity: 'moderate' }]
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Symptom vocabulary error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch symptom vocabulary',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
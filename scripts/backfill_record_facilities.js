@@ -0,0 +1,52 @@
+// Stamp facilityCode on Zika and malaria records made before records carried it.
+// IDSR counts stamped records by the facility they were made at; unstamped
+// ones follow their user's current facility, so run this before moving users
+// between facilities (PATCH /api/auth/users/:id/facility).
+//
+//   node scripts/backfill_record_facilities.js           # report only
+//   node scripts/backfill_record_facilities.js --apply   # stamp the records
+//
+// Each unstamped record gets its user's current facility code. Records whose
+// user has no facility are left unstamped and counted in the report.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { DATASETS } = require('../services/surveillance');
+
+const main = async () => {
+  const apply = process.argv.includes('--apply');
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const users = await User.find({ 'facility.code': { $exists: true, $ne: '' } })
+    .select('facility.code')
+    .lean();
+
+  for (const [disease, dataset] of Object.entries(DATASETS)) {
+    const unstamped = { facilityCode: null };
+    const total = await dataset.Model.countDocuments(unstamped);
+    let stamped = 0;
+
+    for (const user of users) {
+      const filter = { ...unstamped, [dataset.userField]: user._id };
+      if (apply) {
+        const result = await dataset.Model.updateMany(filter, { $set: { facilityCode: user.facility.code } });
+        stamped += result.modifiedCount;
+      } else {
+        stamped += await dataset.Model.countDocuments(filter);
+      }
+    }
+
+    console.log(`${apply ? '✅' : '📋'} ${disease}: ${total} unstamped record(s), ${stamped} ${apply ? 'stamped' : 'can be stamped'}, ${total - stamped} without a user facility`);
+  }
+
+  if (!apply) {
+    console.log('ℹ️ Report only; run with --apply to stamp these records');
+  }
+};
+
+main()
+  .catch(error => {
+    console.error('❌', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,47 @@
+// Create (or promote) the first admin account. Admins can then create or
+// promote every other privileged account through /api/auth.
+//
+//   node scripts/create_admin.js <email> [password] [name]
+//
+// The password is only required when the account doesn't exist yet.
+require('dotenv').config();
+const bcrypt = require('bcryptjs');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+const main = async () => {
+  const [email, password, name = 'Administrator'] = process.argv.slice(2);
+  if (!email) {
+    throw new Error('Usage: node scripts/create_admin.js <email> [password] [name]');
+  }
+
+  await mongoose.connect(process.env.MONGO_URI);
+
+  let user = await User.findOne({ email: email.toLowerCase().trim() });
+  if (user) {
+    user.role = 'admin';
+    await user.save();
+    console.log(`✅ Promoted ${user.email} to admin`);
+    return;
+  }
+
+  if (!password || password.length < 6) {
+    throw new Error('A password of at least 6 characters is required for a new account');
+  }
+
+  user = new User({
+    name,
+    email: email.toLowerCase().trim(),
+    password: await bcrypt.hash(password, await bcrypt.genSalt(10)),
+    role: 'admin'
+  });
+  await user.save();
+  console.log(`✅ Created admin account ${user.email}`);
+};
+
+main()
+  .catch(error => {
+    console.error('❌', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
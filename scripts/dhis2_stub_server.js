@@ -0,0 +1,83 @@
+// Minimal stand-in for a DHIS2 server, for trying the DHIS2 push without a
+// real instance. Point DHIS2_URL at it.
+//
+//   node scripts/dhis2_stub_server.js [port]
+//
+// DHIS2_STUB_FAIL_FIRST=<n> answers the first n pushes with HTTP 503 to
+// exercise the retries; DHIS2_STUB_USERNAME/DHIS2_STUB_PASSWORD or
+// DHIS2_STUB_TOKEN make it require credentials. Values are kept in memory.
+const express = require('express');
+
+const UID_PATTERN = /^[a-zA-Z][a-zA-Z0-9]{10}$/;
+
+/**
+ * @param {Object} [options] - { failFirst, username, password, token }
+ * @returns {Object} Express app; app.locals.values holds the imported values
+ */
+function createStubServer({
+  failFirst = parseInt(process.env.DHIS2_STUB_FAIL_FIRST) || 0,
+  username = process.env.DHIS2_STUB_USERNAME,
+  password = process.env.DHIS2_STUB_PASSWORD,
+  token = process.env.DHIS2_STUB_TOKEN
+} = {}) {
+  const app = express();
+  app.use(express.json({ limit: '10mb' }));
+  app.locals.values = new Map();
+  app.locals.pushes = 0;
+
+  app.use('/api', (req, res, next) => {
+    const header = req.header('authorization') || '';
+    if (token && header === `ApiToken ${token}`) return next();
+    if (username && header === `Basic ${Buffer.from(`${username}:${password || ''}`).toString('base64')}`) return next();
+    if (!token && !username) return next();
+    res.status(401).json({ httpStatus: 'Unauthorized', httpStatusCode: 401, status: 'ERROR', message: 'Unauthorized' });
+  });
+
+  app.get('/api/system/info', (req, res) => {
+    res.json({ version: '2.40.0-stub', serverDate: new Date().toISOString() });
+  });
+
+  app.post('/api/dataValueSets', (req, res) => {
+    app.locals.pushes++;
+    if (app.locals.pushes <= failFirst) {
+      return res.status(503).json({ httpStatus: 'Service Unavailable', httpStatusCode: 503, status: 'ERROR' });
+    }
+
+    const { dataSet, period, orgUnit, dataValues = [] } = req.body || {};
+    const dryRun = req.query.dryRun === 'true';
+    const importCount = { imported: 0, updated: 0, ignored: 0, deleted: 0 };
+    const conflicts = [];
+
+    for (const value of dataValues) {
+      const ids = [dataSet, orgUnit, value.dataElement, value.categoryOptionCombo];
+      const invalid = ids.find(id => !UID_PATTERN.test(id || ''));
+      if (invalid !== undefined || !/^-?\d+(\.\d+)?$/.test(String(value.value))) {
+        importCount.ignored++;
+        conflicts.push({ object: invalid || value.dataElement, value: invalid !== undefined ? 'Invalid UID' : 'Value must be a number' });
+        continue;
+      }
+      const key = [dataSet, period, orgUnit, value.dataElement, value.categoryOptionCombo].join('|');
+      if (app.locals.values.has(key)) importCount.updated++;
+      else importCount.imported++;
+      if (!dryRun) app.locals.values.set(key, String(value.value));
+    }
+
+    const status = conflicts.length === 0 ? 'SUCCESS' : (importCount.imported + importCount.updated ? 'WARNING' : 'ERROR');
+    res.status(status === 'ERROR' ? 409 : 200).json({
+      httpStatus: status === 'ERROR' ? 'Conflict' : 'OK',
+      httpStatusCode: status === 'ERROR' ? 409 : 200,
+      status: status === 'SUCCESS' ? 'OK' : status,
+      message: status === 'SUCCESS' ? 'Import was successful.' : 'One or more conflicts encountered, please check import summary.',
+      response: { responseType: 'ImportSummary', status, importCount, conflicts }
+    });
+  });
+
+  return app;
+}
+
+if (require.main === module) {
+  const port = parseInt(process.argv[2]) || 8085;
+  createStubServer().listen(port, () => console.log(`✅ DHIS2 stub listening on http://localhost:${port}`));
+}
+
+module.exports = createStubServer;
@@ -0,0 +1,73 @@
+"""
+Export a pickled scikit-learn tree ensemble to JSON for services/forestModel.js.
+
+One-time conversion so the Node backend can evaluate the forest without Python:
+
+    pip install scikit-learn joblib
+    python scripts/export_forest.py routes/models/ABSUTH_early_detection_model.pkl
+
+Writes <model>.json next to the pickle unless an output path is given.
+"""
+import json
+import os
+import sys
+
+import joblib
+
+
+def export_tree(tree):
+    # Leaf values are per-class fractions (sklearn >= 1.4) or counts; the
+    # evaluator normalises them, so both are fine.
+    return {
+        "children_left": tree.children_left.tolist(),
+        "children_right": tree.children_right.tolist(),
+        "feature": tree.feature.tolist(),
+        "threshold": tree.threshold.tolist(),
+        "value": [node[0] for node in tree.value.tolist()],
+    }
+
+
+def export_forest(model, source):
+    if getattr(model, "n_outputs_", 1) != 1:
+        raise ValueError("Only single-output classifiers are supported")
+
+    n_features = int(model.n_features_in_)
+    feature_names = getattr(model, "feature_names_in_", None)
+
+    return {
+        "format": "sklearn-tree-ensemble",
+        "format_version": 1,
+        "estimator": type(model).__name__,
+        "sklearn_version": getattr(model, "_sklearn_version", None),
+        "source": os.path.basename(source),
+        "n_features": n_features,
+        "feature_names": (
+            [str(name) for name in feature_names]
+            if feature_names is not None
+            else ["f%d" % i for i in range(n_features)]
+        ),
+        "classes": model.classes_.tolist(),
+        "n_estimators": len(model.estimators_),
+        "trees": [export_tree(estimator.tree_) for estimator in model.estimators_],
+    }
+
+
+def main(argv):
+    if len(argv) < 2:
+        print(__doc__)
+        return 1
+
+    source = argv[1]
+    target = argv[2] if len(argv) > 2 else os.path.splitext(source)[0] + ".json"
+
+    exported = export_forest(joblib.load(source), source)
+    with open(target, "w") as f:
+        json.dump(exported, f, indent=2)
+        f.write("\n")
+
+    print("Exported %d trees (%s) to %s" % (exported["n_estimators"], ", ".join(exported["feature_names"]), target))
+    return 0
+
+
+if __name__ == "__main__":
+    sys.exit(main(sys.argv))
@@ -0,0 +1,82 @@
+// Prepare existing patients for the unique index on patientId, then build it.
+// Run once before deploying the version that makes patientId unique; until
+// then MongoDB refuses to create the index on data with duplicate or empty ids.
+//
+//   node scripts/migrate_patient_ids.js           # report only
+//   node scripts/migrate_patient_ids.js --apply   # fix the data and create the index
+//
+// - Blank or missing ids become LEGACY-<_id>.
+// - Ids are trimmed, as the schema does on save.
+// - Among patients sharing an id the earliest reported keeps it; the others
+//   become <id>-DUP<n> and are listed so they can be reviewed and merged by hand.
+// Records link to patients by _id, so renaming a patientId doesn't orphan them.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Patient = require('../models/Patient');
+
+const trimmedId = (value) => (value === undefined || value === null ? '' : String(value).trim());
+
+const planChanges = (patients) => {
+  const changes = [];
+  const taken = new Set(patients.map(p => trimmedId(p.patientId)).filter(Boolean));
+  const seen = new Map();
+
+  for (const patient of patients) {
+    const current = trimmedId(patient.patientId);
+    let next = current;
+
+    if (!current) {
+      next = `LEGACY-${patient._id}`;
+    } else if (seen.has(current)) {
+      let n = seen.get(current);
+      do {
+        n++;
+        next = `${current}-DUP${n}`;
+      } while (taken.has(next));
+      seen.set(current, n);
+    } else {
+      seen.set(current, 1);
+    }
+
+    if (next !== patient.patientId) {
+      taken.add(next);
+      changes.push({ _id: patient._id, from: patient.patientId, to: next, duplicate: Boolean(current) && next !== current });
+    }
+  }
+  return changes;
+};
+
+const main = async () => {
+  const apply = process.argv.includes('--apply');
+  await mongoose.connect(process.env.MONGO_URI);
+
+  // Raw documents: legacy data may not pass today's schema validation
+  const patients = await Patient.collection
+    .find({}, { projection: { patientId: 1, dateReported: 1 } })
+    .sort({ dateReported: 1, _id: 1 })
+    .toArray();
+  const changes = planChanges(patients);
+
+  console.log(`📋 ${patients.length} patients, ${changes.length} patientId change(s)`);
+  changes.forEach(c => {
+    console.log(`${c.duplicate ? '⚠️ duplicate' : '✏️'} ${c._id}: ${JSON.stringify(c.from ?? null)} -> ${c.to}`);
+  });
+
+  if (!apply) {
+    console.log('ℹ️ Report only; run with --apply to make these changes and create the index');
+    return;
+  }
+
+  for (const change of changes) {
+    await Patient.collection.updateOne({ _id: change._id }, { $set: { patientId: change.to } });
+  }
+  await Patient.createIndexes();
+  console.log(`✅ Updated ${changes.length} patient(s); unique patientId index is in place`);
+};
+
+main()
+  .catch(error => {
+    console.error('❌', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
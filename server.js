@@ -3,6 +3,10 @@ const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
 const morgan = require('morgan');
+const { pythonAI } = require('./services/pythonAIClient');
+const { applyActiveProfiles } = require('./services/scoringProfiles');
+const { startOutbreakDetection } = require('./services/outbreakDetection');
+const { startDriftChecks } = require('./services/modelPerformance');
 
 const app = express();
 
@@ -11,7 +15,9 @@ app.use(cors({
   origin: '*', // In production, specify your Flutter app domain
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'x-auth-token']
+  allowedHeaders: ['Content-Type', 'Authorization', 'x-auth-token'],
+  // Pagination of GET /api/patients
+  exposedHeaders: ['X-Has-More', 'X-Next-Cursor']
 }));
 app.use(morgan('dev'));
 app.use(express.json({ limit: '50mb' }));
@@ -27,9 +33,21 @@ app.get('/', (req, res) => {
       auth: '/api/auth',
       patients: '/api/patients',
       zika: '/api/zika',
-      malaria: '/api/malaria'
+      malaria: '/api/malaria',
+      pregnancies: '/api/pregnancies',
+      symptoms: '/api/symptoms',
+      lab_results: '/api/lab-results',
+      analytics: '/api/analytics',
+      surveillance: '/api/surveillance',
+      alerts: '/api/alerts',
+      idsr: '/api/idsr',
+      integrations: '/api/integrations',
+      admin: '/api/admin',
+      fhir: '/fhir'
     },
     pythonAI: process.env.PYTHON_AI_URL || 'Not configured',
+    pythonAICircuit: pythonAI.getStatus().circuit,
+    dhis2: process.env.DHIS2_URL || 'Not configured',
     mongoStatus: mongoose.connection.readyState === 1 ? 'Connected' : 'Disconnected'
   });
 });
@@ -39,6 +57,16 @@ app.use('/api/auth', require('./routes/auth'));
 app.use('/api/patients', require('./routes/patients'));
 app.use('/api/zika', require('./routes/zika'));
 app.use('/api/malaria', require('./routes/malaria'));
+app.use('/api/pregnancies', require('./routes/pregnancies'));
+app.use('/api/symptoms', require('./routes/symptoms'));
+app.use('/api/lab-results', require('./routes/labResults'));
+app.use('/api/analytics', require('./routes/analytics'));
+app.use('/api/surveillance', require('./routes/surveillance'));
+app.use('/api/alerts', require('./routes/alerts'));
+app.use('/api/idsr', require('./routes/idsr'));
+app.use('/api/integrations', require('./routes/integrations'));
+app.use('/api/admin', require('./routes/admin'));
+app.use('/fhir', require('./routes/fhir'));
 
 
 // Error handling middleware
@@ -101,6 +129,9 @@ const PORT = process.env.PORT || 5000;
 const startServer = async () => {
   try {
     await connectDB();
+    await applyActiveProfiles();
+    startOutbreakDetection();
+    startDriftChecks();
     app.listen(PORT, () => {
       console.log(`🚀 Backend server running on http://localhost:${PORT}`);
       console.log(`🔗 Python AI URL: ${process.env.PYTHON_AI_URL || 'NOT SET'}`);
@@ -0,0 +1,251 @@
+// services/dhis2Client.js - Pushes aggregate counts to the state DHIS2 instance (DHIS2_URL)
+const fs = require('fs');
+const axios = require('axios');
+const Dhis2PushLog = require('../models/Dhis2PushLog');
+
+// Our indicator, age-group and facility codes -> DHIS2 UIDs, as JSON in
+// DHIS2_MAPPING or in the file at DHIS2_MAPPING_FILE:
+// { dataSets: { weekly, monthly }, dataElements: { ZIKA_SUSPECTED, ... },
+//   categoryOptionCombos: { LT5, GE5 }, orgUnits: { <facility code>: <UID> } }
+const loadMapping = () => {
+  try {
+    if (process.env.DHIS2_MAPPING_FILE) {
+      return JSON.parse(fs.readFileSync(process.env.DHIS2_MAPPING_FILE, 'utf8'));
+    }
+    return JSON.parse(process.env.DHIS2_MAPPING || '{}');
+  } catch (error) {
+    console.error('❌ DHIS2 mapping could not be loaded, using our own codes:', error.message);
+    return {};
+  }
+};
+
+const DHIS2_CONFIG = {
+  // Either a personal access token or a username and password
+  TOKEN: process.env.DHIS2_TOKEN,
+  USERNAME: process.env.DHIS2_USERNAME,
+  PASSWORD: process.env.DHIS2_PASSWORD,
+  TIMEOUT_MS: parseInt(process.env.DHIS2_TIMEOUT_MS) || 15000,
+  RETRIES: process.env.DHIS2_RETRIES !== undefined ? parseInt(process.env.DHIS2_RETRIES) : 3,
+  RETRY_BASE_DELAY_MS: parseInt(process.env.DHIS2_RETRY_BASE_DELAY_MS) || 1000,
+  MAPPING: loadMapping()
+};
+
+// DHIS2 identifiers: a letter followed by 10 alphanumerics
+const UID_PATTERN = /^[a-zA-Z][a-zA-Z0-9]{10}$/;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * The import summary from a dataValueSets response. DHIS2 2.38+ wraps it in
+ * a web message ({ httpStatus, response: { importCount, ... } }); older
+ * versions return it as is.
+ */
+const readImportSummary = (data) => {
+  const summary = data && data.response && data.response.importCount ? data.response : data;
+  if (!summary || !summary.importCount) return null;
+  return {
+    status: summary.status || (summary.conflicts && summary.conflicts.length ? 'WARNING' : 'SUCCESS'),
+    description: summary.description || (data && data.message) || null,
+    importCount: {
+      imported: summary.importCount.imported || 0,
+      updated: summary.importCount.updated || 0,
+      ignored: summary.importCount.ignored || 0,
+      deleted: summary.importCount.deleted || 0
+    },
+    conflicts: (summary.conflicts || []).map(c => ({ object: c.object, value: c.value }))
+  };
+};
+
+class Dhis2Client {
+  /**
+   * @param {String} baseURL - DHIS2 server, e.g. https://dhis2.abiastate.gov.ng
+   * @param {Object} [config] - DHIS2_CONFIG
+   * @param {Object} [http] - axios-compatible instance (get/post); defaults to one for baseURL
+   */
+  constructor(baseURL = process.env.DHIS2_URL, config = DHIS2_CONFIG, http = null) {
+    this.baseURL = baseURL;
+    this.config = config;
+    this.http = http || (baseURL ? axios.create({ baseURL, timeout: config.TIMEOUT_MS, ...this.authOptions() }) : null);
+  }
+
+  get configured() {
+    return !!this.http;
+  }
+
+  get authType() {
+    if (this.config.TOKEN) return 'token';
+    return this.config.USERNAME ? 'basic' : null;
+  }
+
+  authOptions() {
+    if (this.config.TOKEN) return { headers: { Authorization: `ApiToken ${this.config.TOKEN}` } };
+    if (this.config.USERNAME) return { auth: { username: this.config.USERNAME, password: this.config.PASSWORD || '' } };
+    return {};
+  }
+
+  get mapping() {
+    return this.config.MAPPING || {};
+  }
+
+  /**
+   * UID for one of our codes, or null if it isn't mapped
+   * @param {String} kind - 'dataSets', 'dataElements', 'categoryOptionCombos' or 'orgUnits'
+   */
+  uid(kind, code) {
+    return (this.mapping[kind] || {})[code] || null;
+  }
+
+  isRetryable(error) {
+    // Network errors/timeouts have no response; retry 5xx and 429 but not other 4xx
+    if (!error.response) return true;
+    return error.response.status >= 500 || error.response.status === 429;
+  }
+
+  /**
+   * Identifiers in a dataValueSet that aren't DHIS2 UIDs, i.e. codes left
+   * unmapped
+   * @returns {Array<String>} e.g. ['dataElement ZIKA_TESTED', 'orgUnit ABSUTH']
+   */
+  unmappedIds(dataValueSet) {
+    const invalid = new Set();
+    if (!UID_PATTERN.test(dataValueSet.dataSet)) invalid.add(`dataSet ${dataValueSet.dataSet}`);
+    if (!UID_PATTERN.test(dataValueSet.orgUnit)) invalid.add(`orgUnit ${dataValueSet.orgUnit}`);
+    for (const value of dataValueSet.dataValues) {
+      if (!UID_PATTERN.test(value.dataElement)) invalid.add(`dataElement ${value.dataElement}`);
+      if (!UID_PATTERN.test(value.categoryOptionCombo)) invalid.add(`categoryOptionCombo ${value.categoryOptionCombo}`);
+    }
+    return [...invalid];
+  }
+
+  /**
+   * POST a dataValueSet with retries
+   * @param {Object} dataValueSet - { dataSet, period, orgUnit, completeDate, dataValues }
+   * @param {Object} [options] - { dryRun }
+   * @returns {Promise<Object>} { summary, httpStatus, attempts }. Import
+   *   conflicts (HTTP 409) resolve with the summary; transport failures throw
+   *   with `attempts` and `httpStatus` set on the error.
+   */
+  async pushDataValueSet(dataValueSet, { dryRun = false } = {}) {
+    if (!this.configured) throw new Error('DHIS2_URL is not configured');
+
+    let lastError;
+    let attempts = 0;
+    for (let attempt = 0; attempt <= this.config.RETRIES; attempt++) {
+      if (attempt > 0) {
+        await sleep(this.config.RETRY_BASE_DELAY_MS * 2 ** (attempt - 1));
+      }
+      attempts++;
+
+      try {
+        const response = await this.http.post('/api/dataValueSets', dataValueSet, {
+          params: { importStrategy: 'CREATE_AND_UPDATE', dryRun }
+        });
+        const summary = readImportSummary(response.data);
+        if (!summary) throw new Error('Malformed DHIS2 response: no import summary');
+        return { summary, httpStatus: response.status, attempts };
+      } catch (error) {
+        lastError = error;
+        // DHIS2 answers 409 with the import summary when values are rejected
+        const summary = error.response && readImportSummary(error.response.data);
+        if (summary) return { summary, httpStatus: error.response.status, attempts };
+        if (error.response && !this.isRetryable(error)) break;
+        if (error.message.startsWith('Malformed')) break;
+      }
+    }
+
+    const status = lastError.response ? ` (HTTP ${lastError.response.status})` : '';
+    const error = new Error(`DHIS2 push failed${status}: ${lastError.message}`);
+    error.attempts = attempts;
+    error.httpStatus = lastError.response ? lastError.response.status : null;
+    throw error;
+  }
+
+  /**
+   * Server version and time from /api/system/info
+   */
+  async checkConnection() {
+    if (!this.configured) return { reachable: false, error: 'DHIS2_URL is not configured' };
+    try {
+      const { data } = await this.http.get('/api/system/info', { timeout: Math.min(this.config.TIMEOUT_MS, 5000) });
+      return { reachable: true, version: data.version || null, server_date: data.serverDate || null };
+    } catch (error) {
+      const status = error.response ? ` (HTTP ${error.response.status})` : '';
+      return { reachable: false, error: `${error.message}${status}` };
+    }
+  }
+
+  /**
+   * Which of our codes have a UID
+   * @param {Object} codes - { dataSets: [...], dataElements: [...], categoryOptionCombos: [...] }
+   */
+  mappingStatus(codes) {
+    const status = {};
+    for (const [kind, list] of Object.entries(codes)) {
+      status[kind] = {
+        mapped: list.filter(code => UID_PATTERN.test(this.uid(kind, code) || '')),
+        missing: list.filter(code => !UID_PATTERN.test(this.uid(kind, code) || ''))
+      };
+    }
+    status.orgUnits = { mapped: Object.keys(this.mapping.orgUnits || {}).length };
+    return status;
+  }
+
+  getStatus() {
+    return {
+      configured: this.configured,
+      url: this.baseURL || null,
+      auth: this.authType,
+      retries: this.config.RETRIES,
+      timeout_ms: this.config.TIMEOUT_MS
+    };
+  }
+}
+
+/**
+ * Push a dataValueSet and record the import summary
+ * @param {Object} dataValueSet - From services/idsr toDataValueSet
+ * @param {Object} context - { report, facility, periodType, user, dryRun }
+ * @returns {Promise<Object>} The Dhis2PushLog entry
+ */
+async function submitDataValueSet(client, dataValueSet, { report, facility, periodType, user, dryRun = false }) {
+  const entry = new Dhis2PushLog({
+    report,
+    facility,
+    periodType,
+    dataSet: dataValueSet.dataSet,
+    period: dataValueSet.period,
+    orgUnit: dataValueSet.orgUnit,
+    values: dataValueSet.dataValues.length,
+    dryRun,
+    pushedBy: user
+  });
+
+  try {
+    const { summary, httpStatus, attempts } = await client.pushDataValueSet(dataValueSet, { dryRun });
+    entry.set({ ...summary, httpStatus, attempts });
+  } catch (error) {
+    entry.set({ status: 'FAILED', error: error.message, httpStatus: error.httpStatus, attempts: error.attempts });
+  }
+  await entry.save();
+
+  const counts = entry.importCount || {};
+  const line = `DHIS2 ${dryRun ? 'dry run' : 'push'} ${entry.dataSet} ${entry.period} ${entry.orgUnit}: ${entry.status}`;
+  if (['SUCCESS', 'OK'].includes(entry.status)) {
+    console.log(`📤 ${line} (${counts.imported} imported, ${counts.updated} updated, ${counts.ignored} ignored)`);
+  } else {
+    console.warn(`⚠️ ${line}${entry.error ? ` - ${entry.error}` : ` (${entry.conflicts.length} conflict(s))`}`);
+  }
+  return entry;
+}
+
+// Shared instance for the routers
+const dhis2 = new Dhis2Client();
+
+module.exports = {
+  DHIS2_CONFIG,
+  UID_PATTERN,
+  readImportSummary,
+  Dhis2Client,
+  submitDataValueSet,
+  dhis2
+};
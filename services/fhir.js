@@ -0,0 +1,447 @@
+// services/fhir.js - HL7 FHIR R4 representations of patients, assessments and lab results
+const mongoose = require('mongoose');
+const { getModel } = require('../models/ai');
+const { tzOffset } = require('./surveillance');
+
+const FHIR_CONFIG = {
+  FHIR_VERSION: '4.0.1',
+  // Namespace for our own identifier and code systems
+  SYSTEM_BASE: process.env.FHIR_SYSTEM_BASE || 'https://absuth.edu.ng/fhir',
+  DEFAULT_COUNT: 50,
+  MAX_COUNT: 200
+};
+
+const SYSTEMS = {
+  PATIENT_ID: `${FHIR_CONFIG.SYSTEM_BASE}/sid/patient-id`,
+  CODES: `${FHIR_CONFIG.SYSTEM_BASE}/CodeSystem/absuth`,
+  SNOMED: 'http://snomed.info/sct',
+  UCUM: 'http://unitsofmeasure.org',
+  RISK_PROBABILITY: 'http://terminology.hl7.org/CodeSystem/risk-probability',
+  OBSERVATION_CATEGORY: 'http://terminology.hl7.org/CodeSystem/observation-category',
+  DIAGNOSTIC_SECTION: 'http://terminology.hl7.org/CodeSystem/v2-0074'
+};
+
+// Local codes for what our models and lab tests report
+const CODES = {
+  'zika-risk-assessment': 'Zika virus infection risk assessment',
+  'malaria-ai-analysis': 'AI malaria parasite detection',
+  'malaria-smear-analysis': 'Malaria blood smear analysis',
+  microscopy: 'Malaria microscopy',
+  malaria_rdt: 'Malaria rapid diagnostic test',
+  zika_pcr: 'Zika virus RT-PCR',
+  zika_serology: 'Zika virus serology'
+};
+
+const SNOMED_FINDINGS = {
+  zika: { code: '3928002', display: 'Zika virus disease' },
+  positive: { code: '10828004', display: 'Positive' },
+  negative: { code: '260385009', display: 'Negative' },
+  inconclusive: { code: '419984006', display: 'Inconclusive' }
+};
+
+// Our risk levels on the HL7 risk-probability scale; CRITICAL keeps its own text
+const RISK_PROBABILITY = { LOW: 'low', MODERATE: 'moderate', HIGH: 'high', CRITICAL: 'high' };
+
+// Observation ids are prefixed by source, since two collections map onto them
+const OBSERVATION_PREFIXES = { malaria: 'malaria-', lab: 'lab-' };
+
+const instant = (date) => (date ? new Date(date).toISOString() : undefined);
+const isoDate = (date) => (date ? new Date(date).toISOString().slice(0, 10) : undefined);
+const localCode = (code) => ({ coding: [{ system: SYSTEMS.CODES, code, display: CODES[code] }], text: CODES[code] });
+const finding = (result) => (SNOMED_FINDINGS[result]
+  ? { coding: [{ system: SYSTEMS.SNOMED, ...SNOMED_FINDINGS[result] }], text: result }
+  : undefined);
+const laboratoryCategory = () => [{
+  coding: [{ system: SYSTEMS.OBSERVATION_CATEGORY, code: 'laboratory', display: 'Laboratory' }]
+}];
+const idOf = (value) => String(value && value._id ? value._id : value);
+const patientReference = (patient) => (patient
+  ? { reference: `Patient/${idOf(patient)}` }
+  : { display: 'Unregistered patient' });
+const modelMethod = (record) => {
+  const model = [record.modelName, record.modelVersion].filter(Boolean).join(' ');
+  const text = model && record.engine ? `${model} (${record.engine})` : model || record.engine;
+  return text ? { text } : undefined;
+};
+const percent = (value) => ({ value: Math.round(value * 10000) / 100, unit: '%', system: SYSTEMS.UCUM, code: '%' });
+const component = (code, display, value) => ({ code: { coding: [{ system: SYSTEMS.CODES, code, display }], text: display }, ...value });
+
+/**
+ * Patient from models/Patient.js
+ */
+function toPatient(patient) {
+  const { nextOfKin = {} } = patient;
+  const hasAddress = patient.residence || patient.lga || patient.state;
+  return {
+    resourceType: 'Patient',
+    id: idOf(patient),
+    meta: { lastUpdated: instant(patient.updatedAt || patient.dateReported) },
+    identifier: [{ use: 'usual', system: SYSTEMS.PATIENT_ID, value: patient.patientId }],
+    gender: { M: 'male', F: 'female' }[patient.sex] || 'unknown',
+    birthDate: isoDate(patient.dateOfBirth),
+    telecom: patient.phone ? [{ system: 'phone', value: patient.phone }] : undefined,
+    address: hasAddress
+      ? [{ use: 'home', text: patient.residence, district: patient.lga, state: patient.state, country: 'NG' }]
+      : undefined,
+    contact: nextOfKin.name
+      ? [{
+          relationship: nextOfKin.relationship ? [{ text: nextOfKin.relationship }] : undefined,
+          name: { text: nextOfKin.name },
+          telecom: nextOfKin.phone ? [{ system: 'phone', value: nextOfKin.phone }] : undefined
+        }]
+      : undefined
+  };
+}
+
+/**
+ * RiskAssessment from a Zika prediction (ClinicalRecord). Symptoms are the
+ * reasons, with their SNOMED CT concepts where the vocabulary has one.
+ */
+function toRiskAssessment(record) {
+  const vocabulary = getModel('symptomVocabulary');
+  const { prediction = {}, labConfirmation } = record;
+  const reasons = (record.symptoms || []).map(code => {
+    const entry = vocabulary && vocabulary.byCode.get(code);
+    return entry
+      ? { coding: [{ system: SYSTEMS.SNOMED, code: entry.snomed, display: entry.display }], text: entry.display }
+      : { text: code };
+  });
+
+  return {
+    resourceType: 'RiskAssessment',
+    id: idOf(record),
+    meta: { lastUpdated: instant(record.predictedAt) },
+    status: 'final',
+    code: localCode('zika-risk-assessment'),
+    method: modelMethod(record),
+    subject: patientReference(record.patient),
+    occurrenceDateTime: instant(record.predictedAt),
+    reasonCode: reasons.length ? reasons : undefined,
+    prediction: [{
+      outcome: { coding: [{ system: SYSTEMS.SNOMED, ...SNOMED_FINDINGS.zika }], text: SNOMED_FINDINGS.zika.display },
+      probabilityDecimal: typeof prediction.probability === 'number' ? prediction.probability : undefined,
+      qualitativeRisk: prediction.riskLevel
+        ? {
+            coding: RISK_PROBABILITY[prediction.riskLevel]
+              ? [{ system: SYSTEMS.RISK_PROBABILITY, code: RISK_PROBABILITY[prediction.riskLevel] }]
+              : undefined,
+            text: prediction.riskLevel
+          }
+        : undefined
+    }],
+    mitigation: prediction.recommendation,
+    note: labConfirmation && labConfirmation.result
+      ? [{ text: `Laboratory ${labConfirmation.testType || 'result'}: ${labConfirmation.result}` }]
+      : undefined
+  };
+}
+
+/**
+ * Observation from a malaria analysis (MalariaRecord). It is preliminary: the
+ * model's reading, not a verified laboratory result.
+ */
+function toMalariaObservation(record) {
+  const components = [];
+  if (typeof record.parasiteProbability === 'number') {
+    components.push(component('parasite-probability', 'Parasite probability', { valueQuantity: percent(record.parasiteProbability) }));
+  }
+  if (typeof record.confidence === 'number') {
+    components.push(component('model-confidence', 'Model confidence', { valueQuantity: percent(record.confidence) }));
+  }
+  for (const species of record.species || []) {
+    components.push(component('species', 'Plasmodium species', {
+      valueString: typeof species.probability === 'number' ? `${species.name} (${Math.round(species.probability * 100)}%)` : species.name
+    }));
+  }
+  if (typeof record.parasiteDensity === 'number') {
+    components.push(component('parasite-density', 'Parasite density', {
+      valueQuantity: { value: record.parasiteDensity, unit: 'parasites/uL', system: SYSTEMS.UCUM, code: '/uL' }
+    }));
+  }
+  if (record.severity) components.push(component('severity', 'Severity', { valueString: record.severity }));
+
+  return {
+    resourceType: 'Observation',
+    id: `${OBSERVATION_PREFIXES.malaria}${idOf(record)}`,
+    meta: { lastUpdated: instant(record.timestamp) },
+    status: 'preliminary',
+    category: laboratoryCategory(),
+    code: localCode('malaria-ai-analysis'),
+    subject: patientReference(record.patient),
+    effectiveDateTime: instant(record.timestamp),
+    issued: instant(record.timestamp),
+    valueCodeableConcept: finding(record.result === 'Parasitized' ? 'positive' : 'negative'),
+    method: modelMethod(record),
+    component: components.length ? components : undefined,
+    note: record.recommendation ? [{ text: record.recommendation }] : undefined
+  };
+}
+
+/**
+ * Observation from a laboratory result (LabResult)
+ */
+function toLabObservation(labResult) {
+  const { microscopy = {}, rdt = {}, pcr = {}, serology = {} } = labResult;
+  const components = [];
+  for (const species of microscopy.species || []) {
+    components.push(component('species', 'Plasmodium species', { valueString: species }));
+  }
+  if (typeof microscopy.parasiteDensity === 'number') {
+    components.push(component('parasite-density', 'Parasite density', {
+      valueQuantity: { value: microscopy.parasiteDensity, unit: 'parasites/uL', system: SYSTEMS.UCUM, code: '/uL' }
+    }));
+  }
+  if (typeof microscopy.gametocytes === 'boolean') {
+    components.push(component('gametocytes', 'Gametocytes seen', { valueBoolean: microscopy.gametocytes }));
+  }
+  if (rdt.antigen) components.push(component('rdt-antigen', 'RDT antigen', { valueString: rdt.antigen }));
+  if (pcr.target) components.push(component('pcr-target', 'PCR target', { valueString: pcr.target }));
+  if (typeof pcr.ctValue === 'number') components.push(component('ct-value', 'Cycle threshold', { valueQuantity: { value: pcr.ctValue } }));
+  if (serology.igm) components.push(component('igm', 'IgM', { valueString: serology.igm }));
+  if (serology.igg) components.push(component('igg', 'IgG', { valueString: serology.igg }));
+  if (typeof serology.prntTitre === 'number') components.push(component('prnt-titre', 'PRNT titre', { valueInteger: serology.prntTitre }));
+
+  const pending = labResult.result === 'pending';
+  return {
+    resourceType: 'Observation',
+    id: `${OBSERVATION_PREFIXES.lab}${idOf(labResult)}`,
+    meta: { lastUpdated: instant(labResult.reportedAt) },
+    status: pending ? 'registered' : 'final',
+    category: laboratoryCategory(),
+    code: localCode(labResult.testType),
+    subject: patientReference(labResult.patient),
+    effectiveDateTime: instant(labResult.collectedAt || labResult.reportedAt),
+    issued: pending ? undefined : instant(labResult.reportedAt),
+    performer: labResult.laboratory ? [{ display: labResult.laboratory }] : undefined,
+    valueCodeableConcept: finding(labResult.result),
+    specimen: labResult.specimen ? { display: labResult.specimen } : undefined,
+    component: components.length ? components : undefined,
+    note: labResult.notes ? [{ text: labResult.notes }] : undefined
+  };
+}
+
+/**
+ * DiagnosticReport for a malaria analysis: the model's Observation, the lab
+ * results linked to it and the smear image
+ * @param {Object} record - MalariaRecord with bloodSmear populated
+ * @param {Array} labResults - LabResults linked to the record
+ * @param {String} apiBase - e.g. https://host, for the smear image URL
+ */
+function toDiagnosticReport(record, labResults, apiBase) {
+  const smear = record.bloodSmear && record.bloodSmear.image ? record.bloodSmear : null;
+  const confirmation = record.labConfirmation && record.labConfirmation.result;
+  const aiResult = record.result === 'Parasitized' ? 'positive' : 'negative';
+  const conclusion = [`AI analysis: ${aiResult}${record.severity ? ` (${record.severity})` : ''}`];
+  if (confirmation) conclusion.push(`Laboratory ${record.labConfirmation.testType || 'result'}: ${confirmation}`);
+  if (record.recommendation) conclusion.push(record.recommendation);
+
+  return {
+    resourceType: 'DiagnosticReport',
+    id: idOf(record),
+    meta: { lastUpdated: instant(record.timestamp) },
+    status: confirmation ? 'final' : 'preliminary',
+    category: [{ coding: [{ system: SYSTEMS.DIAGNOSTIC_SECTION, code: 'LAB', display: 'Laboratory' }] }],
+    code: localCode('malaria-smear-analysis'),
+    subject: patientReference(record.patient),
+    effectiveDateTime: instant(record.timestamp),
+    issued: instant(record.timestamp),
+    result: [
+      { reference: `Observation/${OBSERVATION_PREFIXES.malaria}${idOf(record)}` },
+      ...labResults.map(lab => ({ reference: `Observation/${OBSERVATION_PREFIXES.lab}${idOf(lab)}` }))
+    ],
+    conclusion: conclusion.join('. '),
+    // A lab result outranks the model's reading
+    conclusionCode: [finding(confirmation || aiResult)].filter(Boolean),
+    presentedForm: smear
+      ? [{
+          contentType: smear.image.contentType,
+          url: `${apiBase}/api/malaria/smears/${idOf(smear)}/image`,
+          size: smear.image.size,
+          title: smear.originalName || 'Blood smear image'
+        }]
+      : undefined
+  };
+}
+
+const outcome = (severity, code, diagnostics) => ({
+  resourceType: 'OperationOutcome',
+  issue: [{ severity, code, diagnostics }]
+});
+
+/**
+ * searchset Bundle. `matches` are the resources the search matched; `includes`
+ * come along with them (Patient/$everything).
+ */
+function searchBundle(base, { matches, includes = [], total, selfUrl, nextUrl }) {
+  const entry = (mode) => (resource) => ({
+    fullUrl: `${base}/${resource.resourceType}/${resource.id}`,
+    resource,
+    search: { mode }
+  });
+  return {
+    resourceType: 'Bundle',
+    type: 'searchset',
+    total,
+    link: [{ relation: 'self', url: selfUrl }, ...(nextUrl ? [{ relation: 'next', url: nextUrl }] : [])],
+    entry: [...matches.map(entry('match')), ...includes.map(entry('include'))]
+  };
+}
+
+// A time needs a zone (Z or an offset), as FHIR dateTime requires
+const DATE_PATTERN = /^(eq|gt|ge|lt|le)?(\d{4})(?:-(\d{2})(?:-(\d{2})(T\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:\d{2}))?)?)?$/;
+
+/**
+ * MongoDB condition for FHIR date search values, e.g. "2026-10",
+ * "ge2026-10-01" or ["ge2026-10-01", "lt2026-11-01T08:00:00+01:00"]. A value
+ * without a time covers its whole year, month or day in the surveillance timezone.
+ */
+function dateCondition(values) {
+  const condition = {};
+  for (const value of [].concat(values)) {
+    const match = DATE_PATTERN.exec(String(value));
+    if (!match) throw new Error(`Invalid date parameter: ${value}`);
+    const [, prefix = 'eq', year, month, day, time] = match;
+    // Date.UTC would roll 2026-13 over into 2027-01 and 2026-02-30 into March
+    const daysInMonth = month ? new Date(Date.UTC(Number(year), Number(month), 0)).getUTCDate() : 0;
+    if (month && (Number(month) < 1 || Number(month) > 12)) throw new Error(`Invalid date parameter: ${value}`);
+    if (day && (Number(day) < 1 || Number(day) > daysInMonth)) throw new Error(`Invalid date parameter: ${value}`);
+
+    let start, end;
+    if (time) {
+      start = new Date(`${year}-${month}-${day}${time}`);
+      end = new Date(start.getTime() + 1000);
+    } else {
+      const from = new Date(Date.UTC(Number(year), month ? Number(month) - 1 : 0, day ? Number(day) : 1));
+      const to = day
+        ? new Date(from.getTime() + 24 * 60 * 60 * 1000)
+        : new Date(Date.UTC(Number(year) + (month ? 0 : 1), month ? Number(month) : 0, 1));
+      start = new Date(from.getTime() - tzOffset(from));
+      end = new Date(to.getTime() - tzOffset(to));
+    }
+    if (isNaN(start.getTime())) throw new Error(`Invalid date parameter: ${value}`);
+
+    if (prefix === 'eq') Object.assign(condition, { $gte: start, $lt: end });
+    if (prefix === 'gt') condition.$gte = end;
+    if (prefix === 'ge') condition.$gte = start;
+    if (prefix === 'lt') condition.$lt = start;
+    if (prefix === 'le') condition.$lt = end;
+  }
+  return condition;
+}
+
+/**
+ * Value of an identifier token ("value" or "system|value"); null if the
+ * system isn't our patient-id system
+ */
+function identifierValue(token) {
+  const text = String(token);
+  if (!text.includes('|')) return text;
+  const [system, value] = text.split('|');
+  return !system || system === SYSTEMS.PATIENT_ID ? value : null;
+}
+
+/**
+ * Patient id from a reference search value ("Patient/<id>" or "<id>"); null
+ * if it can't be one
+ */
+function referenceId(value) {
+  const id = String(value).replace(/^Patient\//, '');
+  return mongoose.isObjectIdOrHexString(id) ? id : null;
+}
+
+// Search parameters per resource type, for validation and the CapabilityStatement
+const REFERENCE_PARAMS = [
+  { name: 'patient', type: 'reference', documentation: 'Patient/<id> or <id>' },
+  { name: 'subject', type: 'reference', documentation: 'Same as patient' },
+  { name: 'patient.identifier', type: 'token', documentation: 'Hospital patient id of the subject' }
+];
+const SEARCH_PARAMS = {
+  Patient: [
+    { name: '_id', type: 'token' },
+    { name: 'identifier', type: 'token', documentation: `Hospital patient id; system ${SYSTEMS.PATIENT_ID}` },
+    { name: 'birthdate', type: 'date' },
+    { name: '_lastUpdated', type: 'date' }
+  ],
+  RiskAssessment: [
+    { name: '_id', type: 'token' },
+    ...REFERENCE_PARAMS,
+    { name: 'date', type: 'date', documentation: 'When the prediction was made' }
+  ],
+  Observation: [
+    { name: '_id', type: 'token' },
+    ...REFERENCE_PARAMS,
+    { name: 'date', type: 'date', documentation: 'Analysis time, or report time for lab results' },
+    { name: 'code', type: 'token', documentation: `${SYSTEMS.CODES}: malaria-ai-analysis, microscopy, malaria_rdt, zika_pcr, zika_serology` }
+  ],
+  DiagnosticReport: [
+    { name: '_id', type: 'token' },
+    ...REFERENCE_PARAMS,
+    { name: 'date', type: 'date', documentation: 'When the smear was analysed' }
+  ]
+};
+const RESULT_PARAMS = ['_count', '_offset', '_format'];
+
+/**
+ * Names of query parameters the resource type doesn't support
+ */
+function unsupportedParams(type, query) {
+  const supported = new Set([...SEARCH_PARAMS[type].map(p => p.name), ...RESULT_PARAMS]);
+  return Object.keys(query).filter(name => !supported.has(name));
+}
+
+function capabilityStatement(base) {
+  const resource = (type, documentation) => ({
+    type,
+    profile: `http://hl7.org/fhir/StructureDefinition/${type}`,
+    documentation,
+    interaction: [{ code: 'read' }, { code: 'search-type' }],
+    searchParam: SEARCH_PARAMS[type].map(({ name, type: paramType, documentation: doc }) => ({ name, type: paramType, documentation: doc })),
+    operation: type === 'Patient'
+      ? [{ name: 'everything', definition: 'http://hl7.org/fhir/OperationDefinition/Patient-everything' }]
+      : undefined
+  });
+
+  return {
+    resourceType: 'CapabilityStatement',
+    status: 'active',
+    date: new Date().toISOString(),
+    kind: 'instance',
+    software: { name: 'ABSUTH Backend API', version: '2.0' },
+    implementation: { description: 'ABSUTH Zika and malaria clinical decision support', url: base },
+    fhirVersion: FHIR_CONFIG.FHIR_VERSION,
+    format: ['json'],
+    rest: [{
+      mode: 'server',
+      security: {
+        description: 'Send the access token from /api/auth/login as Authorization: Bearer <token>. ' +
+          'Resources follow the role permissions of the REST API.'
+      },
+      resource: [
+        resource('Patient', 'Registered patients'),
+        resource('RiskAssessment', 'Zika risk predictions'),
+        resource('Observation', `Malaria AI analyses (ids ${OBSERVATION_PREFIXES.malaria}<id>, preliminary) and laboratory results (ids ${OBSERVATION_PREFIXES.lab}<id>)`),
+        resource('DiagnosticReport', 'Malaria smear analyses with their laboratory results and smear image')
+      ]
+    }]
+  };
+}
+
+module.exports = {
+  FHIR_CONFIG,
+  SYSTEMS,
+  CODES,
+  OBSERVATION_PREFIXES,
+  SEARCH_PARAMS,
+  toPatient,
+  toRiskAssessment,
+  toMalariaObservation,
+  toLabObservation,
+  toDiagnosticReport,
+  outcome,
+  searchBundle,
+  dateCondition,
+  identifierValue,
+  referenceId,
+  unsupportedParams,
+  capabilityStatement
+};
@@ -0,0 +1,109 @@
+// services/forestModel.js - Pure-JS evaluator for exported scikit-learn tree ensembles
+const fs = require('fs');
+
+// Leaf marker used by sklearn's tree_.children_left/right
+const TREE_LEAF = -1;
+
+class TreeEnsembleClassifier {
+  /**
+   * @param {Object} spec - JSON written by scripts/export_forest.py
+   */
+  constructor(spec) {
+    if (!spec || spec.format !== 'sklearn-tree-ensemble') {
+      throw new Error('Invalid forest: expected format "sklearn-tree-ensemble"');
+    }
+    if (!Array.isArray(spec.trees) || spec.trees.length === 0) {
+      throw new Error('Invalid forest: no trees');
+    }
+    
+    spec.trees.forEach((tree, index) => {
+      const size = tree.children_left.length;
+      if (['children_right', 'feature', 'threshold', 'value'].some(key => tree[key].length !== size)) {
+        throw new Error(`Invalid forest: tree ${index} has inconsistent node arrays`);
+      }
+    });
+    
+    this.estimator = spec.estimator;
+    this.sklearnVersion = spec.sklearn_version;
+    this.source = spec.source;
+    this.featureNames = spec.feature_names;
+    this.classes = spec.classes;
+    this.trees = spec.trees;
+  }
+
+  /**
+   * Class probabilities for one sample, averaged over trees like sklearn's predict_proba
+   * @param {Number[]} vector - Feature values in featureNames order
+   * @returns {Number[]} Probability per class, in this.classes order
+   */
+  predictProba(vector) {
+    const totals = new Array(this.classes.length).fill(0);
+    
+    for (const tree of this.trees) {
+      let node = 0;
+      while (tree.children_left[node] !== TREE_LEAF) {
+        node = vector[tree.feature[node]] <= tree.threshold[node]
+          ? tree.children_left[node]
+          : tree.children_right[node];
+      }
+      
+      const leaf = tree.value[node];
+      const sum = leaf.reduce((a, b) => a + b, 0) || 1;
+      leaf.forEach((v, i) => { totals[i] += v / sum; });
+    }
+    
+    return totals.map(t => t / this.trees.length);
+  }
+
+  /**
+   * Build the feature vector from named values
+   * @param {Object} features - { [featureName]: Number }
+   */
+  toVector(features) {
+    return this.featureNames.map(name => {
+      const value = Number(features[name]);
+      if (features[name] === undefined || Number.isNaN(value)) {
+        throw new Error(`Invalid input: missing or non-numeric feature "${name}"`);
+      }
+      return value;
+    });
+  }
+
+  /**
+   * Probability of a single class label (0 if the model never saw that class)
+   */
+  probabilityOf(label, features) {
+    const index = this.classes.indexOf(label);
+    if (index === -1) return 0;
+    return this.predictProba(this.toVector(features))[index];
+  }
+
+  /**
+   * Known problems with the exported model worth surfacing to clients
+   */
+  get warnings() {
+    const warnings = [];
+    if (this.classes.length < 2) {
+      warnings.push(`Forest was trained on a single class (${this.classes.join(', ')}) and returns a constant prediction`);
+    }
+    if (this.trees.every(tree => tree.children_left.length === 1)) {
+      warnings.push('Every tree is a single leaf; inputs do not affect the prediction');
+    }
+    return warnings;
+  }
+}
+
+/**
+ * Load an exported forest from disk
+ * @param {String} filePath - Path to the JSON export
+ * @returns {TreeEnsembleClassifier}
+ */
+function loadTreeEnsemble(filePath) {
+  const spec = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  return new TreeEnsembleClassifier(spec);
+}
+
+module.exports = {
+  TreeEnsembleClassifier,
+  loadTreeEnsemble
+};
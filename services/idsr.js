@@ -0,0 +1,325 @@
+// services/idsr.js - IDSR weekly and monthly notifiable disease reports per facility
+const crypto = require('crypto');
+const User = require('../models/User');
+const { SURVEILLANCE_CONFIG, DATASETS, CASE_KEY, localDate, tzOffset, epiWeek } = require('./surveillance');
+const { dhis2 } = require('./dhis2Client');
+
+const IDSR_CONFIG = {
+  PERIOD_TYPES: ['weekly', 'monthly'],
+  // IDSR splits every count into under-fives and the rest; cases whose latest
+  // record has no age are counted with the last group and reported as age_unknown
+  AGE_GROUPS: [
+    { code: 'LT5', label: '0-4 years', below: 5 },
+    { code: 'GE5', label: '5+ years', below: null }
+  ]
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const labelled = { $in: [{ $ifNull: ['$labConfirmation.result', 'none'] }, ['positive', 'negative', 'inconclusive']] };
+const confirmed = { $eq: ['$labConfirmation.result', 'positive'] };
+
+// Reported indicators and the record condition each one counts. Indicators
+// count cases: a patient counts once per period if any of their records meets
+// the condition.
+const INDICATORS = [
+  { code: 'ZIKA_SUSPECTED', disease: 'zika', label: 'Zika suspected cases (HIGH/CRITICAL risk assessment)', counts: DATASETS.zika.positive },
+  { code: 'ZIKA_TESTED', disease: 'zika', label: 'Zika cases tested (RT-PCR or serology)', counts: labelled },
+  { code: 'ZIKA_CONFIRMED', disease: 'zika', label: 'Zika laboratory-confirmed cases', counts: confirmed },
+  { code: 'MALARIA_SUSPECTED', disease: 'malaria', label: 'Malaria suspected cases (smear or clinical analysis)', counts: true },
+  { code: 'MALARIA_TESTED', disease: 'malaria', label: 'Malaria cases tested (microscopy or RDT)', counts: labelled },
+  { code: 'MALARIA_CONFIRMED', disease: 'malaria', label: 'Malaria laboratory-confirmed cases', counts: confirmed }
+];
+
+/**
+ * Reporting period from "2026-W42"/"2026W42" (weekly) or "2026-10"/"202610"
+ * (monthly). Days are local calendar days (UTC midnight); from/to are the
+ * instants they start, `to` exclusive.
+ */
+function parsePeriod(periodType, value) {
+  const text = String(value || '').trim().toUpperCase();
+  let startDay, endDay, period, label;
+
+  if (periodType === 'weekly') {
+    const match = /^(\d{4})-?W(\d{1,2})$/.exec(text);
+    if (!match) throw new Error(`Invalid period: ${value}. Use an epidemiological week such as 2026-W42`);
+    const [year, week] = [Number(match[1]), Number(match[2])];
+    // ISO week 1 is the week with 4 January in it
+    const jan4 = new Date(Date.UTC(year, 0, 4));
+    startDay = new Date(jan4.getTime() - ((jan4.getUTCDay() + 6) % 7) * DAY_MS + (week - 1) * 7 * DAY_MS);
+    label = `${year}-W${String(week).padStart(2, '0')}`;
+    if (week < 1 || epiWeek(startDay) !== label) throw new Error(`Invalid period: ${year} has no week ${week}`);
+    endDay = new Date(startDay.getTime() + 7 * DAY_MS);
+    period = `${year}W${week}`;
+  } else if (periodType === 'monthly') {
+    const match = /^(\d{4})-?(\d{2})$/.exec(text);
+    const [year, month] = match ? [Number(match[1]), Number(match[2])] : [];
+    if (!match || month < 1 || month > 12) throw new Error(`Invalid period: ${value}. Use a month such as 2026-10`);
+    startDay = new Date(Date.UTC(year, month - 1, 1));
+    endDay = new Date(Date.UTC(year, month, 1));
+    label = `${year}-${match[2]}`;
+    period = `${year}${match[2]}`;
+  } else {
+    throw new Error(`Invalid period type: ${periodType}. Must be one of: ${IDSR_CONFIG.PERIOD_TYPES.join(', ')}`);
+  }
+
+  return {
+    periodType,
+    period,
+    label,
+    startDay,
+    endDay,
+    from: new Date(startDay.getTime() - tzOffset(startDay)),
+    to: new Date(endDay.getTime() - tzOffset(endDay))
+  };
+}
+
+/**
+ * Whether the period is over in the surveillance timezone
+ */
+const periodEnded = (period, now = new Date()) => localDate(now) >= period.endDay;
+
+const ageGroupExpression = () => ({
+  $switch: {
+    branches: IDSR_CONFIG.AGE_GROUPS
+      .filter(group => group.below !== null)
+      .map(group => ({ case: { $and: [{ $isNumber: '$age' }, { $lt: ['$age', group.below] }] }, then: group.code })),
+    default: IDSR_CONFIG.AGE_GROUPS[IDSR_CONFIG.AGE_GROUPS.length - 1].code
+  }
+});
+
+/**
+ * Indicator case counts per patient LGA and age group for one disease, over
+ * the records made at the facility: those stamped with its code, plus
+ * unstamped records from before stamping by the facility's current users.
+ * Each patient's records in the period collapse to one case; age group comes
+ * from the latest record.
+ */
+function buildPipeline(disease, { from, to }, facilityCode, userIds) {
+  const dataset = DATASETS[disease];
+  const flags = {};
+  const sums = {};
+  for (const indicator of INDICATORS.filter(i => i.disease === disease)) {
+    flags[indicator.code] = { $max: { $cond: [indicator.counts, 1, 0] } };
+    sums[indicator.code] = { $sum: `$${indicator.code}` };
+  }
+
+  return [
+    {
+      $match: {
+        [dataset.dateField]: { $gte: from, $lt: to },
+        $or: [
+          { facilityCode },
+          { facilityCode: null, [dataset.userField]: { $in: userIds } }
+        ]
+      }
+    },
+    { $lookup: { from: 'patients', localField: 'patient', foreignField: '_id', as: 'patientDoc' } },
+    { $set: { patientDoc: { $arrayElemAt: ['$patientDoc', 0] } } },
+    { $sort: { [dataset.dateField]: 1 } },
+    {
+      $group: {
+        _id: CASE_KEY,
+        state: { $last: { $ifNull: ['$patientDoc.state', 'unknown'] } },
+        lga: { $last: { $ifNull: ['$patientDoc.lga', 'unknown'] } },
+        ageGroup: { $last: ageGroupExpression() },
+        ageUnknown: { $last: { $cond: [{ $isNumber: '$age' }, 0, 1] } },
+        ...flags
+      }
+    },
+    {
+      $group: {
+        _id: { state: '$state', lga: '$lga', ageGroup: '$ageGroup' },
+        ageUnknown: { $sum: '$ageUnknown' },
+        ...sums
+      }
+    }
+  ];
+}
+
+const rowKey = (row) => [row.state, row.lga, row.indicator, row.ageGroup].join('|');
+
+/**
+ * sha256 of the counts, independent of row order
+ */
+const hashRows = (rows, ageUnknown) => crypto.createHash('sha256')
+  .update(JSON.stringify({ rows: rows.map(r => [rowKey(r), r.value]).sort(), ageUnknown }))
+  .digest('hex');
+
+/**
+ * Live counts for a facility and period
+ * @returns {Promise<Object>} { rows: [{ state, lga, indicator, ageGroup, value }], ageUnknown, hash }
+ */
+async function collectCounts(facility, period) {
+  const users = await User.find({ 'facility.code': facility.code }).select('_id').lean();
+  const userIds = users.map(u => u._id);
+
+  const rows = [];
+  let ageUnknown = 0;
+  for (const disease of Object.keys(DATASETS)) {
+    const groups = await DATASETS[disease].Model.aggregate(buildPipeline(disease, period, facility.code, userIds));
+    for (const group of groups) {
+      ageUnknown += group.ageUnknown;
+      for (const indicator of INDICATORS.filter(i => i.disease === disease)) {
+        if (!group[indicator.code]) continue;
+        rows.push({ ...group._id, indicator: indicator.code, value: group[indicator.code] });
+      }
+    }
+  }
+  rows.sort((a, b) => rowKey(a).localeCompare(rowKey(b)));
+  return { rows, ageUnknown, hash: hashRows(rows, ageUnknown) };
+}
+
+// indicator -> { LT5, GE5, total }, zero-filled
+const emptyCounts = () => Object.fromEntries(INDICATORS.map(indicator => [
+  indicator.code,
+  { ...Object.fromEntries(IDSR_CONFIG.AGE_GROUPS.map(group => [group.code, 0])), total: 0 }
+]));
+
+/**
+ * The report as returned to clients: facility totals and per-LGA counts
+ * @param {Object} period - From parsePeriod
+ * @param {Object} counts - { rows, ageUnknown, hash }
+ * @param {Object} [stored] - The finalised IdsrReport, if any
+ */
+function shapeReport(period, facility, counts, stored = null) {
+  const totals = emptyCounts();
+  const byLga = new Map();
+  for (const row of counts.rows) {
+    const key = `${row.state}|${row.lga}`;
+    if (!byLga.has(key)) byLga.set(key, { state: row.state, lga: row.lga, counts: emptyCounts() });
+    for (const target of [totals, byLga.get(key).counts]) {
+      target[row.indicator][row.ageGroup] += row.value;
+      target[row.indicator].total += row.value;
+    }
+  }
+
+  const final = stored && stored.status === 'final';
+  return {
+    report: 'IDSR',
+    period_type: period.periodType,
+    period: period.period,
+    period_label: period.label,
+    start_date: period.startDay.toISOString().slice(0, 10),
+    end_date: new Date(period.endDay.getTime() - DAY_MS).toISOString().slice(0, 10),
+    timezone: SURVEILLANCE_CONFIG.TIMEZONE,
+    period_complete: periodEnded(period),
+    facility: {
+      code: facility.code,
+      name: facility.name,
+      lga: facility.lga,
+      state: facility.state,
+      dhis2_org_unit: facility.dhis2OrgUnit || null
+    },
+    status: final ? 'final' : 'draft',
+    revision: stored ? stored.revision : null,
+    finalised_at: final ? stored.finalisedAt : null,
+    finalised_by: final ? stored.finalisedBy : null,
+    dhis2_push: stored && stored.dhis2 && stored.dhis2.status
+      ? { status: stored.dhis2.status, revision: stored.dhis2.revision, pushed_at: stored.dhis2.pushedAt }
+      : null,
+    hash: counts.hash,
+    indicators: INDICATORS.map(({ code, disease, label }) => ({ code, disease, label })),
+    age_groups: IDSR_CONFIG.AGE_GROUPS.map(({ code, label }) => ({ code, label })),
+    totals,
+    by_lga: [...byLga.values()],
+    age_unknown: counts.ageUnknown
+  };
+}
+
+/**
+ * Counts that differ between the finalised snapshot and the live records
+ */
+function diffCounts(finalRows, liveRows) {
+  const finalValues = new Map(finalRows.map(r => [rowKey(r), r]));
+  const liveValues = new Map(liveRows.map(r => [rowKey(r), r]));
+  const keys = [...new Set([...finalValues.keys(), ...liveValues.keys()])].sort();
+  return keys
+    .filter(key => (finalValues.get(key) || {}).value !== (liveValues.get(key) || {}).value)
+    .map(key => {
+      const [finalValue, liveValue] = [finalValues.get(key), liveValues.get(key)];
+      const { state, lga, indicator, ageGroup } = finalValue || liveValue;
+      return {
+        state,
+        lga,
+        indicator,
+        age_group: ageGroup,
+        final: finalValue ? finalValue.value : 0,
+        live: liveValue ? liveValue.value : 0
+      };
+    });
+}
+
+const csvCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const CSV_COLUMNS = [
+  'period_type', 'period', 'status', 'facility_code', 'facility_name', 'facility_lga', 'facility_state',
+  'patient_state', 'patient_lga', 'disease', 'indicator', 'indicator_name', 'age_group', 'value'
+];
+
+/**
+ * One line per indicator and age group: facility totals first (patient
+ * state/lga "ALL", zeros included), then the non-zero counts per patient LGA
+ */
+function toCsv(report) {
+  const lines = [CSV_COLUMNS.join(',')];
+  const add = (state, lga, counts, includeZeros) => {
+    for (const indicator of report.indicators) {
+      for (const group of report.age_groups) {
+        const value = counts[indicator.code][group.code];
+        if (!value && !includeZeros) continue;
+        lines.push([
+          report.period_type, report.period, report.status,
+          report.facility.code, report.facility.name, report.facility.lga, report.facility.state,
+          state, lga, indicator.disease, indicator.code, indicator.label, group.label, value
+        ].map(csvCell).join(','));
+      }
+    }
+  };
+
+  add('ALL', 'ALL', report.totals, true);
+  report.by_lga.forEach(location => add(location.state, location.lga, location.counts, false));
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * DHIS2 dataValueSet for the facility totals. Zeros are sent: IDSR expects
+ * zero reporting. Codes without a UID in the DHIS2 mapping are sent as is.
+ */
+function toDataValueSet(report) {
+  const dataValues = [];
+  for (const indicator of report.indicators) {
+    for (const group of report.age_groups) {
+      dataValues.push({
+        dataElement: dhis2.uid('dataElements', indicator.code) || indicator.code,
+        categoryOptionCombo: dhis2.uid('categoryOptionCombos', group.code) || group.code,
+        value: String(report.totals[indicator.code][group.code])
+      });
+    }
+  }
+
+  return {
+    dataSet: dhis2.uid('dataSets', report.period_type) || `IDSR_${report.period_type.toUpperCase()}`,
+    period: report.period,
+    orgUnit: report.facility.dhis2_org_unit || dhis2.uid('orgUnits', report.facility.code) || report.facility.code,
+    ...(report.status === 'final' ? { completeDate: new Date(report.finalised_at).toISOString().slice(0, 10) } : {}),
+    dataValues
+  };
+}
+
+module.exports = {
+  IDSR_CONFIG,
+  INDICATORS,
+  parsePeriod,
+  periodEnded,
+  buildPipeline,
+  collectCounts,
+  hashRows,
+  shapeReport,
+  diffCounts,
+  toCsv,
+  toDataValueSet
+};
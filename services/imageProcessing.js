@@ -0,0 +1,83 @@
+// services/imageProcessing.js - Blood smear image normalisation with sharp
+const sharp = require('sharp');
+
+const IMAGE_CONFIG = {
+  ACCEPTED_FORMATS: ['jpeg', 'png', 'tiff'],
+  MAX_DIMENSION: 2048,     // Longest edge after normalisation
+  MIN_DIMENSION: 256,      // Anything smaller is not a usable smear photo
+  THUMBNAIL_SIZE: 256,
+  OUTPUT_QUALITY: 92,
+  THUMBNAIL_QUALITY: 80
+};
+
+/**
+ * Normalise an uploaded smear photo
+ * - verifies the real file format (the client MIME type can lie)
+ * - applies EXIF orientation, then strips all metadata
+ * - resizes to a bounded resolution and converts to sRGB JPEG
+ * - creates a square thumbnail
+ * @param {Buffer} buffer - Raw uploaded file
+ * @returns {Object} { image, thumbnail, original } buffers and dimensions
+ */
+async function normalizeSmear(buffer) {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (err) {
+    throw new Error('Invalid image: file could not be decoded');
+  }
+
+  if (!IMAGE_CONFIG.ACCEPTED_FORMATS.includes(metadata.format)) {
+    throw new Error(`Invalid image: unsupported format "${metadata.format}". Use JPEG, PNG or TIFF`);
+  }
+
+  if (Math.min(metadata.width, metadata.height) < IMAGE_CONFIG.MIN_DIMENSION) {
+    throw new Error(`Invalid image: ${metadata.width}x${metadata.height} is too small. Minimum is ${IMAGE_CONFIG.MIN_DIMENSION}px on the shortest side`);
+  }
+
+  // sharp drops EXIF/ICC/XMP on output unless withMetadata() is called
+  const image = await sharp(buffer)
+    .rotate()
+    .resize({
+      width: IMAGE_CONFIG.MAX_DIMENSION,
+      height: IMAGE_CONFIG.MAX_DIMENSION,
+      fit: 'inside',
+      withoutEnlargement: true
+    })
+    .flatten({ background: '#ffffff' })
+    .toColourspace('srgb')
+    .jpeg({ quality: IMAGE_CONFIG.OUTPUT_QUALITY })
+    .toBuffer({ resolveWithObject: true });
+
+  const thumbnail = await sharp(image.data)
+    .resize(IMAGE_CONFIG.THUMBNAIL_SIZE, IMAGE_CONFIG.THUMBNAIL_SIZE, { fit: 'cover' })
+    .jpeg({ quality: IMAGE_CONFIG.THUMBNAIL_QUALITY })
+    .toBuffer({ resolveWithObject: true });
+
+  return {
+    original: {
+      format: metadata.format,
+      width: metadata.width,
+      height: metadata.height
+    },
+    image: {
+      buffer: image.data,
+      contentType: 'image/jpeg',
+      width: image.info.width,
+      height: image.info.height,
+      size: image.info.size
+    },
+    thumbnail: {
+      buffer: thumbnail.data,
+      contentType: 'image/jpeg',
+      width: thumbnail.info.width,
+      height: thumbnail.info.height,
+      size: thumbnail.info.size
+    }
+  };
+}
+
+module.exports = {
+  IMAGE_CONFIG,
+  normalizeSmear
+};
@@ -0,0 +1,222 @@
+// services/imageQuality.js - Server-side blood smear image quality assessment
+const sharp = require('sharp');
+
+const QUALITY_CONFIG = {
+  ANALYSIS_SIZE: 1024,          // Images are downsampled to this longest edge before measuring
+  
+  // Focus: variance of the Laplacian (higher = sharper)
+  SHARPNESS: {
+    GOOD: 250,
+    UNUSABLE: 25
+  },
+  
+  // Exposure: fraction of clipped pixels
+  EXPOSURE: {
+    DARK_LEVEL: 15,
+    BRIGHT_LEVEL: 250,
+    WARN_FRACTION: 0.15,
+    UNUSABLE_FRACTION: 0.5
+  },
+  
+  // Giemsa/Field stains render RBCs pink-purple: red and blue should dominate green
+  STAIN: {
+    MIN_CHROMA: 0.04,           // Below this the smear looks unstained/greyscale
+    MAX_GREEN_EXCESS: 0.02
+  },
+  
+  // Shortest side of the original upload, in pixels
+  RESOLUTION: {
+    GOOD: 1200,
+    MINIMUM: 512
+  },
+  
+  WEIGHTS: {
+    sharpness: 0.4,
+    exposure: 0.25,
+    stain: 0.2,
+    resolution: 0.15
+  },
+  
+  MIN_USABLE_SCORE: 0.4
+};
+
+const clamp = (value) => Math.min(Math.max(value, 0), 1);
+
+/**
+ * Focus measure: variance of the Laplacian of the greyscale image
+ */
+async function measureSharpness(pipeline) {
+  const stats = await pipeline
+    .clone()
+    .greyscale()
+    .convolve({
+      width: 3,
+      height: 3,
+      kernel: [0, 1, 0, 1, -4, 1, 0, 1, 0],
+      offset: 128               // Keep negative responses inside the 8-bit range
+    })
+    .stats();
+  
+  const stdev = stats.channels[0].stdev;
+  return stdev * stdev;
+}
+
+/**
+ * Fraction of under- and over-exposed pixels plus mean luminance
+ */
+async function measureExposure(pipeline) {
+  const { data } = await pipeline.clone().greyscale().raw().toBuffer({ resolveWithObject: true });
+  let dark = 0;
+  let bright = 0;
+  let sum = 0;
+  
+  for (let i = 0; i < data.length; i++) {
+    const value = data[i];
+    sum += value;
+    if (value <= QUALITY_CONFIG.EXPOSURE.DARK_LEVEL) dark++;
+    else if (value >= QUALITY_CONFIG.EXPOSURE.BRIGHT_LEVEL) bright++;
+  }
+  
+  return {
+    underExposed: dark / data.length,
+    overExposed: bright / data.length,
+    meanLuminance: sum / data.length
+  };
+}
+
+/**
+ * Colour balance of the stain from per-channel means
+ */
+async function measureStain(pipeline) {
+  const stats = await pipeline.clone().stats();
+  const [r, g, b] = stats.channels.map(c => c.mean / 255);
+  
+  return {
+    meanRed: r,
+    meanGreen: g,
+    meanBlue: b,
+    chroma: Math.max(r, g, b) - Math.min(r, g, b),
+    greenExcess: g - (r + b) / 2
+  };
+}
+
+/**
+ * Assess whether a smear photo is good enough for analysis
+ * @param {Buffer} buffer - Image file (any format sharp can read)
+ * @param {Object} original - { width, height } of the original upload, if resized beforehand
+ * @returns {Object} { score, grade, usable, reasons, metrics }
+ */
+async function assessSmearQuality(buffer, original = {}) {
+  const pipeline = sharp(buffer)
+    .resize({
+      width: QUALITY_CONFIG.ANALYSIS_SIZE,
+      height: QUALITY_CONFIG.ANALYSIS_SIZE,
+      fit: 'inside',
+      withoutEnlargement: true
+    })
+    .removeAlpha()
+    .toColourspace('srgb');
+  
+  const metadata = await sharp(buffer).metadata();
+  const width = original.width || metadata.width;
+  const height = original.height || metadata.height;
+  
+  const [laplacianVariance, exposure, stain] = await Promise.all([
+    measureSharpness(pipeline),
+    measureExposure(pipeline),
+    measureStain(pipeline)
+  ]);
+  
+  const { SHARPNESS, EXPOSURE, STAIN, RESOLUTION, WEIGHTS } = QUALITY_CONFIG;
+  const reasons = [];
+  const blockers = [];
+  
+  // Sharpness on a log scale between UNUSABLE and GOOD
+  const sharpness = clamp(
+    Math.log(Math.max(laplacianVariance, 1) / SHARPNESS.UNUSABLE) /
+    Math.log(SHARPNESS.GOOD / SHARPNESS.UNUSABLE)
+  );
+  if (laplacianVariance < SHARPNESS.UNUSABLE) {
+    blockers.push(`Image is out of focus (focus measure ${laplacianVariance.toFixed(1)}). Refocus at 100x oil immersion and retake the photo`);
+  } else if (laplacianVariance < SHARPNESS.GOOD) {
+    reasons.push(`Image is slightly blurred (focus measure ${laplacianVariance.toFixed(1)}). Fine-focus before capturing`);
+  }
+  
+  // Exposure
+  const clipped = exposure.underExposed + exposure.overExposed;
+  const exposureScore = clamp(1 - clipped / EXPOSURE.UNUSABLE_FRACTION);
+  if (clipped >= EXPOSURE.UNUSABLE_FRACTION) {
+    blockers.push(exposure.overExposed > exposure.underExposed
+      ? `Image is over-exposed (${Math.round(exposure.overExposed * 100)}% of pixels saturated). Lower the light intensity or close the condenser diaphragm`
+      : `Image is under-exposed (${Math.round(exposure.underExposed * 100)}% of pixels black). Increase the light intensity or open the condenser diaphragm`);
+  } else if (exposure.overExposed >= EXPOSURE.WARN_FRACTION) {
+    reasons.push(`Parts of the image are over-exposed (${Math.round(exposure.overExposed * 100)}% saturated)`);
+  } else if (exposure.underExposed >= EXPOSURE.WARN_FRACTION) {
+    reasons.push(`Parts of the image are under-exposed (${Math.round(exposure.underExposed * 100)}% black)`);
+  }
+  
+  // Staining colour balance
+  let stainScore = 1;
+  if (stain.chroma < STAIN.MIN_CHROMA) {
+    stainScore = clamp(stain.chroma / STAIN.MIN_CHROMA) * 0.5;
+    reasons.push('Little stain colour detected. Check the smear is Giemsa/Field stained and the camera is not in greyscale mode');
+  } else if (stain.greenExcess > STAIN.MAX_GREEN_EXCESS) {
+    stainScore = clamp(1 - (stain.greenExcess - STAIN.MAX_GREEN_EXCESS) * 10);
+    reasons.push('Unusual colour balance (green cast). Check white balance and staining pH (7.2)');
+  }
+  
+  // Resolution
+  const shortestSide = Math.min(width, height);
+  const resolutionScore = clamp((shortestSide - RESOLUTION.MINIMUM) / (RESOLUTION.GOOD - RESOLUTION.MINIMUM));
+  if (shortestSide < RESOLUTION.MINIMUM) {
+    blockers.push(`Resolution ${width}x${height} is too low. Capture at least ${RESOLUTION.MINIMUM}px on the shortest side`);
+  } else if (shortestSide < RESOLUTION.GOOD) {
+    reasons.push(`Resolution ${width}x${height} is below the recommended ${RESOLUTION.GOOD}px`);
+  }
+  
+  const score = Number((
+    sharpness * WEIGHTS.sharpness +
+    exposureScore * WEIGHTS.exposure +
+    stainScore * WEIGHTS.stain +
+    resolutionScore * WEIGHTS.resolution
+  ).toFixed(3));
+  
+  if (blockers.length === 0 && score < QUALITY_CONFIG.MIN_USABLE_SCORE) {
+    blockers.push(`Overall image quality score ${score} is below the minimum of ${QUALITY_CONFIG.MIN_USABLE_SCORE}. Retake the photo`);
+  }
+  
+  const usable = blockers.length === 0;
+  let grade = 'unusable';
+  if (usable) {
+    // A blurred smear can't be 'high' quality however well it is exposed
+    grade = score >= 0.75 && sharpness >= 0.6 ? 'high' : score >= 0.55 ? 'acceptable' : 'low';
+  }
+  
+  return {
+    score,
+    grade,
+    usable,
+    reasons: [...blockers, ...reasons],
+    metrics: {
+      laplacian_variance: Number(laplacianVariance.toFixed(2)),
+      under_exposed: Number(exposure.underExposed.toFixed(4)),
+      over_exposed: Number(exposure.overExposed.toFixed(4)),
+      mean_luminance: Number(exposure.meanLuminance.toFixed(1)),
+      stain_chroma: Number(stain.chroma.toFixed(4)),
+      green_excess: Number(stain.greenExcess.toFixed(4)),
+      width,
+      height,
+      component_scores: {
+        sharpness: Number(sharpness.toFixed(3)),
+        exposure: Number(exposureScore.toFixed(3)),
+        stain: Number(stainScore.toFixed(3)),
+        resolution: Number(resolutionScore.toFixed(3))
+      }
+    }
+  };
+}
+
+module.exports = {
+  QUALITY_CONFIG,
+  assessSmearQuality
+};
@@ -0,0 +1,412 @@
+// services/modelPerformance.js - How the Zika and malaria models perform against lab-confirmed outcomes
+const ClinicalRecord = require('../models/ClinicalRecord');
+const MalariaRecord = require('../models/MalariaRecord');
+const Alert = require('../models/Alert');
+const { localDate } = require('./surveillance');
+
+// Unset or non-numeric falls back to the default; 0 is a valid setting
+const envNumber = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+const PERFORMANCE_CONFIG = {
+  // A Zika prediction counts as positive at these risk levels; a malaria
+  // prediction when parasites were detected
+  POSITIVE_RISK_LEVELS: ['CRITICAL', 'HIGH'],
+
+  // Drift alert: sensitivity below the floor, once enough confirmed positives
+  // make the estimate worth acting on
+  SENSITIVITY_FLOOR: envNumber('MODEL_SENSITIVITY_FLOOR', 0.8),
+  MIN_CONFIRMED_POSITIVES: envNumber('MODEL_DRIFT_MIN_POSITIVES', 20),
+
+  // Background drift check, saved as model_drift alerts; 0 disables it.
+  // Each run checks every version's lifetime and its latest week.
+  DRIFT_CHECK_INTERVAL_MINUTES: parseInt(process.env.MODEL_DRIFT_CHECK_INTERVAL_MINUTES ?? 1440),
+  DRIFT_CHECK_PERIOD: 'week',
+
+  CALIBRATION_BINS: 10,
+  INTERVALS: ['week', 'month']
+};
+
+const MODELS = ['zika', 'malaria'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round4 = (value) => Math.round(value * 10000) / 10000;
+const ratio = (numerator, denominator) => (denominator ? round4(numerator / denominator) : null);
+
+// Malaria predictions by outcome band: negative, or the severity band if positive
+const malariaLevel = (record) => (record.result === 'Parasitized'
+  ? (record.severity || 'POSITIVE').split(' - ')[0]
+  : 'NEGATIVE');
+
+/**
+ * Stored predictions with a positive or negative lab label, oldest first
+ * @returns {Promise<Array>} [{ model, model_name, version, engine, scoring_config, level, score, predicted, actual, at }]
+ */
+async function confirmedPredictions(model, { from, to } = {}) {
+  const range = {};
+  if (from) range.$gte = from;
+  if (to) range.$lte = to;
+  const labelled = { 'labConfirmation.result': { $in: ['positive', 'negative'] } };
+
+  if (model === 'zika') {
+    const records = await ClinicalRecord.find(Object.keys(range).length ? { ...labelled, predictedAt: range } : labelled)
+      .sort({ predictedAt: 1 })
+      .select('prediction modelName modelVersion engine riskAssessment.model_metadata.scoring_config predictedAt labConfirmation')
+      .lean();
+    return records.map(r => ({
+      model,
+      model_name: r.modelName,
+      version: r.modelVersion,
+      engine: r.engine,
+      scoring_config: r.riskAssessment?.model_metadata?.scoring_config?.version || null,
+      level: r.prediction.riskLevel,
+      score: r.prediction.probability,
+      predicted: PERFORMANCE_CONFIG.POSITIVE_RISK_LEVELS.includes(r.prediction.riskLevel),
+      actual: r.labConfirmation.result === 'positive',
+      at: r.predictedAt
+    }));
+  }
+
+  const records = await MalariaRecord.find(Object.keys(range).length ? { ...labelled, timestamp: range } : labelled)
+    .sort({ timestamp: 1 })
+    .select('result severity parasiteProbability modelName modelVersion engine timestamp labConfirmation')
+    .lean();
+  return records.map(r => ({
+    model,
+    model_name: r.modelName,
+    version: r.modelVersion,
+    engine: r.engine,
+    scoring_config: null,
+    level: malariaLevel(r),
+    score: r.parasiteProbability,
+    predicted: r.result === 'Parasitized',
+    actual: r.labConfirmation.result === 'positive',
+    at: r.timestamp
+  }));
+}
+
+/**
+ * Area under the ROC curve (Mann-Whitney U, ties count half)
+ */
+function auc(items) {
+  const scored = items.filter(i => typeof i.score === 'number').sort((a, b) => a.score - b.score);
+  const positives = scored.filter(i => i.actual).length;
+  const negatives = scored.length - positives;
+  if (!positives || !negatives) return null;
+
+  // Average rank per tied score
+  let rankSum = 0;
+  for (let i = 0; i < scored.length;) {
+    let j = i;
+    while (j < scored.length && scored[j].score === scored[i].score) j++;
+    const averageRank = (i + 1 + j) / 2;
+    for (let k = i; k < j; k++) {
+      if (scored[k].actual) rankSum += averageRank;
+    }
+    i = j;
+  }
+  return round4((rankSum - (positives * (positives + 1)) / 2) / (positives * negatives));
+}
+
+/**
+ * Predicted score against observed positive rate in equal-width bins
+ */
+function calibration(items) {
+  const bins = PERFORMANCE_CONFIG.CALIBRATION_BINS;
+  const buckets = Array.from({ length: bins }, () => ({ count: 0, scoreSum: 0, positives: 0 }));
+  for (const item of items) {
+    if (typeof item.score !== 'number') continue;
+    const bucket = buckets[Math.min(Math.floor(item.score * bins), bins - 1)];
+    bucket.count++;
+    bucket.scoreSum += item.score;
+    if (item.actual) bucket.positives++;
+  }
+  return buckets
+    .map((bucket, i) => ({
+      bin: `${(i / bins).toFixed(1)}-${((i + 1) / bins).toFixed(1)}`,
+      count: bucket.count,
+      mean_predicted: ratio(bucket.scoreSum, bucket.count),
+      observed_rate: ratio(bucket.positives, bucket.count)
+    }))
+    .filter(bin => bin.count > 0);
+}
+
+/**
+ * Confusion matrix and the metrics derived from it
+ */
+function computeMetrics(items) {
+  const matrix = { true_positive: 0, false_positive: 0, true_negative: 0, false_negative: 0 };
+  let brier = 0;
+  for (const item of items) {
+    if (item.predicted && item.actual) matrix.true_positive++;
+    else if (item.predicted) matrix.false_positive++;
+    else if (item.actual) matrix.false_negative++;
+    else matrix.true_negative++;
+    if (typeof item.score === 'number') brier += (item.score - (item.actual ? 1 : 0)) ** 2;
+  }
+  const { true_positive: tp, false_positive: fp, true_negative: tn, false_negative: fn } = matrix;
+
+  return {
+    confirmed: items.length,
+    confirmed_positive: tp + fn,
+    confirmed_negative: tn + fp,
+    confusion_matrix: matrix,
+    sensitivity: ratio(tp, tp + fn),
+    specificity: ratio(tn, tn + fp),
+    ppv: ratio(tp, tp + fp),
+    npv: ratio(tn, tn + fn),
+    accuracy: ratio(tp + tn, items.length),
+    auc: auc(items),
+    brier_score: ratio(brier, items.length),
+    calibration: calibration(items)
+  };
+}
+
+/**
+ * Confirmed positive rate within each predicted risk level
+ */
+function byRiskLevel(items) {
+  const levels = {};
+  for (const item of items) {
+    const level = levels[item.level] || (levels[item.level] = { level: item.level, predictions: 0, confirmed_positive: 0 });
+    level.predictions++;
+    if (item.actual) level.confirmed_positive++;
+  }
+  return Object.values(levels)
+    .map(level => ({ ...level, positive_rate: ratio(level.confirmed_positive, level.predictions) }))
+    .sort((a, b) => b.positive_rate - a.positive_rate);
+}
+
+// Start of the week (Monday, UTC) or month a date falls in
+const periodStart = (date, interval) => {
+  const d = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  if (interval === 'month') return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), 1));
+  return new Date(d.getTime() - ((d.getUTCDay() + 6) % 7) * DAY_MS);
+};
+
+function byPeriod(items, interval) {
+  const periods = new Map();
+  for (const item of items) {
+    const key = periodStart(new Date(item.at), interval).toISOString().slice(0, 10);
+    if (!periods.has(key)) periods.set(key, []);
+    periods.get(key).push(item);
+  }
+  return [...periods.entries()].map(([start, periodItems]) => {
+    const { calibration: _calibration, ...metrics } = computeMetrics(periodItems);
+    return { period_start: start, ...metrics };
+  });
+}
+
+/**
+ * Sensitivity below the floor, per model version and in the latest period
+ */
+function driftAlerts(report) {
+  const { SENSITIVITY_FLOOR: floor, MIN_CONFIRMED_POSITIVES: minimum } = PERFORMANCE_CONFIG;
+  const alerts = [];
+  const check = (model, group, metrics, scope) => {
+    if (metrics.confirmed_positive < minimum || metrics.sensitivity === null || metrics.sensitivity >= floor) return;
+    alerts.push({
+      type: 'sensitivity_below_floor',
+      model,
+      model_name: group.model_name,
+      version: group.version,
+      engine: group.engine,
+      scoring_config: group.scoring_config,
+      scope,
+      sensitivity: metrics.sensitivity,
+      floor,
+      confirmed_positive: metrics.confirmed_positive,
+      message: `${group.model_name} ${group.version} sensitivity ${metrics.sensitivity} is below ${floor} ` +
+        `(${metrics.confusion_matrix.false_negative} of ${metrics.confirmed_positive} confirmed positives missed, ${scope})`
+    });
+  };
+
+  for (const modelReport of report.models) {
+    for (const group of modelReport.versions) {
+      check(modelReport.model, group, group.metrics, 'window');
+      const latest = group.periods && group.periods[group.periods.length - 1];
+      if (latest) check(modelReport.model, group, latest, `period starting ${latest.period_start}`);
+    }
+  }
+  return alerts;
+}
+
+/**
+ * Performance of every model version over a time window
+ * @param {Object} options - { model, from, to, interval: 'week'|'month' }
+ */
+async function performanceReport({ model, from, to, interval } = {}) {
+  const models = model ? [model] : MODELS;
+  const report = {
+    generated_at: new Date().toISOString(),
+    window: { from: from || null, to: to || null, interval: interval || null },
+    definitions: {
+      zika_positive_prediction: `risk level ${PERFORMANCE_CONFIG.POSITIVE_RISK_LEVELS.join(' or ')}`,
+      malaria_positive_prediction: 'parasites detected',
+      confirmed_outcome: 'labConfirmation from linked lab results (inconclusive results excluded)'
+    },
+    models: []
+  };
+
+  for (const name of models) {
+    const items = await confirmedPredictions(name, { from, to });
+    const groups = new Map();
+    for (const item of items) {
+      const key = [item.model_name, item.version, item.engine, item.scoring_config].join('|');
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(item);
+    }
+
+    report.models.push({
+      model: name,
+      overall: computeMetrics(items),
+      versions: [...groups.values()].map(groupItems => {
+        const { model_name, version, engine, scoring_config } = groupItems[0];
+        return {
+          model_name,
+          version,
+          engine,
+          scoring_config,
+          first_prediction: groupItems[0].at,
+          last_prediction: groupItems[groupItems.length - 1].at,
+          metrics: computeMetrics(groupItems),
+          by_risk_level: byRiskLevel(groupItems),
+          periods: interval ? byPeriod(groupItems, interval) : undefined
+        };
+      })
+    });
+  }
+
+  report.alerts = driftAlerts(report);
+  report.alerts.forEach(alert => console.warn(`⚠️ Model drift: ${alert.message}`));
+  return report;
+}
+
+/**
+ * Save drift findings as model_drift alerts, one per model version and scope;
+ * later runs update it. Lifetime drift is high severity, the latest period medium.
+ * A resolved alert that fires again, or an acknowledged one whose sensitivity
+ * has dropped further, is reopened.
+ * @returns {Promise<Array>} [Alert]
+ */
+async function raiseDriftAlerts(findings, asOf = new Date()) {
+  const alerts = [];
+  for (const finding of findings) {
+    const driftKey = [finding.model_name, finding.version, finding.engine, finding.scoring_config, finding.scope].join('|');
+    const locator = { type: 'model_drift', disease: finding.model, driftKey };
+    const previous = await Alert.findOneAndUpdate(
+      locator,
+      {
+        $set: {
+          date: localDate(asOf),
+          severity: finding.scope === 'window' ? 'high' : 'medium',
+          message: finding.message,
+          drift: {
+            modelName: finding.model_name,
+            version: finding.version,
+            engine: finding.engine,
+            scoringConfig: finding.scoring_config,
+            scope: finding.scope,
+            sensitivity: finding.sensitivity,
+            floor: finding.floor,
+            confirmedPositives: finding.confirmed_positive
+          },
+          lastEvaluatedAt: asOf
+        }
+      },
+      { upsert: true, new: false, runValidators: true }
+    );
+
+    const reopen = Boolean(previous) && (previous.status === 'resolved' ||
+      (previous.status === 'acknowledged' && finding.sensitivity < previous.drift.sensitivity));
+    if (reopen) {
+      await Alert.updateOne(
+        { _id: previous._id, status: previous.status },
+        { $set: { status: 'open' }, $unset: { resolvedAt: 1 } }
+      );
+    }
+
+    const alert = await Alert.findOne(locator);
+    if (!previous || reopen) {
+      console.warn(`🚨 Model drift alert (${alert.severity})${reopen ? ' reopened' : ''}: ${finding.message}`);
+    }
+    alerts.push(alert);
+  }
+  return alerts;
+}
+
+/**
+ * Resolve drift alerts whose finding no longer fires (sensitivity back above
+ * the floor, or a period that is no longer the latest)
+ * @param {Array} current - Alerts raised by this run
+ * @returns {Promise<Number>} how many were resolved
+ */
+async function resolveDriftAlerts(current, asOf = new Date()) {
+  const result = await Alert.updateMany(
+    {
+      type: 'model_drift',
+      status: { $ne: 'resolved' },
+      driftKey: { $nin: current.map(alert => alert.driftKey) }
+    },
+    { $set: { status: 'resolved', resolvedAt: asOf, lastEvaluatedAt: asOf } }
+  );
+  if (result.modifiedCount > 0) {
+    console.log(`✅ ${result.modifiedCount} model drift alert(s) resolved`);
+  }
+  return result.modifiedCount;
+}
+
+/**
+ * One drift check over every model
+ * @returns {Promise<Object>} { alerts: [Alert], resolved }
+ */
+async function checkModelDrift(asOf = new Date()) {
+  const report = await performanceReport({ interval: PERFORMANCE_CONFIG.DRIFT_CHECK_PERIOD });
+  const alerts = await raiseDriftAlerts(report.alerts, asOf);
+  const resolved = await resolveDriftAlerts(alerts, asOf);
+  return { alerts, resolved };
+}
+
+let timer = null;
+let running = false;
+
+const runDriftCheck = async () => {
+  if (running) return;
+  running = true;
+  try {
+    const { alerts, resolved } = await checkModelDrift();
+    console.log(`🔎 Model drift check: ${alerts.length} finding(s) below the sensitivity floor, ${resolved} resolved`);
+  } catch (error) {
+    console.error('❌ Model drift check failed:', error.message);
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Run the drift check now and then every DRIFT_CHECK_INTERVAL_MINUTES
+ */
+function startDriftChecks() {
+  const minutes = PERFORMANCE_CONFIG.DRIFT_CHECK_INTERVAL_MINUTES;
+  if (timer) return;
+  if (Number.isNaN(minutes)) {
+    console.warn(`⚠️ MODEL_DRIFT_CHECK_INTERVAL_MINUTES is not a number (${process.env.MODEL_DRIFT_CHECK_INTERVAL_MINUTES}); model drift checks are disabled`);
+    return;
+  }
+  if (!minutes) return;
+  runDriftCheck();
+  timer = setInterval(runDriftCheck, minutes * 60 * 1000);
+  timer.unref();
+  console.log(`✅ Model drift check every ${minutes} min`);
+}
+
+module.exports = {
+  PERFORMANCE_CONFIG,
+  MODELS,
+  computeMetrics,
+  performanceReport,
+  checkModelDrift,
+  startDriftChecks
+};
@@ -0,0 +1,229 @@
+// services/outbreakDetection.js - EARS aberration detection over daily case counts per locality
+const Alert = require('../models/Alert');
+const { SURVEILLANCE_CONFIG, DATASETS, CASE_KEY, localDate, tzOffset, epiWeek } = require('./surveillance');
+
+const OUTBREAK_CONFIG = {
+  // Background job; 0 disables it, and so does a value that isn't a number (logged)
+  INTERVAL_MINUTES: parseInt(process.env.OUTBREAK_DETECTION_INTERVAL_MINUTES ?? 60),
+
+  // EARS (CDC Early Aberration Reporting System): C1 compares a day with the
+  // 7 days before it, C2 and C3 with the 7 days before a 2-day guard band
+  BASELINE_DAYS: 7,
+  GUARD_DAYS: 2,
+  C1_THRESHOLD: 3,
+  C2_THRESHOLD: 3,
+  C3_THRESHOLD: 2,
+  // Keeps a quiet baseline (all zeros) from turning one case into an infinite score
+  MIN_SD: 0.5,
+  // Days below this many cases (distinct patients) never alert
+  MIN_CASES: 3,
+
+  // Yesterday and today are re-evaluated on every run
+  EVALUATE_DAYS: 2
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SEVERITY_BY_METHOD = { C1: 'low', C2: 'medium', C3: 'high' };
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const meanSd = (values) => {
+  const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+  const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / Math.max(values.length - 1, 1);
+  return { mean, sd: Math.max(Math.sqrt(variance), OUTBREAK_CONFIG.MIN_SD) };
+};
+
+/**
+ * C2 score for day t: baseline ends GUARD_DAYS before t
+ */
+const c2Score = (counts, t) => {
+  const { BASELINE_DAYS: baselineDays, GUARD_DAYS: guard } = OUTBREAK_CONFIG;
+  const { mean, sd } = meanSd(counts.slice(t - guard - baselineDays, t - guard));
+  return (counts[t] - mean) / sd;
+};
+
+/**
+ * EARS C1, C2 and C3 for day t of a zero-filled daily series. Needs
+ * BASELINE_DAYS + GUARD_DAYS + 2 days of history before t.
+ * @returns {Object} { baseline, methods: [{ method, statistic, threshold, fired }] }
+ */
+function earsStatistics(counts, t) {
+  const { BASELINE_DAYS: baselineDays, C1_THRESHOLD, C2_THRESHOLD, C3_THRESHOLD } = OUTBREAK_CONFIG;
+  const c1Baseline = meanSd(counts.slice(t - baselineDays, t));
+  const c1 = (counts[t] - c1Baseline.mean) / c1Baseline.sd;
+  const c2 = c2Score(counts, t);
+  // C3: C2 excess over 1 SD summed over today and the two days before
+  const c3 = [t - 2, t - 1, t].reduce((sum, day) => sum + Math.max(0, c2Score(counts, day) - 1), 0);
+
+  return {
+    baseline: { mean: round2(c1Baseline.mean), sd: round2(c1Baseline.sd), days: baselineDays },
+    methods: [
+      { method: 'C1', statistic: round2(c1), threshold: C1_THRESHOLD, fired: c1 > C1_THRESHOLD },
+      { method: 'C2', statistic: round2(c2), threshold: C2_THRESHOLD, fired: c2 > C2_THRESHOLD },
+      { method: 'C3', statistic: round2(c3), threshold: C3_THRESHOLD, fired: c3 > C3_THRESHOLD }
+    ]
+  };
+}
+
+/**
+ * Daily positive cases per locality from `days[0]` on, via aggregation. A
+ * patient assessed several times in a day is one case.
+ * @returns {Promise<Map>} "state|lga" -> { state, lga, counts: [Number per day] }
+ */
+async function dailyCounts(dataset, days) {
+  const from = new Date(days[0].getTime() - tzOffset(days[0]));
+  const rows = await dataset.Model.aggregate([
+    { $match: { [dataset.dateField]: { $gte: from } } },
+    { $match: { $expr: dataset.positive } },
+    { $lookup: { from: 'patients', localField: 'patient', foreignField: '_id', as: 'patientDoc' } },
+    { $set: { patientDoc: { $arrayElemAt: ['$patientDoc', 0] } } },
+    {
+      $group: {
+        _id: {
+          state: '$patientDoc.state',
+          lga: '$patientDoc.lga',
+          day: { $dateToString: { format: '%Y-%m-%d', date: `$${dataset.dateField}`, timezone: SURVEILLANCE_CONFIG.TIMEZONE } },
+          patient: CASE_KEY
+        }
+      }
+    },
+    { $group: { _id: { state: '$_id.state', lga: '$_id.lga', day: '$_id.day' }, count: { $sum: 1 } } }
+  ]);
+
+  const dayIndex = new Map(days.map((day, i) => [day.toISOString().slice(0, 10), i]));
+  const localities = new Map();
+  for (const { _id, count } of rows) {
+    const key = `${_id.state || ''}|${_id.lga || ''}`;
+    if (!localities.has(key)) {
+      localities.set(key, { state: _id.state || null, lga: _id.lga || null, counts: days.map(() => 0) });
+    }
+    const index = dayIndex.get(_id.day);
+    if (index !== undefined) localities.get(key).counts[index] = count;
+  }
+  return localities;
+}
+
+/**
+ * Create or update the alert for a signal. Severity never drops for the same
+ * day; an escalation reopens an acknowledged alert.
+ */
+async function raiseAlert(disease, locality, day, count, stats) {
+  const fired = stats.methods.filter(m => m.fired);
+  const severity = SEVERITY_BY_METHOD[fired[fired.length - 1].method];
+  const place = [locality.lga, locality.state].filter(Boolean).join(', ') || 'unknown locality';
+  const dateKey = day.toISOString().slice(0, 10);
+  const message = `${count} ${disease === 'zika' ? 'patients with a HIGH/CRITICAL Zika assessment' : 'patients with a parasite-positive malaria result'} ` +
+    `in ${place} on ${dateKey} (7-day mean ${stats.baseline.mean}; ${fired.map(m => `${m.method} ${m.statistic}`).join(', ')})`;
+
+  const locator = { type: 'outbreak', disease, state: locality.state, lga: locality.lga, date: day };
+  // Upsert in one operation: a find-then-save lets two runs insert the same
+  // locality-day and the second fails on the unique index
+  const result = await Alert.findOneAndUpdate(
+    locator,
+    {
+      $set: {
+        count,
+        baseline: stats.baseline,
+        methods: stats.methods,
+        message,
+        lastEvaluatedAt: new Date()
+      },
+      $setOnInsert: { epiWeek: epiWeek(day), severity }
+    },
+    { upsert: true, new: true, runValidators: true, includeResultMetadata: true }
+  );
+  let alert = result.value;
+  const created = !result.lastErrorObject.updatedExisting;
+
+  // A stronger method firing raises the severity and reopens an acknowledged alert
+  const ranks = Alert.SEVERITIES;
+  const escalated = !created && ranks.indexOf(severity) > ranks.indexOf(alert.severity);
+  if (escalated) {
+    alert = await Alert.findOneAndUpdate(
+      { _id: alert._id, severity: alert.severity },
+      { $set: { severity, status: 'open' } },
+      { new: true }
+    ) || await Alert.findById(alert._id);
+  }
+
+  if (created || escalated) {
+    console.warn(`🚨 Outbreak alert (${alert.severity}): ${message}`);
+  }
+  return alert;
+}
+
+/**
+ * One detection run over every disease and locality
+ * @returns {Promise<Object>} { evaluated, alerts: [Alert] }
+ */
+async function detectOutbreaks(asOf = new Date()) {
+  const { BASELINE_DAYS, GUARD_DAYS, EVALUATE_DAYS, MIN_CASES } = OUTBREAK_CONFIG;
+  const history = BASELINE_DAYS + GUARD_DAYS + 2;
+  const today = localDate(asOf);
+  const days = Array.from({ length: history + EVALUATE_DAYS }, (_, i) =>
+    new Date(today.getTime() - (history + EVALUATE_DAYS - 1 - i) * DAY_MS));
+
+  const alerts = [];
+  let evaluated = 0;
+  for (const [disease, dataset] of Object.entries(DATASETS)) {
+    const localities = await dailyCounts(dataset, days);
+    for (const locality of localities.values()) {
+      for (let t = history; t < days.length; t++) {
+        evaluated++;
+        const count = locality.counts[t];
+        if (count < MIN_CASES) continue;
+        const stats = earsStatistics(locality.counts, t);
+        if (!stats.methods.some(m => m.fired)) continue;
+        alerts.push(await raiseAlert(disease, locality, days[t], count, stats));
+      }
+    }
+  }
+  return { evaluated, alerts };
+}
+
+let timer = null;
+let running = false;
+
+/**
+ * One detection run, unless one is already in progress (job or POST /api/alerts/detect)
+ * @returns {Promise<Object|null>} detectOutbreaks' result, or null if a run is in progress
+ */
+async function runDetection() {
+  if (running) return null;
+  running = true;
+  try {
+    const result = await detectOutbreaks();
+    console.log(`🔎 Outbreak detection: ${result.evaluated} locality-days checked, ${result.alerts.length} signal(s)`);
+    return result;
+  } finally {
+    running = false;
+  }
+}
+
+const scheduledDetection = () => runDetection()
+  .catch(error => console.error('❌ Outbreak detection failed:', error.message));
+
+/**
+ * Run detection now and then every INTERVAL_MINUTES
+ */
+function startOutbreakDetection() {
+  const minutes = OUTBREAK_CONFIG.INTERVAL_MINUTES;
+  if (timer) return;
+  if (Number.isNaN(minutes)) {
+    console.warn(`⚠️ OUTBREAK_DETECTION_INTERVAL_MINUTES is not a number (${process.env.OUTBREAK_DETECTION_INTERVAL_MINUTES}); outbreak detection is disabled`);
+    return;
+  }
+  if (!minutes) return;
+  scheduledDetection();
+  timer = setInterval(scheduledDetection, minutes * 60 * 1000);
+  timer.unref();
+  console.log(`✅ Outbreak detection every ${minutes} min`);
+}
+
+module.exports = {
+  OUTBREAK_CONFIG,
+  earsStatistics,
+  detectOutbreaks,
+  runDetection,
+  startOutbreakDetection
+};
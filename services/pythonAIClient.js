@@ -0,0 +1,202 @@
+// services/pythonAIClient.js - Client for the optional Python AI sidecar (PYTHON_AI_URL)
+const axios = require('axios');
+
+const SIDECAR_CONFIG = {
+  TIMEOUT_MS: parseInt(process.env.PYTHON_AI_TIMEOUT_MS) || 5000,
+  RETRIES: process.env.PYTHON_AI_RETRIES !== undefined ? parseInt(process.env.PYTHON_AI_RETRIES) : 2,
+  RETRY_BASE_DELAY_MS: 200,
+  
+  // Circuit breaker: stop calling the sidecar after repeated failures
+  FAILURE_THRESHOLD: parseInt(process.env.PYTHON_AI_FAILURE_THRESHOLD) || 5,
+  RESET_TIMEOUT_MS: parseInt(process.env.PYTHON_AI_RESET_TIMEOUT_MS) || 30000,
+  
+  // Sidecar routes and the key each successful response must contain
+  OPERATIONS: {
+    predict: { path: '/predict', expects: 'risk_assessment' },
+    malaria: { path: '/malaria-analyze', expects: 'malaria_analysis' },
+    dualScreening: { path: '/dual-screening', expects: 'screening_result' },
+    // /api/malaria/analyze and /api/malaria/smears/:id/analyze
+    malariaClinical: { path: '/malaria/analyze', expects: 'analysis' }
+  }
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class CircuitBreaker {
+  constructor({ failureThreshold, resetTimeoutMs }) {
+    this.failureThreshold = failureThreshold;
+    this.resetTimeoutMs = resetTimeoutMs;
+    this.state = 'CLOSED';
+    this.failures = 0;
+    this.openedAt = null;
+  }
+
+  /**
+   * Whether a request may go through. After the reset timeout a single trial
+   * request is let through (HALF_OPEN); its outcome closes or re-opens the circuit.
+   */
+  canRequest() {
+    if (this.state === 'OPEN' && Date.now() - this.openedAt >= this.resetTimeoutMs) {
+      this.state = 'HALF_OPEN';
+      return true;
+    }
+    return this.state === 'CLOSED';
+  }
+
+  recordSuccess() {
+    this.state = 'CLOSED';
+    this.failures = 0;
+    this.openedAt = null;
+  }
+
+  recordFailure() {
+    this.failures++;
+    if (this.state === 'HALF_OPEN' || this.failures >= this.failureThreshold) {
+      if (this.state !== 'OPEN') {
+        console.warn(`⚠️ Python AI circuit OPEN after ${this.failures} failure(s)`);
+      }
+      this.state = 'OPEN';
+      this.openedAt = Date.now();
+    }
+  }
+}
+
+class PythonAIClient {
+  constructor(baseURL = process.env.PYTHON_AI_URL, config = SIDECAR_CONFIG) {
+    this.baseURL = baseURL;
+    this.config = config;
+    this.breaker = new CircuitBreaker({
+      failureThreshold: config.FAILURE_THRESHOLD,
+      resetTimeoutMs: config.RESET_TIMEOUT_MS
+    });
+    this.http = baseURL ? axios.create({ baseURL, timeout: config.TIMEOUT_MS }) : null;
+  }
+
+  get configured() {
+    return !!this.http;
+  }
+
+  isRetryable(error) {
+    // Network errors/timeouts have no response; retry 5xx and 429 but not other 4xx
+    if (!error.response) return true;
+    return error.response.status >= 500 || error.response.status === 429;
+  }
+
+  /**
+   * Call a sidecar operation with retries
+   * @param {String} operation - Key of SIDECAR_CONFIG.OPERATIONS
+   * @param {Object} payload - Request body, same fields as our own API
+   * @returns {Promise<Object>} Sidecar response body
+   */
+  async call(operation, payload) {
+    const op = this.config.OPERATIONS[operation];
+    if (!op) throw new Error(`Unknown sidecar operation: ${operation}`);
+    if (!this.configured) throw new Error('PYTHON_AI_URL is not configured');
+    if (!this.breaker.canRequest()) throw new Error('Python AI circuit is open');
+    
+    let lastError;
+    for (let attempt = 0; attempt <= this.config.RETRIES; attempt++) {
+      if (attempt > 0) {
+        await sleep(this.config.RETRY_BASE_DELAY_MS * 2 ** (attempt - 1));
+      }
+      
+      try {
+        const { data } = await this.http.post(op.path, payload);
+        if (!data || data[op.expects] === undefined) {
+          throw new Error(`Malformed sidecar response: missing "${op.expects}"`);
+        }
+        this.breaker.recordSuccess();
+        return data;
+      } catch (error) {
+        lastError = error;
+        if (error.response && !this.isRetryable(error)) {
+          // The sidecar answered and rejected this payload (400/422...): that says
+          // nothing about its health, so the breaker only hears about it when this
+          // was the half-open trial, which the sidecar has now passed
+          if (this.breaker.state === 'HALF_OPEN') this.breaker.recordSuccess();
+          throw this.failure(operation, error);
+        }
+        if (error.message.startsWith('Malformed')) break;
+      }
+    }
+    
+    // Network errors, timeouts, 5xx/429 after the retries, malformed responses
+    this.breaker.recordFailure();
+    throw this.failure(operation, lastError);
+  }
+
+  failure(operation, error) {
+    const status = error.response ? ` (HTTP ${error.response.status})` : '';
+    return new Error(`Python AI ${operation} failed${status}: ${error.message}`);
+  }
+
+  /**
+   * Try the sidecar, falling back to the in-process engine
+   * @param {String} operation - Key of SIDECAR_CONFIG.OPERATIONS
+   * @param {Object} payload - Request body for the sidecar
+   * @param {Function} localFn - Produces the same response shape in-process
+   * @returns {Promise<Object>} { result, engine: 'python-sidecar' | 'local', fallbackReason }
+   */
+  async runWithFallback(operation, payload, localFn) {
+    if (!this.configured) {
+      return { result: await localFn(), engine: 'local', fallbackReason: null };
+    }
+    
+    const startedAt = Date.now();
+    try {
+      const result = await this.call(operation, payload);
+      console.log(`🐍 Python AI ${operation} served in ${Date.now() - startedAt}ms`);
+      return { result, engine: 'python-sidecar', fallbackReason: null };
+    } catch (error) {
+      console.warn(`⚠️ ${error.message} - using local engine`);
+      return { result: await localFn(), engine: 'local', fallbackReason: error.message };
+    }
+  }
+
+  getStatus() {
+    return {
+      configured: this.configured,
+      url: this.baseURL || null,
+      circuit: this.breaker.state,
+      consecutive_failures: this.breaker.failures
+    };
+  }
+}
+
+// Shared instance for the routers
+const pythonAI = new PythonAIClient();
+
+/**
+ * Run an inference on the sidecar when configured, falling back to the
+ * in-process engine. Input is validated locally first, so the sidecar never
+ * sees a request we would reject. ai_metadata.served_by records which engine
+ * produced the result.
+ * @param {Object} options - { useSidecar, validate: () => ({ valid, error }) }
+ * @throws {Error} 'Validation failed: ...' for invalid input
+ */
+const runInference = async (operation, payload, localFn, { useSidecar = true, validate } = {}) => {
+  const validation = validate ? validate() : { valid: true };
+  if (!validation.valid) {
+    throw new Error(`Validation failed: ${validation.error}`);
+  }
+
+  const { result, engine, fallbackReason } = useSidecar
+    ? await pythonAI.runWithFallback(operation, payload, localFn)
+    : { result: await localFn(), engine: 'local', fallbackReason: null };
+
+  result.ai_metadata = {
+    ...result.ai_metadata,
+    ...(engine === 'python-sidecar' ? { engine } : {}),
+    served_by: engine,
+    fallback_reason: fallbackReason || undefined
+  };
+  return result;
+};
+
+module.exports = {
+  SIDECAR_CONFIG,
+  CircuitBreaker,
+  PythonAIClient,
+  pythonAI,
+  runInference
+};
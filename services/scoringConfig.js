@@ -0,0 +1,319 @@
+// services/scoringConfig.js - Versioned scoring configurations for the Zika and malaria models
+const fs = require('fs');
+const crypto = require('crypto');
+
+const RISK_LEVELS = ['CRITICAL', 'HIGH', 'MODERATE', 'LOW'];
+const vocabulary = require('../models/ai/vocabulary/symptoms.json');
+// Symptom weights and lists are keyed by vocabulary codes
+const SYMPTOM_CODES = new Set(vocabulary.symptoms.map(s => s.code));
+const SCORE_FACTORS = ['demographic', 'travel', 'symptoms'];
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isFraction = (value) => isNumber(value) && value >= 0 && value <= 1;
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Collect every problem with a regex pattern list
+ */
+function checkPatterns(patterns, where, errors) {
+  if (!Array.isArray(patterns) || patterns.length === 0) {
+    errors.push(`${where}.patterns must be a non-empty array`);
+    return;
+  }
+  patterns.forEach((pattern, i) => {
+    if (typeof pattern !== 'string' || pattern.trim() === '') {
+      errors.push(`${where}.patterns[${i}] must be a non-empty string`);
+      return;
+    }
+    try {
+      new RegExp(pattern, 'i');
+    } catch (error) {
+      errors.push(`${where}.patterns[${i}] is not a valid regular expression (${error.message})`);
+    }
+  });
+}
+
+/**
+ * Problems with a ZikaRiskAssessmentModel config
+ */
+function validateZikaConfig(spec, errors) {
+  // Demographic: ascending age bands, the last one open-ended
+  const demographic = spec.demographic || {};
+  const bands = demographic.age_bands;
+  if (!Array.isArray(bands) || bands.length === 0) {
+    errors.push('demographic.age_bands must be a non-empty array');
+  } else {
+    let previous = -Infinity;
+    bands.forEach((band, i) => {
+      const where = `demographic.age_bands[${i}]`;
+      if (!isObject(band)) return errors.push(`${where} must be an object`);
+      if (typeof band.label !== 'string' || band.label === '') errors.push(`${where}.label is required`);
+      if (!isFraction(band.points)) errors.push(`${where}.points must be a number between 0 and 1`);
+
+      const limits = ['below_age', 'max_age'].filter(key => band[key] !== undefined);
+      if (i === bands.length - 1) {
+        if (limits.length > 0) errors.push(`${where} is the last band and must not set below_age or max_age`);
+        return;
+      }
+      if (limits.length !== 1 || !isNumber(band[limits[0]])) {
+        errors.push(`${where} must set exactly one numeric below_age or max_age`);
+        return;
+      }
+      if (band[limits[0]] <= previous) errors.push(`${where} age limits must be in ascending order`);
+      previous = band[limits[0]];
+    });
+  }
+  const sexPoints = demographic.sex_points || {};
+  ['F', 'M', 'other'].forEach(key => {
+    if (!isFraction(sexPoints[key])) errors.push(`demographic.sex_points.${key} must be a number between 0 and 1`);
+  });
+
+  // Symptoms: weights per vocabulary code, scaled by the reported severity
+  const symptoms = spec.symptoms || {};
+  if (!isObject(symptoms.weights) || Object.keys(symptoms.weights).length === 0) {
+    errors.push('symptoms.weights must be a non-empty object');
+  } else {
+    Object.entries(symptoms.weights).forEach(([symptom, weight]) => {
+      if (!SYMPTOM_CODES.has(symptom)) errors.push(`symptoms.weights["${symptom}"] is not a symptom vocabulary code`);
+      if (!isFraction(weight)) errors.push(`symptoms.weights["${symptom}"] must be a number between 0 and 1`);
+    });
+  }
+  const severityMultipliers = symptoms.severity_multipliers || {};
+  vocabulary.severities.forEach(severity => {
+    if (!isNumber(severityMultipliers[severity]) || severityMultipliers[severity] <= 0) {
+      errors.push(`symptoms.severity_multipliers.${severity} must be a positive number`);
+    }
+  });
+  const normalization = symptoms.normalization || {};
+  if (!Number.isInteger(normalization.few_symptoms_max) || normalization.few_symptoms_max < 0) {
+    errors.push('symptoms.normalization.few_symptoms_max must be a non-negative integer');
+  }
+  ['few_symptoms_divisor', 'many_symptoms_divisor'].forEach(key => {
+    if (!isNumber(normalization[key]) || normalization[key] <= 0) {
+      errors.push(`symptoms.normalization.${key} must be a positive number`);
+    }
+  });
+
+  // Travel: tiers are tried in order, then the local increment is applied
+  const travel = spec.travel || {};
+  if (!isFraction(travel.base_modifier)) errors.push('travel.base_modifier must be a number between 0 and 1');
+  if (!Array.isArray(travel.tiers) || travel.tiers.length === 0) {
+    errors.push('travel.tiers must be a non-empty array');
+  } else {
+    travel.tiers.forEach((tier, i) => {
+      const where = `travel.tiers[${i}]`;
+      if (!isObject(tier)) return errors.push(`${where} must be an object`);
+      if (typeof tier.tier !== 'string' || tier.tier === '') errors.push(`${where}.tier is required`);
+      if (!isFraction(tier.modifier)) errors.push(`${where}.modifier must be a number between 0 and 1`);
+      checkPatterns(tier.patterns, where, errors);
+    });
+  }
+  if (!isObject(travel.local)) {
+    errors.push('travel.local is required');
+  } else {
+    if (typeof travel.local.tier !== 'string' || travel.local.tier === '') errors.push('travel.local.tier is required');
+    if (!isFraction(travel.local.increment)) errors.push('travel.local.increment must be a number between 0 and 1');
+    if (!isFraction(travel.local.max_modifier)) errors.push('travel.local.max_modifier must be a number between 0 and 1');
+    checkPatterns(travel.local.patterns, 'travel.local', errors);
+  }
+
+  // Comorbidities multiply the weighted sum, up to the cap
+  const comorbidities = spec.comorbidities || {};
+  if (!isObject(comorbidities.multipliers) || Object.keys(comorbidities.multipliers).length === 0) {
+    errors.push('comorbidities.multipliers must be a non-empty object');
+  } else {
+    Object.entries(comorbidities.multipliers).forEach(([condition, multiplier]) => {
+      if (!isNumber(multiplier) || multiplier <= 0) {
+        errors.push(`comorbidities.multipliers["${condition}"] must be a positive number`);
+      }
+    });
+  }
+  if (!isNumber(comorbidities.max_multiplier) || comorbidities.max_multiplier < 1) {
+    errors.push('comorbidities.max_multiplier must be a number of at least 1');
+  }
+
+  const weights = spec.score_weights || {};
+  SCORE_FACTORS.forEach(factor => {
+    if (!isFraction(weights[factor])) errors.push(`score_weights.${factor} must be a number between 0 and 1`);
+  });
+
+  // Risk band floors, strictly decreasing from CRITICAL to LOW
+  const thresholds = spec.risk_thresholds || {};
+  RISK_LEVELS.forEach((level, i) => {
+    if (!isFraction(thresholds[level])) {
+      errors.push(`risk_thresholds.${level} must be a number between 0 and 1`);
+    } else if (i > 0 && isFraction(thresholds[RISK_LEVELS[i - 1]]) && thresholds[level] >= thresholds[RISK_LEVELS[i - 1]]) {
+      errors.push(`risk_thresholds.${level} must be below risk_thresholds.${RISK_LEVELS[i - 1]}`);
+    }
+  });
+  const extraLevels = Object.keys(thresholds).filter(level => !RISK_LEVELS.includes(level));
+  if (extraLevels.length > 0) {
+    errors.push(`risk_thresholds has unknown levels: ${extraLevels.join(', ')}`);
+  }
+
+  // Confidence bands: the first whose range excludes the score wins, the last is the fallback
+  if (!Array.isArray(spec.confidence) || spec.confidence.length === 0) {
+    errors.push('confidence must be a non-empty array');
+  } else {
+    spec.confidence.forEach((band, i) => {
+      const where = `confidence[${i}]`;
+      if (!isObject(band)) return errors.push(`${where} must be an object`);
+      if (!isFraction(band.value)) errors.push(`${where}.value must be a number between 0 and 1`);
+      if (i === spec.confidence.length - 1) {
+        if (band.outside !== undefined) errors.push(`${where} is the fallback band and must not set outside`);
+      } else if (!Array.isArray(band.outside) || band.outside.length !== 2 ||
+          !band.outside.every(isFraction) || band.outside[0] > band.outside[1]) {
+        errors.push(`${where}.outside must be [low, high] with 0 <= low <= high <= 1`);
+      }
+    });
+  }
+}
+
+/**
+ * Problems with a MalariaDetectionModel config
+ */
+function validateMalariaConfig(spec, errors) {
+  const prior = spec.clinical_prior || {};
+  ['base_probability', 'per_symptom', 'max_probability'].forEach(key => {
+    if (!isFraction(prior[key])) errors.push(`clinical_prior.${key} must be a number between 0 and 1`);
+  });
+  if (!Array.isArray(prior.symptoms) || prior.symptoms.length === 0) {
+    errors.push('clinical_prior.symptoms must be a non-empty array of symptom codes');
+  } else {
+    prior.symptoms.filter(code => !SYMPTOM_CODES.has(code)).forEach(code => {
+      errors.push(`clinical_prior.symptoms: "${code}" is not a symptom vocabulary code`);
+    });
+  }
+  if (!Array.isArray(prior.travel_keywords)) {
+    errors.push('clinical_prior.travel_keywords must be an array');
+  } else {
+    prior.travel_keywords.forEach((rule, i) => {
+      const where = `clinical_prior.travel_keywords[${i}]`;
+      if (!isObject(rule)) return errors.push(`${where} must be an object`);
+      if (!Array.isArray(rule.keywords) || rule.keywords.length === 0 ||
+          !rule.keywords.every(keyword => typeof keyword === 'string' && keyword.trim() !== '')) {
+        errors.push(`${where}.keywords must be a non-empty array of strings`);
+      }
+      if (!isFraction(rule.increment)) errors.push(`${where}.increment must be a number between 0 and 1`);
+    });
+  }
+  const extremes = prior.age_extremes || {};
+  ['below_age', 'above_age'].forEach(key => {
+    if (!isNumber(extremes[key]) || extremes[key] < 0) errors.push(`clinical_prior.age_extremes.${key} must be a non-negative number`);
+  });
+  if (!isFraction(extremes.increment)) errors.push('clinical_prior.age_extremes.increment must be a number between 0 and 1');
+
+  const quality = spec.image_quality || {};
+  if (!isNumber(quality.min_multiplier) || !isNumber(quality.max_multiplier) ||
+      quality.min_multiplier <= 0 || quality.min_multiplier > quality.max_multiplier) {
+    errors.push('image_quality must set 0 < min_multiplier <= max_multiplier');
+  }
+
+  if (!isFraction(spec.positive_threshold)) errors.push('positive_threshold must be a number between 0 and 1');
+  if (!isNumber(spec.parasite_density_scale) || spec.parasite_density_scale <= 0) {
+    errors.push('parasite_density_scale must be a positive number');
+  }
+
+  // Parasites/μL floors, strictly decreasing from SEVERE to MILD
+  const severity = spec.severity_thresholds || {};
+  const levels = ['SEVERE', 'MODERATE', 'MILD'];
+  levels.forEach((level, i) => {
+    if (!isNumber(severity[level]) || severity[level] < 0) {
+      errors.push(`severity_thresholds.${level} must be a non-negative number`);
+    } else if (i > 0 && isNumber(severity[levels[i - 1]]) && severity[level] >= severity[levels[i - 1]]) {
+      errors.push(`severity_thresholds.${level} must be below severity_thresholds.${levels[i - 1]}`);
+    }
+  });
+
+  const confidence = spec.confidence || {};
+  if (!Array.isArray(confidence.outside) || confidence.outside.length !== 2 ||
+      !confidence.outside.every(isFraction) || confidence.outside[0] > confidence.outside[1]) {
+    errors.push('confidence.outside must be [low, high] with 0 <= low <= high <= 1');
+  }
+  ['certain', 'base'].forEach(key => {
+    if (!isFraction(confidence[key])) errors.push(`confidence.${key} must be a number between 0 and 1`);
+  });
+  if (!isNumber(confidence.slope)) errors.push('confidence.slope must be a number');
+}
+
+const VALIDATORS = {
+  zika: validateZikaConfig,
+  malaria: validateMalariaConfig
+};
+
+// Models whose scoring can be configured
+const SCORING_MODELS = Object.keys(VALIDATORS);
+
+/**
+ * Check a parsed config against the shape the model expects
+ * @param {Object} spec - Parsed config
+ * @param {String} model - 'zika' or 'malaria'
+ * @returns {String[]} Problems found (empty when the config is valid)
+ */
+function validateScoringConfig(spec, model = 'zika') {
+  const errors = [];
+  if (!VALIDATORS[model]) return [`unknown model "${model}"`];
+  if (!isObject(spec)) return ['config must be a JSON object'];
+
+  if (typeof spec.version !== 'string' || !/^\d+\.\d+\.\d+$/.test(spec.version)) {
+    errors.push('version must be a semantic version string such as "1.0.0"');
+  }
+  VALIDATORS[model](spec, errors);
+
+  return errors;
+}
+
+/**
+ * sha256 of a config's JSON, so the same config has the same hash whether it
+ * came from a file or from an uploaded profile
+ */
+function hashScoringConfig(spec) {
+  return crypto.createHash('sha256').update(JSON.stringify(spec)).digest('hex');
+}
+
+/**
+ * Validate a parsed config and attach its fingerprint
+ * @param {Object} spec - Parsed config
+ * @param {String} model - 'zika' or 'malaria'
+ * @param {String} source - Where it came from (file path or profile id), for logs
+ * @returns {Object} The config plus { source, hash }
+ */
+function prepareScoringConfig(spec, model, source) {
+  const errors = validateScoringConfig(spec, model);
+  if (errors.length > 0) {
+    throw new Error(`Invalid scoring config: ${errors.join('; ')}`);
+  }
+
+  return {
+    ...spec,
+    source,
+    hash: hashScoringConfig(spec)
+  };
+}
+
+/**
+ * Load, validate and fingerprint a scoring config file
+ * @param {String} filePath - Path to the JSON config
+ * @param {String} model - 'zika' or 'malaria'
+ * @returns {Object} The config plus { source, hash }
+ */
+function loadScoringConfig(filePath, model = 'zika') {
+  const raw = fs.readFileSync(filePath, 'utf8');
+
+  let spec;
+  try {
+    spec = JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`Invalid scoring config: ${error.message}`);
+  }
+
+  return prepareScoringConfig(spec, model, filePath);
+}
+
+module.exports = {
+  SCORING_MODELS,
+  validateScoringConfig,
+  hashScoringConfig,
+  prepareScoringConfig,
+  loadScoringConfig
+};
@@ -0,0 +1,300 @@
+// services/scoringProfiles.js - Activate, roll back and dry-run uploaded scoring profiles
+const ClinicalRecord = require('../models/ClinicalRecord');
+const MalariaRecord = require('../models/MalariaRecord');
+const ScoringProfile = require('../models/ScoringProfile');
+const ScoringAuditLog = require('../models/ScoringAuditLog');
+const { SCORING_MODELS, prepareScoringConfig } = require('./scoringConfig');
+const {
+  getModel,
+  defaultScoringConfigs,
+  ZikaRiskAssessmentModel,
+  MalariaDetectionModel
+} = require('../models/ai');
+
+const DRY_RUN_CONFIG = {
+  DEFAULT_LIMIT: 500,
+  MAX_LIMIT: 5000,
+  EXAMPLES: 20
+};
+
+// Live model instances scored by each config; the forest engine shares the
+// Zika risk bands and confidence table
+const liveModels = (model) => (model === 'zika'
+  ? [getModel('zika'), getModel('forest')]
+  : [getModel('malaria')]
+).filter(Boolean);
+
+/**
+ * Validated config of a stored profile
+ */
+const profileConfig = (profile) => prepareScoringConfig(profile.config, profile.model, `profile ${profile._id}`);
+
+const applyConfig = (model, config) => {
+  liveModels(model).forEach(instance => instance.applyScoringConfig(config));
+};
+
+/**
+ * The config the live model is scoring with right now
+ * @returns {Object} { version, hash, source: 'default'|'profile', profile }
+ */
+function activeScoring(model) {
+  const config = getModel(model).scoringConfig;
+  const isDefault = config === defaultScoringConfigs[model];
+  return {
+    version: config.version,
+    hash: config.hash,
+    source: isDefault ? 'default' : 'profile',
+    profile: isDefault ? null : config.profileId
+  };
+}
+
+/**
+ * Re-apply the active profile of every model after a restart. A stored profile
+ * that no longer validates is skipped so the model keeps its default config.
+ */
+async function applyActiveProfiles() {
+  for (const model of SCORING_MODELS) {
+    const profile = await ScoringProfile.findOne({ model, active: true });
+    if (!profile) continue;
+    try {
+      applyConfig(model, { ...profileConfig(profile), profileId: profile._id });
+      console.log(`✅ ${model} scoring profile ${profile.version} active (sha256 ${profile.hash.slice(0, 12)})`);
+    } catch (error) {
+      console.warn(`⚠️ ${model} scoring profile ${profile.version} not applied, using the default config:`, error.message);
+    }
+  }
+}
+
+/**
+ * Make a stored profile the live config and log it
+ * @param {Object} profile - ScoringProfile document
+ * @param {String} userId - Who is making the change
+ * @param {String} action - 'activate' records the profile it replaces for rollback;
+ *   'rollback' leaves the target's history alone
+ */
+async function activateProfile(profile, userId, action = 'activate') {
+  const config = { ...profileConfig(profile), profileId: profile._id };
+  const before = activeScoring(profile.model);
+
+  // The partial unique index allows one active profile per model. Deactivate
+  // the current one and activate the target with conditional updates; if a
+  // concurrent activation gets in between, the index rejects ours and the
+  // profile we deactivated is put back.
+  const current = await ScoringProfile.findOneAndUpdate(
+    { model: profile.model, active: true, _id: { $ne: profile._id } },
+    { $set: { active: false } }
+  );
+
+  const update = { active: true, activatedAt: new Date(), activatedBy: userId };
+  if (action === 'activate') {
+    update.previousProfile = current ? current._id : null;
+  }
+  let activated = null;
+  try {
+    activated = await ScoringProfile.findOneAndUpdate(
+      { _id: profile._id, active: { $ne: true } },
+      { $set: update },
+      { new: true }
+    );
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+  if (!activated) {
+    if (current) {
+      await ScoringProfile.updateOne({ _id: current._id }, { $set: { active: true } })
+        .catch(error => { if (error.code !== 11000) throw error; });
+    }
+    throw new Error(`Scoring profile conflict: another ${profile.model} activation or rollback finished first; reload and try again`);
+  }
+  profile.set(update);
+  applyConfig(profile.model, config);
+
+  await ScoringAuditLog.create({
+    action,
+    model: profile.model,
+    profile: profile._id,
+    version: profile.version,
+    hash: profile.hash,
+    previousVersion: before.version,
+    previousHash: before.hash,
+    user: userId
+  });
+  console.log(`🔁 ${profile.model} scoring ${before.version} -> ${profile.version} (${action})`);
+
+  return activeScoring(profile.model);
+}
+
+/**
+ * Return a model to the profile active before the current one, to a named
+ * profile, or to its default config file
+ * @param {Object|null} target - ScoringProfile to roll back to, or null for the default config
+ */
+async function rollbackTo(model, target, userId) {
+  if (target) return activateProfile(target, userId, 'rollback');
+
+  const before = activeScoring(model);
+  await ScoringProfile.updateMany({ model, active: true }, { $set: { active: false } });
+  applyConfig(model, defaultScoringConfigs[model]);
+
+  await ScoringAuditLog.create({
+    action: 'rollback',
+    model,
+    version: defaultScoringConfigs[model].version,
+    hash: defaultScoringConfigs[model].hash,
+    previousVersion: before.version,
+    previousHash: before.hash,
+    user: userId,
+    details: { target: 'default' }
+  });
+  console.log(`🔁 ${model} scoring ${before.version} -> ${defaultScoringConfigs[model].version} (rollback to default)`);
+
+  return activeScoring(model);
+}
+
+// Malaria outcomes compared by the dry run: negative, or the severity band if positive
+const malariaLevel = (analysis) => (analysis.result === 'PARASITES DETECTED'
+  ? analysis.severity.split(' - ')[0]
+  : 'NEGATIVE');
+
+// Stored symptoms with their recorded onset and severity where there is one
+const storedSymptoms = (record) => (record.symptoms || []).map(symptom => {
+  const detail = (record.symptomDetails || []).find(d => d.code === symptom);
+  return detail ? { code: detail.code, onsetDate: detail.onsetDate, severity: detail.severity } : symptom;
+});
+
+/**
+ * Historical inputs re-scored by the dry run, newest first
+ */
+async function historicalCases(model, { since, until, limit }) {
+  const range = {};
+  if (since) range.$gte = since;
+  if (until) range.$lte = until;
+
+  if (model === 'zika') {
+    const records = await ClinicalRecord.find(Object.keys(range).length ? { predictedAt: range } : {})
+      .sort({ predictedAt: -1 })
+      .limit(limit)
+      .select('age sex travelHistory symptoms symptomDetails comorbidities predictedAt')
+      .lean();
+    return records.map(r => ({
+      id: r._id,
+      at: r.predictedAt,
+      input: {
+        age: r.age,
+        sex: r.sex,
+        travelHistory: r.travelHistory || '',
+        symptoms: storedSymptoms(r),
+        comorbidities: r.comorbidities || []
+      }
+    }));
+  }
+
+  const records = await MalariaRecord.find(Object.keys(range).length ? { timestamp: range } : {})
+    .sort({ timestamp: -1 })
+    .limit(limit)
+    .select('age sex travelHistory symptoms symptomDetails detectionMethod parasiteProbability confidence timestamp')
+    .lean();
+  // Image-based results keep the classifier's probability; only the cut-off and
+  // severity bands of the candidate apply to them
+  return records.map(r => ({
+    id: r._id,
+    at: r.timestamp,
+    input: { age: r.age, sex: r.sex, travelHistory: r.travelHistory, symptoms: storedSymptoms(r) },
+    imageData: r.detectionMethod === 'image'
+      ? { inference: { probability: r.parasiteProbability, confidence: r.confidence } }
+      : {}
+  }));
+}
+
+/**
+ * Re-score stored cases with the live config and with a candidate profile and
+ * report how risk levels would shift
+ * @param {Object} profile - ScoringProfile document to try
+ * @param {Object} options - { since, until, limit }
+ */
+async function dryRun(profile, { since, until, limit } = {}) {
+  const model = profile.model;
+  const cappedLimit = Math.min(Math.max(parseInt(limit) || DRY_RUN_CONFIG.DEFAULT_LIMIT, 1), DRY_RUN_CONFIG.MAX_LIMIT);
+  const candidateConfig = profileConfig(profile);
+  const current = getModel(model);
+  const candidate = model === 'zika'
+    ? new ZikaRiskAssessmentModel(candidateConfig)
+    : new MalariaDetectionModel(candidateConfig);
+
+  const score = (instance, item) => {
+    if (model === 'zika') {
+      const { prediction } = instance.predict(item.input);
+      return { level: prediction.risk_level, score: prediction.risk_score };
+    }
+    const { analysis } = instance.analyze(item.input, item.imageData);
+    return { level: malariaLevel(analysis), score: analysis.probability };
+  };
+
+  const cases = await historicalCases(model, { since, until, limit: cappedLimit });
+  const transitions = {};
+  const levelCounts = { current: {}, candidate: {} };
+  const examples = [];
+  let changed = 0;
+  let skipped = 0;
+  let scoreChange = 0;
+  let scored = 0;
+
+  for (const item of cases) {
+    if (item.input.age == null) {
+      skipped++;
+      continue;
+    }
+    const before = score(current, item);
+    const after = score(candidate, item);
+    scored++;
+    scoreChange += after.score - before.score;
+    levelCounts.current[before.level] = (levelCounts.current[before.level] || 0) + 1;
+    levelCounts.candidate[after.level] = (levelCounts.candidate[after.level] || 0) + 1;
+
+    if (before.level !== after.level) {
+      changed++;
+      const key = `${before.level} -> ${after.level}`;
+      transitions[key] = (transitions[key] || 0) + 1;
+      if (examples.length < DRY_RUN_CONFIG.EXAMPLES) {
+        examples.push({
+          record: item.id,
+          at: item.at,
+          from: before.level,
+          to: after.level,
+          current_score: before.score,
+          candidate_score: after.score
+        });
+      }
+    }
+  }
+
+  return {
+    model,
+    current: activeScoring(model),
+    candidate: { version: profile.version, hash: profile.hash },
+    window: { since: since || null, until: until || null, limit: cappedLimit },
+    records: cases.length,
+    scored,
+    skipped,
+    changed,
+    changed_percentage: scored ? Math.round((changed / scored) * 1000) / 10 : 0,
+    mean_score_change: scored ? Math.round((scoreChange / scored) * 10000) / 10000 : 0,
+    transitions: Object.entries(transitions)
+      .map(([key, count]) => {
+        const [from, to] = key.split(' -> ');
+        return { from, to, count };
+      })
+      .sort((a, b) => b.count - a.count),
+    level_counts: levelCounts,
+    examples
+  };
+}
+
+module.exports = {
+  DRY_RUN_CONFIG,
+  activeScoring,
+  applyActiveProfiles,
+  activateProfile,
+  rollbackTo,
+  dryRun
+};
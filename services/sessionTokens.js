@@ -0,0 +1,129 @@
+// services/sessionTokens.js - Short-lived access tokens and rotating refresh tokens
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+
+const TOKEN_CONFIG = {
+  ACCESS_TOKEN_TTL: process.env.ACCESS_TOKEN_TTL || '15m',
+  REFRESH_TOKEN_TTL_DAYS: parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 14
+};
+
+const hashToken = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+// Refresh tokens are "<sessionId>.<random secret>"; only the secret's hash is stored
+const newRefreshSecret = () => crypto.randomBytes(48).toString('base64url');
+
+const signAccessToken = (user, session) => jwt.sign(
+  {
+    id: user._id,
+    email: user.email,
+    role: user.role,
+    sid: session._id
+  },
+  process.env.JWT_SECRET,
+  { expiresIn: TOKEN_CONFIG.ACCESS_TOKEN_TTL }
+);
+
+const tokenResponse = (user, session, secret) => ({
+  token: signAccessToken(user, session),
+  refreshToken: `${session._id}.${secret}`,
+  tokenExpiresIn: TOKEN_CONFIG.ACCESS_TOKEN_TTL,
+  refreshTokenExpiresAt: session.expiresAt
+});
+
+/**
+ * Start a new session for a user who just authenticated
+ * @returns {Object} { token, refreshToken, tokenExpiresIn, refreshTokenExpiresAt }
+ */
+const createSession = async (user, req) => {
+  const secret = newRefreshSecret();
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashToken(secret),
+    expiresAt: new Date(Date.now() + TOKEN_CONFIG.REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+    userAgent: req.get('user-agent'),
+    ip: req.ip
+  });
+
+  return tokenResponse(user, session, secret);
+};
+
+/**
+ * Exchange a refresh token for a new access token and a new refresh token.
+ * Presenting an already-rotated refresh token means it was copied, so the
+ * whole session is revoked.
+ * @param {Function} loadUser - Fetches the current user so role changes apply on refresh
+ * @throws {Error} 'Invalid refresh token: ...'
+ */
+const rotateSession = async (refreshToken, loadUser) => {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!sessionId || !secret || !mongoose.isObjectIdOrHexString(sessionId)) {
+    throw new Error('Invalid refresh token: malformed');
+  }
+
+  // Rotate in one conditional update so two refreshes with the same token
+  // can't both succeed: the second one finds the hash already replaced
+  const now = new Date();
+  const nextSecret = newRefreshSecret();
+  const session = await Session.findOneAndUpdate(
+    { _id: sessionId, refreshTokenHash: hashToken(secret), revokedAt: null, expiresAt: { $gt: now } },
+    { $set: { refreshTokenHash: hashToken(nextSecret), lastRefreshedAt: now } },
+    { new: true }
+  );
+
+  if (!session) {
+    // Still active, so the secret was wrong: an already-rotated token was replayed
+    const reused = await Session.findOneAndUpdate(
+      { _id: sessionId, revokedAt: null, expiresAt: { $gt: now } },
+      { $set: { revokedAt: now, revokedReason: 'refresh_token_reuse' } }
+    );
+    if (!reused) {
+      throw new Error('Invalid refresh token: session expired or revoked');
+    }
+    console.warn(`⚠️ Refresh token reuse detected, session ${sessionId} revoked`);
+    throw new Error('Invalid refresh token: already used');
+  }
+
+  const user = await loadUser(session.user);
+  if (!user) {
+    throw new Error('Invalid refresh token: user no longer exists');
+  }
+
+  return { user, tokens: tokenResponse(user, session, nextSecret) };
+};
+
+const revokeSession = (sessionId, reason = 'logout') =>
+  Session.updateOne({ _id: sessionId, revokedAt: null }, { revokedAt: new Date(), revokedReason: reason });
+
+const revokeAllSessions = async (userId, reason = 'logout_all') => {
+  const result = await Session.updateMany({ user: userId, revokedAt: null }, { revokedAt: new Date(), revokedReason: reason });
+  return result.modifiedCount;
+};
+
+/**
+ * Verify an access token's signature and expiry and that its session is still active
+ * @throws JsonWebTokenError / TokenExpiredError from jsonwebtoken, or Error('Session revoked')
+ */
+const verifyAccessToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (!decoded.sid) {
+    throw new jwt.JsonWebTokenError('token has no session');
+  }
+
+  const session = await Session.findById(decoded.sid).select('revokedAt expiresAt');
+  if (!session || !session.isActive()) {
+    throw new Error('Session revoked');
+  }
+
+  return decoded;
+};
+
+module.exports = {
+  TOKEN_CONFIG,
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  verifyAccessToken
+};
@@ -0,0 +1,254 @@
+// services/smearClassifier.js - TF.js parasite classifier for uploaded blood smears
+const fs = require('fs');
+const path = require('path');
+const { getStorage } = require('./storage');
+
+const CLASSIFIER_CONFIG = {
+  // Directory holding a TF.js model.json (graph or layers) or a TensorFlow SavedModel
+  MODEL_DIR: process.env.MALARIA_TF_MODEL_DIR || path.join(__dirname, '..', 'routes', 'models', 'malaria_smear_tfjs'),
+  
+  // Square tile cut from the normalised smear, in source pixels. Should cover
+  // roughly one red cell at the magnification the clinic photographs at.
+  TILE_SIZE: parseInt(process.env.MALARIA_TF_TILE_SIZE) || 96,
+  MAX_TILES: 400,
+  BATCH_SIZE: 32,
+  
+  // Tiles brighter than this (0-1 mean) are empty background and are skipped
+  BACKGROUND_LEVEL: 0.88,
+  
+  PARASITIZED_THRESHOLD: 0.5,
+
+  // A smear is positive when at least this many tiles look parasitized; with
+  // hundreds of tiles per smear a single false-positive tile is expected
+  MIN_POSITIVE_TILES: parseInt(process.env.MALARIA_TF_MIN_POSITIVE_TILES) || 3,
+  
+  // Class order of the model output. Keras image_dataset_from_directory sorts
+  // folder names, so the NIH cell images dataset gives Parasitized=0, Uninfected=1.
+  DEFAULT_LABELS: ['Parasitized', 'Uninfected']
+};
+
+let tf = null;
+let loading = null;
+let classifier = null;
+let unavailableReason = null;
+
+/**
+ * Load the model once. Never throws: if TensorFlow or the model files are
+ * missing the classifier reports itself unavailable and analysis falls back
+ * to the clinical model.
+ */
+async function loadClassifier() {
+  if (classifier || unavailableReason) return classifier;
+  if (loading) return loading;
+  
+  loading = (async () => {
+    try {
+      tf = require('@tensorflow/tfjs-node');
+    } catch (err) {
+      unavailableReason = `@tensorflow/tfjs-node could not be loaded: ${err.message.split('\n')[0]}`;
+      return null;
+    }
+    
+    const dir = CLASSIFIER_CONFIG.MODEL_DIR;
+    const modelJson = path.join(dir, 'model.json');
+    const metadataPath = path.join(dir, 'metadata.json');
+    
+    try {
+      const fileMetadata = fs.existsSync(metadataPath)
+        ? JSON.parse(fs.readFileSync(metadataPath, 'utf8'))
+        : {};
+      let metadata = fileMetadata;
+      let model;
+      let format;
+      
+      if (fs.existsSync(modelJson)) {
+        const manifest = JSON.parse(fs.readFileSync(modelJson, 'utf8'));
+        format = manifest.format === 'graph-model' ? 'graph-model' : 'layers-model';
+        const url = `file://${modelJson}`;
+        model = format === 'graph-model' ? await tf.loadGraphModel(url) : await tf.loadLayersModel(url);
+        // metadata.json overrides what the converter embedded in model.json
+        metadata = Object.assign({}, manifest.userDefinedMetadata, fileMetadata);
+      } else if (fs.existsSync(path.join(dir, 'saved_model.pb'))) {
+        format = 'saved-model';
+        model = await tf.node.loadSavedModel(dir);
+      } else {
+        unavailableReason = `No model.json or saved_model.pb found in ${dir}`;
+        return null;
+      }
+      
+      const inputShape = model.inputs ? model.inputs[0].shape : null;
+      const inputSize = metadata.inputSize || (inputShape && inputShape[1] > 0 ? inputShape[1] : 128);
+      
+      classifier = {
+        model,
+        format,
+        inputSize,
+        labels: metadata.labels || CLASSIFIER_CONFIG.DEFAULT_LABELS,
+        name: metadata.name || 'ABSUTH Smear Classifier',
+        version: metadata.version || path.basename(dir)
+      };
+      console.log(`🧠 Smear classifier loaded: ${classifier.name} ${classifier.version} (${format}, ${inputSize}px)`);
+      return classifier;
+    } catch (err) {
+      unavailableReason = `Failed to load model from ${dir}: ${err.message}`;
+      console.error('❌ Smear classifier load failed:', err.message);
+      return null;
+    }
+  })().finally(() => {
+    loading = null;
+  });
+  
+  return loading;
+}
+
+/**
+ * Convert raw model output to P(Parasitized) per tile
+ */
+function parasitizedProbabilities(output, labels) {
+  const [count, width] = output.shape;
+  const values = output.dataSync();
+  const positiveIndex = labels.indexOf('Parasitized');
+  const probabilities = [];
+  
+  for (let i = 0; i < count; i++) {
+    if (width === 1 || width === undefined) {
+      // Single sigmoid unit predicts labels[1]
+      const p = values[i];
+      probabilities.push(positiveIndex === 1 ? p : 1 - p);
+    } else {
+      probabilities.push(values[i * width + positiveIndex]);
+    }
+  }
+  return probabilities;
+}
+
+/**
+ * Classify a smear image tile by tile
+ * @param {Buffer} buffer - Normalised smear image (JPEG/PNG)
+ * @returns {Object|null} Per-image result, or null if the classifier is unavailable
+ */
+async function classifySmear(buffer) {
+  const loaded = await loadClassifier();
+  if (!loaded) return null;
+  
+  const { TILE_SIZE, MAX_TILES, BATCH_SIZE, BACKGROUND_LEVEL, PARASITIZED_THRESHOLD, MIN_POSITIVE_TILES } = CLASSIFIER_CONFIG;
+  const startedAt = Date.now();
+  
+  const image = tf.tidy(() => tf.node.decodeImage(buffer, 3).toFloat().div(255).expandDims(0));
+  const [, height, width] = image.shape;
+  
+  // Tile grid as normalised [y1, x1, y2, x2] boxes
+  const boxes = [];
+  for (let y = 0; y + TILE_SIZE <= height && boxes.length < MAX_TILES; y += TILE_SIZE) {
+    for (let x = 0; x + TILE_SIZE <= width && boxes.length < MAX_TILES; x += TILE_SIZE) {
+      boxes.push([y / height, x / width, (y + TILE_SIZE) / height, (x + TILE_SIZE) / width]);
+    }
+  }
+  
+  const tileProbabilities = [];
+  let backgroundTiles = 0;
+  
+  try {
+    for (let start = 0; start < boxes.length; start += BATCH_SIZE) {
+      const batchBoxes = boxes.slice(start, start + BATCH_SIZE);
+      
+      const { probabilities, means } = tf.tidy(() => {
+        const crops = tf.image.cropAndResize(
+          image,
+          tf.tensor2d(batchBoxes),
+          tf.zeros([batchBoxes.length], 'int32'),
+          [loaded.inputSize, loaded.inputSize]
+        );
+        const tileMeans = crops.mean([1, 2, 3]).dataSync();
+        const output = loaded.model.predict(crops);
+        return {
+          probabilities: parasitizedProbabilities(Array.isArray(output) ? output[0] : output, loaded.labels),
+          means: Array.from(tileMeans)
+        };
+      });
+      
+      probabilities.forEach((p, i) => {
+        if (means[i] >= BACKGROUND_LEVEL) {
+          backgroundTiles++;
+          return;
+        }
+        tileProbabilities.push(p);
+      });
+    }
+  } finally {
+    image.dispose();
+  }
+  
+  const positiveTiles = tileProbabilities.filter(p => p >= PARASITIZED_THRESHOLD).length;
+  // Smear probability is the MIN_POSITIVE_TILES-th highest tile, so it clears a
+  // threshold only when that many tiles do (every tile on a smaller smear)
+  const ranked = [...tileProbabilities].sort((a, b) => b - a);
+  const probability = ranked.length > 0 ? ranked[Math.min(MIN_POSITIVE_TILES, ranked.length) - 1] : 0;
+  
+  return {
+    probability,
+    parasitized: probability >= PARASITIZED_THRESHOLD,
+    confidence: Math.abs(probability - 0.5) * 2,
+    tiles_analysed: tileProbabilities.length,
+    background_tiles: backgroundTiles,
+    positive_tiles: positiveTiles,
+    min_positive_tiles: MIN_POSITIVE_TILES,
+    top_tile_probabilities: ranked.slice(0, 10),
+    processing_ms: Date.now() - startedAt,
+    model: {
+      name: loaded.name,
+      version: loaded.version,
+      format: loaded.format
+    }
+  };
+}
+
+/**
+ * Classify a stored BloodSmear's normalised image
+ * @param {Object} smear - BloodSmear document with an uploaded image
+ * @returns {Object|null} classifySmear result, or null if there is no image or classifier
+ */
+async function classifyStoredSmear(smear) {
+  if (!smear || !smear.image || !smear.image.storageKey) return null;
+  
+  const loaded = await loadClassifier();
+  if (!loaded) return null;
+  
+  const buffer = await getStorage(smear.storageBackend).read(smear.image.storageKey);
+  return classifySmear(buffer);
+}
+
+/**
+ * Image inputs for MalariaDetectionModel.analyze, including the TF.js result
+ * when a classifier is available
+ * @param {Object} smear - BloodSmear document
+ * @returns {Object} imageData
+ */
+async function prepareSmearImageData(smear) {
+  const imageData = smear.toImageData();
+  
+  try {
+    const inference = await classifyStoredSmear(smear);
+    if (inference) imageData.inference = inference;
+  } catch (err) {
+    // Image inference is an enhancement; the clinical model still runs
+    console.warn(`⚠️ Smear classification failed for ${smear._id}:`, err.message);
+  }
+  
+  return imageData;
+}
+
+async function getClassifierStatus() {
+  const loaded = await loadClassifier();
+  return loaded
+    ? { available: true, name: loaded.name, version: loaded.version, format: loaded.format, input_size: loaded.inputSize }
+    : { available: false, reason: unavailableReason };
+}
+
+module.exports = {
+  CLASSIFIER_CONFIG,
+  classifySmear,
+  classifyStoredSmear,
+  prepareSmearImageData,
+  getClassifierStatus
+};
@@ -0,0 +1,54 @@
+// services/storage/LocalDiskStorage.js - Stores smear images on the local filesystem
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+
+class LocalDiskStorage {
+  constructor({ root } = {}) {
+    this.name = 'local';
+    this.root = path.resolve(root || path.join(__dirname, '..', '..', 'uploads'));
+  }
+
+  /**
+   * Resolve a storage key to an absolute path inside the storage root
+   * @param {String} key - Relative storage key, e.g. "smears/2024/12/abc.jpg"
+   * @returns {String} Absolute file path
+   */
+  resolve(key) {
+    const filePath = path.resolve(this.root, key);
+    if (!filePath.startsWith(this.root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  async save(key, buffer, { contentType } = {}) {
+    const filePath = this.resolve(key);
+    await fsp.mkdir(path.dirname(filePath), { recursive: true });
+    await fsp.writeFile(filePath, buffer);
+    return { key, size: buffer.length, contentType };
+  }
+
+  async read(key) {
+    return fsp.readFile(this.resolve(key));
+  }
+
+  createReadStream(key) {
+    return fs.createReadStream(this.resolve(key));
+  }
+
+  async exists(key) {
+    try {
+      await fsp.access(this.resolve(key));
+      return true;
+    } catch (err) {
+      return false;
+    }
+  }
+
+  async remove(key) {
+    await fsp.rm(this.resolve(key), { force: true });
+  }
+}
+
+module.exports = LocalDiskStorage;
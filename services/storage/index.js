@@ -0,0 +1,36 @@
+// services/storage/index.js - Pluggable storage backends for uploaded files
+const LocalDiskStorage = require('./LocalDiskStorage');
+
+// Backend factories by name. Additional backends (S3, GridFS, ...) register here
+// and must implement save/read/createReadStream/exists/remove.
+const backends = {
+  local: () => new LocalDiskStorage({ root: process.env.SMEAR_STORAGE_DIR })
+};
+
+const instances = {};
+
+function registerStorageBackend(name, factory) {
+  backends[name] = factory;
+  delete instances[name];
+}
+
+/**
+ * Get a storage backend instance
+ * @param {String} name - Backend name, defaults to SMEAR_STORAGE_BACKEND or "local"
+ * @returns {Object} Storage backend
+ */
+function getStorage(name = process.env.SMEAR_STORAGE_BACKEND || 'local') {
+  if (!backends[name]) {
+    throw new Error(`Unknown storage backend: ${name}`);
+  }
+  if (!instances[name]) {
+    instances[name] = backends[name]();
+  }
+  return instances[name];
+}
+
+module.exports = {
+  getStorage,
+  registerStorageBackend,
+  LocalDiskStorage
+};
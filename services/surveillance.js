@@ -0,0 +1,316 @@
+// services/surveillance.js - Zika and malaria case counts for the public-health unit
+const ClinicalRecord = require('../models/ClinicalRecord');
+const MalariaRecord = require('../models/MalariaRecord');
+
+const SURVEILLANCE_CONFIG = {
+  // Epidemiological weeks are ISO weeks (Monday to Sunday) in local time
+  TIMEZONE: process.env.SURVEILLANCE_TIMEZONE || 'Africa/Lagos',
+  DEFAULT_WEEKS: 12,
+  MAX_WEEKS: 104,
+  TOP_RESIDENCES: 20,
+  AGE_BANDS: [
+    { label: '0-4', below: 5 },
+    { label: '5-14', below: 15 },
+    { label: '15-24', below: 25 },
+    { label: '25-44', below: 45 },
+    { label: '45-64', below: 65 },
+    { label: '65+', below: null }
+  ]
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Stored predictions and analyses that cases are counted from. `outcome` is
+// what the counts are broken down by; `positive` marks suspected (Zika
+// HIGH/CRITICAL) or detected (malaria) cases; `userField` is the user who made
+// the record.
+const DATASETS = {
+  zika: {
+    Model: ClinicalRecord,
+    dateField: 'predictedAt',
+    userField: 'predictedBy',
+    outcomeName: 'risk_level',
+    outcome: '$prediction.riskLevel',
+    positive: { $in: ['$prediction.riskLevel', ['HIGH', 'CRITICAL']] },
+    positiveName: 'suspected'
+  },
+  malaria: {
+    Model: MalariaRecord,
+    dateField: 'timestamp',
+    userField: 'detectedBy',
+    outcomeName: 'result',
+    outcome: '$result',
+    positive: { $eq: ['$result', 'Parasitized'] },
+    positiveName: 'positive'
+  }
+};
+
+// A case is a patient, however often they are reassessed: counts collapse a
+// patient's records within each period (epi week, day, report period).
+// Records not linked to a patient can't be matched up and count on their own.
+const CASE_KEY = { $ifNull: ['$patient', '$_id'] };
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+// Calendar date (UTC midnight) of an instant in the surveillance timezone
+const localDate = (date) => {
+  const [year, month, day] = new Intl.DateTimeFormat('en-CA', {
+    timeZone: SURVEILLANCE_CONFIG.TIMEZONE, year: 'numeric', month: '2-digit', day: '2-digit'
+  }).format(date).split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day));
+};
+
+// Monday of the ISO week containing a calendar date
+const weekStart = (day) => new Date(day.getTime() - ((day.getUTCDay() + 6) % 7) * DAY_MS);
+
+/**
+ * ISO week label, e.g. "2025-W07"; matches $dateToString '%G-W%V'
+ */
+const epiWeek = (day) => {
+  const thursday = new Date(weekStart(day).getTime() + 3 * DAY_MS);
+  const year = thursday.getUTCFullYear();
+  const week = Math.floor((thursday - Date.UTC(year, 0, 1)) / (7 * DAY_MS)) + 1;
+  return `${year}-W${String(week).padStart(2, '0')}`;
+};
+
+/**
+ * Every epidemiological week in the window, oldest first. A week is complete
+ * once the window reaches past its Sunday.
+ */
+const weeksBetween = (from, to) => {
+  const weeks = [];
+  const lastDay = localDate(to);
+  for (let start = weekStart(localDate(from)); start <= lastDay; start = new Date(start.getTime() + 7 * DAY_MS)) {
+    weeks.push({
+      epi_week: epiWeek(start),
+      week_start: start.toISOString().slice(0, 10),
+      complete: start.getTime() + 7 * DAY_MS <= lastDay.getTime()
+    });
+  }
+  return weeks;
+};
+
+/**
+ * Reporting window: from/to as given, otherwise the last `weeks` epidemiological
+ * weeks up to now (the current week included)
+ */
+function resolveWindow({ from, to, weeks } = {}) {
+  const end = to || new Date();
+  const count = Math.min(Math.max(parseInt(weeks) || SURVEILLANCE_CONFIG.DEFAULT_WEEKS, 1), SURVEILLANCE_CONFIG.MAX_WEEKS);
+  // Local midnight on the Monday `count - 1` weeks back
+  const startDay = new Date(weekStart(localDate(end)).getTime() - (count - 1) * 7 * DAY_MS);
+  const start = from || new Date(startDay.getTime() - tzOffset(startDay));
+  if (start > end) throw new Error('Invalid window: from must be before to');
+  return { from: start, to: end };
+}
+
+// Milliseconds the surveillance timezone is ahead of UTC at an instant
+function tzOffset(date) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: SURVEILLANCE_CONFIG.TIMEZONE, hourCycle: 'h23',
+    year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric'
+  }).formatToParts(date).reduce((acc, part) => ({ ...acc, [part.type]: Number(part.value) }), {});
+  const asUTC = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUTC - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+const ageBandExpression = () => ({
+  $switch: {
+    branches: [
+      { case: { $not: [{ $isNumber: '$age' }] }, then: 'unknown' },
+      ...SURVEILLANCE_CONFIG.AGE_BANDS
+        .filter(band => band.below !== null)
+        .map(band => ({ case: { $lt: ['$age', band.below] }, then: band.label }))
+    ],
+    default: SURVEILLANCE_CONFIG.AGE_BANDS[SURVEILLANCE_CONFIG.AGE_BANDS.length - 1].label
+  }
+});
+
+const sexExpression = () => ({
+  $switch: {
+    branches: [
+      { case: { $in: [{ $toUpper: '$sex' }, ['M', 'MALE']] }, then: 'M' },
+      { case: { $in: [{ $toUpper: '$sex' }, ['F', 'FEMALE']] }, then: 'F' }
+    ],
+    default: 'unknown'
+  }
+});
+
+// Case-insensitive equality on a patient location field
+const sameText = (field, value) => ({ $eq: [{ $toLower: { $ifNull: [field, ''] } }, String(value).trim().toLowerCase()] });
+
+// Count and positives for one breakdown
+const countBy = (key, sort = { count: -1 }) => [
+  { $group: { _id: key, count: { $sum: 1 }, positive: { $sum: '$positive' } } },
+  { $sort: sort }
+];
+
+/**
+ * Aggregation pipeline for one dataset: join the patient for location, derive
+ * the breakdown keys, collapse each patient's records to one case per epi
+ * week, then count every breakdown in one $facet
+ */
+function buildPipeline(dataset, { from, to, state, lga }) {
+  const locationFilter = [];
+  if (state) locationFilter.push(sameText('$patientDoc.state', state));
+  if (lga) locationFilter.push(sameText('$patientDoc.lga', lga));
+
+  return [
+    { $match: { [dataset.dateField]: { $gte: from, $lte: to } } },
+    { $lookup: { from: 'patients', localField: 'patient', foreignField: '_id', as: 'patientDoc' } },
+    { $set: { patientDoc: { $arrayElemAt: ['$patientDoc', 0] } } },
+    ...(locationFilter.length ? [{ $match: { $expr: { $and: locationFilter } } }] : []),
+    {
+      $project: {
+        caseKey: CASE_KEY,
+        at: `$${dataset.dateField}`,
+        outcome: { $ifNull: [dataset.outcome, 'unknown'] },
+        positive: { $cond: [dataset.positive, 1, 0] },
+        confirmed: { $cond: [{ $eq: ['$labConfirmation.result', 'positive'] }, 1, 0] },
+        epiWeek: { $dateToString: { format: '%G-W%V', date: `$${dataset.dateField}`, timezone: SURVEILLANCE_CONFIG.TIMEZONE } },
+        ageBand: ageBandExpression(),
+        sex: sexExpression(),
+        state: { $ifNull: ['$patientDoc.state', 'unknown'] },
+        lga: { $ifNull: ['$patientDoc.lga', 'unknown'] },
+        residence: { $ifNull: ['$patientDoc.residence', 'unknown'] }
+      }
+    },
+    // Positive or confirmed if any of the week's records was; outcome, age and
+    // place from the latest one
+    { $sort: { at: 1 } },
+    {
+      $group: {
+        _id: { caseKey: '$caseKey', epiWeek: '$epiWeek' },
+        epiWeek: { $first: '$epiWeek' },
+        assessments: { $sum: 1 },
+        positive: { $max: '$positive' },
+        confirmed: { $max: '$confirmed' },
+        outcome: { $last: '$outcome' },
+        ageBand: { $last: '$ageBand' },
+        sex: { $last: '$sex' },
+        state: { $last: '$state' },
+        lga: { $last: '$lga' },
+        residence: { $last: '$residence' }
+      }
+    },
+    {
+      $facet: {
+        totals: [{
+          $group: {
+            _id: null,
+            count: { $sum: 1 },
+            assessments: { $sum: '$assessments' },
+            positive: { $sum: '$positive' },
+            confirmed: { $sum: '$confirmed' }
+          }
+        }],
+        byOutcome: countBy('$outcome'),
+        byLocation: countBy({ state: '$state', lga: '$lga' }),
+        byResidence: [...countBy('$residence'), { $limit: SURVEILLANCE_CONFIG.TOP_RESIDENCES }],
+        byAgeBand: countBy('$ageBand', { _id: 1 }),
+        bySex: countBy('$sex', { _id: 1 }),
+        byWeek: countBy('$epiWeek', { _id: 1 }),
+        byWeekOutcome: [{ $group: { _id: { week: '$epiWeek', outcome: '$outcome' }, count: { $sum: 1 } } }]
+      }
+    }
+  ];
+}
+
+const change = (current, previous) => ({
+  change: current - previous,
+  change_percentage: previous ? round1(((current - previous) / previous) * 100) : null
+});
+
+/**
+ * Shape one dataset's $facet output: zero-filled weekly series with
+ * week-over-week change, and one trend line per outcome
+ */
+function shapeSummary(dataset, facet, weeks) {
+  const totals = facet.totals[0] || { count: 0, assessments: 0, positive: 0, confirmed: 0 };
+  const rows = (items, name) => items.map(item => ({ [name]: item._id, cases: item.count, [dataset.positiveName]: item.positive }));
+
+  const weekly = new Map(facet.byWeek.map(w => [w._id, w]));
+  let previous = null;
+  const series = weeks.map(week => {
+    const row = weekly.get(week.epi_week) || { count: 0, positive: 0 };
+    const point = {
+      ...week,
+      cases: row.count,
+      [dataset.positiveName]: row.positive,
+      ...(previous ? change(row.count, previous.count) : { change: null, change_percentage: null })
+    };
+    previous = row;
+    return point;
+  });
+
+  const trends = {};
+  for (const { _id, count } of facet.byWeekOutcome) {
+    if (!trends[_id.outcome]) trends[_id.outcome] = weeks.map(() => 0);
+    const index = weeks.findIndex(w => w.epi_week === _id.week);
+    if (index !== -1) trends[_id.outcome][index] = count;
+  }
+
+  // Latest complete week against the one before; the current week is still filling up
+  const completeWeeks = series.filter(point => point.complete);
+  const [last, beforeLast] = [completeWeeks[completeWeeks.length - 1], completeWeeks[completeWeeks.length - 2]];
+  return {
+    // Patients per epi week, summed over the window; assessments counts every record
+    cases: totals.count,
+    assessments: totals.assessments,
+    [dataset.positiveName]: totals.positive,
+    lab_confirmed: totals.confirmed,
+    [`by_${dataset.outcomeName}`]: Object.fromEntries(facet.byOutcome.map(o => [o._id, o.count])),
+    by_lga: facet.byLocation.map(l => ({ state: l._id.state, lga: l._id.lga, cases: l.count, [dataset.positiveName]: l.positive })),
+    by_residence: rows(facet.byResidence, 'residence'),
+    by_age_band: rows(facet.byAgeBand, 'age_band'),
+    by_sex: rows(facet.bySex, 'sex'),
+    weekly: series,
+    trends: { epi_weeks: weeks.map(w => w.epi_week), by_outcome: trends },
+    week_over_week: last && beforeLast
+      ? { epi_week: last.epi_week, cases: last.cases, previous_cases: beforeLast.cases, ...change(last.cases, beforeLast.cases) }
+      : null
+  };
+}
+
+/**
+ * Case counts for the window, per disease
+ * @param {Object} options - { from, to, weeks, state, lga, disease: 'zika'|'malaria' }
+ */
+async function surveillanceSummary({ from, to, weeks, state, lga, disease } = {}) {
+  const window = resolveWindow({ from, to, weeks });
+  const epiWeeks = weeksBetween(window.from, window.to);
+  const diseases = disease ? [disease] : Object.keys(DATASETS);
+
+  const summary = {
+    generated_at: new Date().toISOString(),
+    window: {
+      from: window.from.toISOString(),
+      to: window.to.toISOString(),
+      epi_weeks: epiWeeks.length,
+      first_epi_week: epiWeeks[0] && epiWeeks[0].epi_week,
+      last_epi_week: epiWeeks.length ? epiWeeks[epiWeeks.length - 1].epi_week : null,
+      timezone: SURVEILLANCE_CONFIG.TIMEZONE
+    },
+    filters: { state: state || null, lga: lga || null }
+  };
+
+  for (const name of diseases) {
+    const dataset = DATASETS[name];
+    const [facet] = await dataset.Model.aggregate(buildPipeline(dataset, { ...window, state, lga }));
+    summary[name] = shapeSummary(dataset, facet, epiWeeks);
+  }
+  return summary;
+}
+
+module.exports = {
+  SURVEILLANCE_CONFIG,
+  DATASETS,
+  CASE_KEY,
+  localDate,
+  tzOffset,
+  epiWeek,
+  weeksBetween,
+  resolveWindow,
+  buildPipeline,
+  surveillanceSummary
+};